@@ -10,12 +10,1294 @@
  * - Cohort analysis and user retention metrics
  * - Device and browser analytics
  * - Performance monitoring and error tracking
- * - Session and user context management
+ * - Session lifecycle (inactivity timeout, maximum length, midnight and campaign rollover)
+ * - Virtual page views for single-page route changes with URL normalization
+ * - Consent management (necessary / analytics / experimentation)
+ * - Offline queue with server relay when the browser SDK is blocked
+ * - W3C trace context linking clicks to the server requests they cause
  *
  * Compatible with: Application Insights JavaScript SDK v3.0+
  * Browser Support: Modern browsers (ES6+)
  */
 
+// ===================================================================
+// TRACE CONTEXT
+// Links browser operations to the server requests they cause using W3C
+// trace context (https://www.w3.org/TR/trace-context/). The page load and
+// every click on a button or link start an operation. Telemetry tracked
+// during the operation carries its ids, and every fetch sends a
+// traceparent header so the server tags its requests, events and
+// exceptions with the same operation id (GET /api/traces/:traceId).
+// ===================================================================
+
+/**
+ * TraceContext - Current client operation and traceparent headers
+ *
+ * An operation is a single span: its span id is the parent of everything it
+ * causes, client telemetry and server requests alike.
+ */
+class TraceContext {
+  constructor() {
+    this.previous = null;
+    this.startOperation("page load");
+  }
+
+  /**
+   * Random lowercase hex string
+   *
+   * @param {number} bytes - Number of random bytes
+   */
+  static randomHex(bytes) {
+    const values = new Uint8Array(bytes);
+    if (window.crypto && typeof crypto.getRandomValues === "function") {
+      crypto.getRandomValues(values);
+    } else {
+      values.forEach((value, index) => (values[index] = Math.floor(Math.random() * 256)));
+    }
+    return Array.from(values, (value) => value.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Starts a new operation; telemetry and requests from now on belong to it
+   *
+   * @param {string} name - What started the operation ("page load", "click button#quote", ...)
+   * @returns {Object} { traceId, spanId, name }
+   */
+  startOperation(name) {
+    this.previous = this.operation || null;
+    this.operation = {
+      traceId: TraceContext.randomHex(16),
+      spanId: TraceContext.randomHex(8),
+      name,
+    };
+    return this.operation;
+  }
+
+  /**
+   * Properties stamped on tracked items (read by the server and the SDK telemetry initializer)
+   */
+  properties() {
+    return {
+      operationId: this.operation.traceId,
+      parentId: this.operation.spanId,
+      operationName: this.operation.name,
+    };
+  }
+
+  /**
+   * @returns {string} traceparent header value for a request made by the current operation
+   */
+  traceparent() {
+    return `00-${this.operation.traceId}-${this.operation.spanId}-01`;
+  }
+
+  /**
+   * fetch() with a traceparent header; a traceparent already present in
+   * options.headers (captured when a queued request was created) is kept
+   */
+  fetch(url, options = {}) {
+    return fetch(url, {
+      ...options,
+      headers: { traceparent: this.traceparent(), ...options.headers },
+    });
+  }
+}
+
+// Shared by index.html (configuration request) and the analytics manager
+const traceContext = new TraceContext();
+
+// ===================================================================
+// TELEMETRY TRANSPORTS
+// An item reaches Application Insights either through the browser SDK or
+// through the first-party server relay (POST /api/track-batch), which
+// keeps working when an ad blocker blocks the SDK script.
+//
+// Transport interface:
+// - name:               "sdk" or "relay"
+// - status():           "ready", "loading" (wait) or "unavailable"
+// - batch(entries):     groups queue entries into sendable batches
+// - send(batch):        resolves with { delivered, rejected }; throws for
+//                       retryable failures (error.retryAfterMs is honoured)
+// - sendBeacon(batch):  best-effort delivery during unload, returns whether
+//                       the batch was handed over
+// ===================================================================
+
+// How long the SDK script may take to load before it is considered blocked
+const SDK_LOAD_TIMEOUT_MS = 5000;
+
+// Relay request size budget - stays below the server's ingestion payload cap
+// (INGESTION_MAX_PAYLOAD_BYTES, 32 KB by default) and the beacon limit (64 KB)
+const RELAY_MAX_REQUEST_BYTES = 30 * 1024;
+const RELAY_MAX_BATCH_ITEMS = 50;
+
+/**
+ * SdkTransport - Delivery through the Application Insights browser SDK
+ *
+ * The snippet in index.html installs a stub that only buffers calls until
+ * the SDK script has loaded. The transport reports "loading" while the stub
+ * is in place, "ready" once the real SDK has replaced it, and "unavailable"
+ * when no connection string is configured or the script did not load within
+ * SDK_LOAD_TIMEOUT_MS (typically because it was blocked).
+ */
+class SdkTransport {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Whether Application Insights is configured
+   */
+  constructor({ enabled }) {
+    this.name = "sdk";
+    this.enabled = enabled;
+    this.startedAt = Date.now();
+    this.blockedReported = false;
+  }
+
+  status() {
+    if (!this.enabled || !window.appInsights) return "unavailable";
+    if (typeof window.appInsights.getCookieMgr === "function") return "ready";
+    if (Date.now() - this.startedAt < SDK_LOAD_TIMEOUT_MS) return "loading";
+
+    if (!this.blockedReported) {
+      this.blockedReported = true;
+      console.warn("⚠️ Application Insights SDK did not load (blocked?) - relaying telemetry through the server");
+    }
+    return "unavailable";
+  }
+
+  // The SDK batches items itself
+  batch(entries) {
+    return entries.length > 0 ? [entries] : [];
+  }
+
+  async send(entries) {
+    entries.forEach((entry) => this.sendItem(entry));
+    return { delivered: entries.length, rejected: 0 };
+  }
+
+  // The SDK flushes its own buffer on unload
+  sendBeacon(entries) {
+    entries.forEach((entry) => this.sendItem(entry));
+    return true;
+  }
+
+  /**
+   * Converts a queued batch-format item back to the SDK call
+   */
+  sendItem(entry) {
+    const { item } = entry;
+    const sdk = window.appInsights;
+
+    if (entry.sdkMethod === "trackPageViewPerformance") {
+      sdk.trackPageViewPerformance({ name: item.name, url: item.url, duration: item.duration, properties: item.properties, ...item.measurements });
+      return;
+    }
+
+    switch (item.type) {
+      case "event":
+        sdk.trackEvent({ name: item.name, properties: item.properties, measurements: item.measurements });
+        break;
+      case "metric":
+        sdk.trackMetric({ name: item.name, average: item.value, properties: item.properties });
+        break;
+      case "pageView":
+        sdk.trackPageView({ name: item.name, uri: item.url, properties: item.properties, measurements: item.measurements });
+        break;
+      case "exception": {
+        const exception = new Error(item.message);
+        if (item.stack) exception.stack = item.stack;
+        sdk.trackException({ exception, properties: item.properties });
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * ServerRelayTransport - Delivery through the application's own server
+ *
+ * Items are posted in batches to /api/track-batch, which validates them and
+ * forwards them to the server-side telemetry pipeline. Entries that target a
+ * specific endpoint (e.g. purchase journey steps) are posted one by one.
+ */
+class ServerRelayTransport {
+  constructor() {
+    this.name = "relay";
+  }
+
+  status() {
+    return "ready";
+  }
+
+  /**
+   * Splits entries into batches within the request size budget
+   */
+  batch(entries) {
+    const batches = entries.filter((entry) => entry.request).map((entry) => [entry]);
+    let current = [];
+    let currentBytes = 0;
+
+    entries
+      .filter((entry) => entry.item)
+      .forEach((entry) => {
+        const bytes = JSON.stringify(entry.item).length;
+        if (current.length > 0 && (current.length >= RELAY_MAX_BATCH_ITEMS || currentBytes + bytes > RELAY_MAX_REQUEST_BYTES)) {
+          batches.push(current);
+          current = [];
+          currentBytes = 0;
+        }
+        current.push(entry);
+        currentBytes += bytes;
+      });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  request(entries) {
+    if (entries[0].request) {
+      const { url, body, traceparent } = entries[0].request;
+      return { url, body, headers: traceparent ? { traceparent } : {} };
+    }
+    return { url: "/api/track-batch", body: { items: entries.map((entry) => entry.item) }, headers: {} };
+  }
+
+  /**
+   * Posts a batch
+   *
+   * Items the server rejects as invalid are dropped - resending them would
+   * fail again. Network errors, 429 and 5xx responses throw so the batch is
+   * retried later.
+   */
+  async send(entries) {
+    const { url, body, headers } = this.request(entries);
+    const response = await traceContext.fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      keepalive: true,
+    });
+
+    if (response.status === 429 || response.status >= 500) {
+      const error = new Error(`HTTP ${response.status}`);
+      const retryAfter = parseInt(response.headers.get("Retry-After"), 10);
+      if (!Number.isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+      throw error;
+    }
+
+    if (!response.ok) {
+      console.warn(`⚠️ Server rejected queued telemetry (HTTP ${response.status})`);
+      return { delivered: 0, rejected: entries.length };
+    }
+
+    if (entries[0].request) {
+      return { delivered: 1, rejected: 0 };
+    }
+
+    const summary = await response.json();
+    const rejected = (summary.results || []).filter((result) => result.status === "rejected");
+    rejected.forEach((result) => console.warn("⚠️ Server rejected queued telemetry:", entries[result.index].item.name, result.errors));
+
+    return { delivered: entries.length - rejected.length, rejected: rejected.length };
+  }
+
+  sendBeacon(entries) {
+    const { url, body } = this.request(entries);
+    return navigator.sendBeacon(url, new Blob([JSON.stringify(body)], { type: "application/json" }));
+  }
+}
+
+// ===================================================================
+// OFFLINE QUEUE
+// Every tracked item is captured here before delivery, so nothing is lost
+// when the Application Insights SDK is unavailable, the network drops or
+// the page is closed right after an event.
+// ===================================================================
+
+// Queue limits - the oldest items are evicted first when the queue is full
+const QUEUE_MAX_SIZE = 500;
+const QUEUE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Retry backoff for failed deliveries (doubles per consecutive failure)
+const QUEUE_RETRY_BASE_MS = 1000;
+const QUEUE_RETRY_MAX_MS = 60 * 1000;
+
+// How often to check whether the SDK has finished loading
+const QUEUE_SDK_POLL_MS = 1000;
+
+const QUEUE_DB_NAME = "analytics_offline_queue";
+const QUEUE_STORE_NAME = "items";
+
+/**
+ * OfflineQueue - Persistent client-side telemetry queue
+ *
+ * Entries are kept in memory and, when persistence is enabled (analytics
+ * consent), mirrored to IndexedDB so they survive reloads and crashes.
+ *
+ * Entry format:
+ * - { id, createdAt, attempts, target, item, sdkMethod? }
+ *     item in /api/track-batch format ({ type, name, properties, ... }).
+ *     target "auto" uses the SDK when it is available and the server relay
+ *     otherwise; "server" always uses the relay; "sdk" only uses the SDK and
+ *     is discarded without it (the server already receives a "server" copy).
+ *     sdkMethod names the SDK call when it differs from the item type.
+ * - { id, createdAt, attempts, request: { url, body, traceparent? } }
+ *     a JSON POST to a specific server endpoint (always relayed), sent with
+ *     the traceparent of the operation that created it
+ *
+ * Delivery is at-least-once: an item sent by beacon during unload may be
+ * sent again on the next page load if its removal did not complete. Every
+ * item carries its queue id (clientItemId) so duplicates can be recognized.
+ */
+class OfflineQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transports - { sdk: SdkTransport, relay: ServerRelayTransport }
+   * @param {Function} [options.onChange] - Called with getStats() whenever the queue changes
+   */
+  constructor({ transports, onChange = () => {} }) {
+    this.transports = transports;
+    this.onChange = onChange;
+    this.entries = [];
+    this.db = null;
+    this.persistent = false;
+    this.flushing = false;
+    this.flushRequested = false;                   // Items arrived during a flush
+    this.inFlight = new Set();                     // Entry ids of requests still in progress
+    this.retryTimer = null;
+    this.sdkPollTimer = null;
+    this.consecutiveFailures = 0;
+    this.nextAttemptAt = null;
+    this.stats = { enqueued: 0, delivered: 0, dropped: 0, evicted: 0, beaconed: 0, lastError: null };
+    this.deliveredBy = { sdk: 0, relay: 0 };
+
+    window.addEventListener("online", () => this.flush());
+    // pagehide is the reliable unload signal (also fires for the back/forward cache);
+    // visibilitychange covers mobile browsers that are killed while in the background
+    window.addEventListener("pagehide", () => this.flushWithBeacon());
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.flushWithBeacon();
+    });
+  }
+
+  /**
+   * Generates a unique entry id
+   */
+  createId() {
+    if (window.crypto && typeof crypto.randomUUID === "function") {
+      return crypto.randomUUID();
+    }
+    return "item_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Adds an entry and schedules delivery
+   *
+   * @param {Object} entry - { target, item, sdkMethod? } or { request }
+   */
+  enqueue(entry) {
+    const queued = { ...entry, id: this.createId(), createdAt: Date.now(), attempts: 0 };
+    if (queued.item) {
+      queued.item = { ...queued.item, properties: { ...queued.item.properties, clientItemId: queued.id } };
+    }
+
+    this.entries.push(queued);
+    this.stats.enqueued++;
+    this.writeEntry(queued);
+
+    while (this.entries.length > QUEUE_MAX_SIZE) {
+      this.removeEntries([this.entries[0].id]);
+      this.stats.evicted++;
+    }
+
+    this.changed();
+    this.flush();
+  }
+
+  /**
+   * Enables or disables IndexedDB persistence
+   *
+   * Enabling loads entries left over from earlier page loads and stores the
+   * in-memory entries; disabling deletes everything stored.
+   *
+   * @param {boolean} enabled
+   */
+  async setPersistent(enabled) {
+    this.persistent = enabled;
+
+    if (!enabled) {
+      if (this.db) {
+        this.db.close();
+        this.db = null;
+      }
+      if (window.indexedDB) indexedDB.deleteDatabase(QUEUE_DB_NAME);
+      return;
+    }
+
+    if (this.db || !window.indexedDB) return;
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(QUEUE_STORE_NAME, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const stored = await new Promise((resolve, reject) => {
+        const request = this.db.transaction(QUEUE_STORE_NAME, "readonly").objectStore(QUEUE_STORE_NAME).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const known = new Set(this.entries.map((entry) => entry.id));
+      const restored = stored.filter((entry) => !known.has(entry.id));
+      this.entries = [...restored, ...this.entries].sort((a, b) => a.createdAt - b.createdAt);
+      this.entries.forEach((entry) => this.writeEntry(entry));
+
+      if (restored.length > 0) {
+        console.log(`📥 Restored ${restored.length} queued telemetry items from a previous page load`);
+      }
+      this.changed();
+      this.flush();
+    } catch (error) {
+      console.warn("⚠️ IndexedDB unavailable - telemetry queue is kept in memory only:", error);
+      this.db = null;
+    }
+  }
+
+  writeEntry(entry) {
+    if (!this.db) return;
+    try {
+      this.db.transaction(QUEUE_STORE_NAME, "readwrite").objectStore(QUEUE_STORE_NAME).put(entry);
+    } catch (error) {
+      console.warn("⚠️ Failed to persist queued telemetry:", error);
+    }
+  }
+
+  removeEntries(ids) {
+    const removed = new Set(ids);
+    this.entries = this.entries.filter((entry) => !removed.has(entry.id));
+
+    if (!this.db || ids.length === 0) return;
+    try {
+      const store = this.db.transaction(QUEUE_STORE_NAME, "readwrite").objectStore(QUEUE_STORE_NAME);
+      ids.forEach((id) => store.delete(id));
+    } catch (error) {
+      console.warn("⚠️ Failed to remove delivered telemetry from the queue:", error);
+    }
+  }
+
+  /**
+   * Drops entries that are too old to be useful
+   */
+  expire() {
+    const cutoff = Date.now() - QUEUE_MAX_AGE_MS;
+    const expired = this.entries.filter((entry) => entry.createdAt < cutoff).map((entry) => entry.id);
+    if (expired.length > 0) {
+      this.removeEntries(expired);
+      this.stats.evicted += expired.length;
+    }
+  }
+
+  /**
+   * Picks the transport for an entry
+   *
+   * @param {Object} entry - Queue entry
+   * @param {string} sdkStatus - Current SdkTransport status
+   * @returns {string|null} "sdk", "relay", "skip" (not needed) or null (wait for the SDK)
+   */
+  route(entry, sdkStatus) {
+    if (entry.request || entry.target === "server") return "relay";
+
+    if (sdkStatus === "ready") return "sdk";
+    if (sdkStatus === "loading") return null;
+    return entry.target === "sdk" ? "skip" : "relay";
+  }
+
+  /**
+   * Groups entries by transport
+   */
+  partition(entries, sdkStatus) {
+    const groups = { sdk: [], relay: [], skip: [], waiting: [] };
+    entries.forEach((entry) => groups[this.route(entry, sdkStatus) || "waiting"].push(entry));
+    return groups;
+  }
+
+  /**
+   * Delivers queued entries; failures are retried with exponential backoff
+   */
+  async flush() {
+    if (this.flushing) {
+      this.flushRequested = true;
+      return;
+    }
+    if (this.entries.length === 0) return;
+    if (this.nextAttemptAt && Date.now() < this.nextAttemptAt) return;
+
+    this.flushing = true;
+    this.expire();
+
+    try {
+      const groups = this.partition(this.entries, this.transports.sdk.status());
+      this.removeEntries(groups.skip.map((entry) => entry.id));
+
+      for (const name of ["sdk", "relay"]) {
+        const transport = this.transports[name];
+        for (const batch of transport.batch(groups[name])) {
+          const ids = batch.map((entry) => entry.id);
+          ids.forEach((id) => this.inFlight.add(id));
+          let result;
+          try {
+            result = await transport.send(batch);
+          } finally {
+            ids.forEach((id) => this.inFlight.delete(id));
+          }
+
+          const { delivered, rejected } = result;
+          this.stats.delivered += delivered;
+          this.stats.dropped += rejected;
+          this.deliveredBy[name] += delivered;
+          this.removeEntries(ids);
+        }
+      }
+
+      // Items for the SDK wait until its script has loaded or is known to be blocked
+      if (groups.waiting.length > 0 && !this.sdkPollTimer) {
+        this.sdkPollTimer = setTimeout(() => {
+          this.sdkPollTimer = null;
+          this.flush();
+        }, QUEUE_SDK_POLL_MS);
+      }
+
+      this.consecutiveFailures = 0;
+      this.nextAttemptAt = null;
+    } catch (error) {
+      this.scheduleRetry(error);
+    } finally {
+      this.flushing = false;
+      this.changed();
+    }
+
+    if (this.flushRequested) {
+      this.flushRequested = false;
+      this.flush();
+    }
+  }
+
+  scheduleRetry(error) {
+    this.consecutiveFailures++;
+    const backoff = Math.min(QUEUE_RETRY_BASE_MS * 2 ** (this.consecutiveFailures - 1), QUEUE_RETRY_MAX_MS);
+    // Jitter spreads retries of many clients after an outage
+    const delay = Math.max(error.retryAfterMs || 0, backoff * (0.5 + Math.random() / 2));
+
+    this.stats.lastError = error.message;
+    this.nextAttemptAt = Date.now() + delay;
+    this.entries.forEach((entry) => entry.attempts++);
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.flush(), delay);
+    console.warn(`⚠️ Telemetry delivery failed (${error.message}) - retrying in ${Math.round(delay / 1000)}s`);
+  }
+
+  /**
+   * Hands everything still queued to the transports during unload
+   *
+   * Called when the page is hidden or unloaded, where fetch may be cancelled.
+   * The relay uses navigator.sendBeacon; beacons can't report the server's
+   * response, so accepted beacons count as delivered. Items still waiting
+   * for the SDK are relayed because the page may not come back. Requests
+   * already in progress are left alone - they use keepalive and complete
+   * after unload.
+   */
+  flushWithBeacon() {
+    const pending = this.entries.filter((entry) => !this.inFlight.has(entry.id));
+    if (pending.length === 0 || !navigator.sendBeacon) return;
+
+    const sdkStatus = this.transports.sdk.status() === "ready" ? "ready" : "unavailable";
+    const groups = this.partition(pending, sdkStatus);
+    const sent = groups.skip.map((entry) => entry.id);
+
+    ["sdk", "relay"].forEach((name) => {
+      const transport = this.transports[name];
+      transport.batch(groups[name]).forEach((batch) => {
+        if (transport.sendBeacon(batch)) {
+          sent.push(...batch.map((entry) => entry.id));
+          this.stats.beaconed += batch.length;
+          this.stats.delivered += batch.length;
+          this.deliveredBy[name] += batch.length;
+        }
+      });
+    });
+
+    this.removeEntries(sent);
+    this.changed();
+  }
+
+  /**
+   * @returns {Object} Queue counters for the dashboard
+   */
+  getStats() {
+    return {
+      pending: this.entries.length,
+      ...this.stats,
+      deliveredBy: { ...this.deliveredBy },
+      sdkStatus: this.transports.sdk.status(),
+      persistent: !!this.db,
+      retrying: this.consecutiveFailures > 0,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+    };
+  }
+
+  changed() {
+    this.onChange(this.getStats());
+  }
+}
+
+// ===================================================================
+// SESSION LIFECYCLE
+// A session spans page loads. It ends after SESSION_TIMEOUT_MS without
+// activity, after SESSION_MAX_DURATION_MS, at local midnight, or when a
+// page is opened with different campaign (utm_*) parameters. Tracked items,
+// clicks and key presses count as activity.
+// ===================================================================
+
+const SESSION_STORAGE_KEY = "analytics_session";
+const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+const SESSION_MAX_DURATION_MS = 4 * 60 * 60 * 1000;
+const CAMPAIGN_PARAMETERS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+
+/**
+ * SessionManager - Session state shared by every page load and tab
+ *
+ * The session record ({ id, number, startedAt, lastActivityAt, pageCount,
+ * eventCount, campaign, endedAt?, endReason? }) is re-read before every
+ * update, so tabs of the same browser share one session and its counters.
+ * Where it is stored is up to the storage callbacks (the analytics manager
+ * keeps it in memory until analytics consent is given).
+ *
+ * An expired session is ended (onEnd) as soon as the expiry is noticed:
+ * by checkExpiry() while the page is open, or on the next page load. The
+ * next session only starts (onStart) with the next activity.
+ */
+class SessionManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - { read(key), write(key, value) }
+   * @param {string} [options.campaign] - Campaign parameters of this page ("" without any)
+   * @param {Function} options.onStart - (session, reason) - reason is "new" or the previous session's end reason
+   * @param {Function} options.onEnd - (session, reason) - inactivity, maxDuration, midnight or campaign
+   */
+  constructor({ storage, campaign = "", onStart, onEnd }) {
+    this.storage = storage;
+    this.campaign = campaign;
+    this.onStart = onStart;
+    this.onEnd = onEnd;
+    this.current = null;
+  }
+
+  /**
+   * Campaign parameters of a URL as a stable string ("utm_source=x&utm_campaign=y")
+   */
+  static campaignFromUrl(url) {
+    const params = new URL(url).searchParams;
+    return CAMPAIGN_PARAMETERS.filter((key) => params.get(key))
+      .map((key) => `${key}=${params.get(key)}`)
+      .join("&");
+  }
+
+  createId() {
+    return "session_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+  }
+
+  load() {
+    try {
+      return JSON.parse(this.storage.read(SESSION_STORAGE_KEY) || "null");
+    } catch (error) {
+      console.warn("⚠️ Ignoring unreadable session record:", error);
+      return null;
+    }
+  }
+
+  save(session) {
+    this.current = session;
+    this.storage.write(SESSION_STORAGE_KEY, JSON.stringify(session));
+  }
+
+  /**
+   * @returns {string|null} Why the session is over at `now`, or null while it continues
+   */
+  expiryReason(session, now) {
+    if (now - session.lastActivityAt > SESSION_TIMEOUT_MS) return "inactivity";
+    if (now - session.startedAt > SESSION_MAX_DURATION_MS) return "maxDuration";
+    if (new Date(now).toDateString() !== new Date(session.startedAt).toDateString()) return "midnight";
+    if (this.campaign && this.campaign !== session.campaign) return "campaign";
+    return null;
+  }
+
+  /**
+   * Returns the active session, ending an expired one and starting a new one
+   *
+   * The stored record wins over this tab's copy, which is only used when
+   * storage was cleared (e.g. after consent was withdrawn).
+   */
+  ensure(now = Date.now()) {
+    const session = this.load() || this.current;
+
+    if (session && !session.endedAt) {
+      const reason = this.expiryReason(session, now);
+      if (!reason) {
+        this.current = session;
+        return session;
+      }
+      this.end(session, reason);
+    }
+
+    return this.start(session, now);
+  }
+
+  /**
+   * Records activity, ending and starting sessions as needed
+   *
+   * @param {Object} [counts] - { event, pageView }: what to add to the session's counters
+   * @returns {Object} The active session
+   */
+  touch({ event = false, pageView = false } = {}, now = Date.now()) {
+    const session = this.ensure(now);
+    session.lastActivityAt = now;
+    if (event) session.eventCount++;
+    if (pageView) session.pageCount++;
+    this.save(session);
+    return session;
+  }
+
+  /**
+   * Ends the session once it expired, without waiting for the next activity
+   */
+  checkExpiry(now = Date.now()) {
+    const session = this.load() || this.current;
+    if (!session || session.endedAt) return;
+
+    const reason = this.expiryReason(session, now);
+    if (reason) this.end(session, reason);
+  }
+
+  end(session, reason) {
+    session.endedAt = session.lastActivityAt;
+    session.endReason = reason;
+    this.save(session);
+    this.onEnd(session, reason);
+  }
+
+  start(previous, now) {
+    const session = {
+      id: this.createId(),
+      number: previous ? previous.number + 1 : 1,
+      startedAt: now,
+      lastActivityAt: now,
+      pageCount: 0,
+      eventCount: 0,
+      campaign: this.campaign,
+      previousId: previous ? previous.id : null,
+    };
+    this.save(session);
+    this.onStart(session, previous ? previous.endReason : "new");
+    return session;
+  }
+}
+
+// ===================================================================
+// ROUTE TRACKING
+// Single-page navigation (history.pushState / replaceState, popstate and
+// hash routes such as "#/quotes/42") produces a virtual page view per
+// route change. Page views are named after the route pattern, so ids in
+// URLs neither leak into telemetry nor split page view counts.
+// ===================================================================
+
+// Applied after the configured rules: ids in path segments become ":id"
+const DEFAULT_ROUTE_RULES = [
+  { pattern: /(^|\/)[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\/|$)/gi, replacement: "$1:id" },
+  { pattern: /(^|\/)\d+(?=\/|$)/g, replacement: "$1:id" },
+  { pattern: /(^|\/)[0-9a-f]{16,}(?=\/|$)/gi, replacement: "$1:id" },
+  { pattern: /(^|\/)[a-z]+_\d{6,}\w*(?=\/|$)/gi, replacement: "$1:id" }, // quote_1712345678901, user_..._abc
+];
+
+/**
+ * RouteTracker - Detects route changes of a single-page application
+ *
+ * A route change is reported (onRouteChange) when the path or the hash
+ * route changes. Query strings and plain anchors ("#pricing") do not count,
+ * and a navigation to the current location is ignored: replaceState calls
+ * that only update state, and hash changes (which fire both popstate and
+ * hashchange) yield at most one page view.
+ */
+class RouteTracker {
+  /**
+   * @param {Object} options
+   * @param {Object[]} [options.rules] - Normalization rules ({ pattern: RegExp|string, replacement })
+   *   applied in order before DEFAULT_ROUTE_RULES
+   * @param {Function} options.onRouteChange - ({ route, url, previousRoute, timeOnPreviousPage, navigationType })
+   */
+  constructor({ rules = [], onRouteChange }) {
+    this.rules = [...rules, ...DEFAULT_ROUTE_RULES].map(({ pattern, replacement }) => ({
+      pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern, "g"),
+      replacement,
+    }));
+    this.onRouteChange = onRouteChange;
+    this.current = null;
+  }
+
+  /**
+   * Reports the current location as the first page view and starts listening
+   */
+  start() {
+    ["pushState", "replaceState"].forEach((method) => {
+      const original = history[method];
+      const tracker = this;
+      history[method] = function (...args) {
+        const result = original.apply(this, args);
+        tracker.handle(method === "pushState" ? "push" : "replace");
+        return result;
+      };
+    });
+
+    window.addEventListener("popstate", () => this.handle("pop"));
+    window.addEventListener("hashchange", () => this.handle("hash"));
+
+    this.handle("load");
+  }
+
+  /**
+   * Path plus hash route ("#/..." or "#!/..."); the hash is ignored when it is a plain anchor
+   */
+  locationPath(location) {
+    const hashRoute = /^#!?\//.test(location.hash) ? location.hash : "";
+    return `${location.pathname}${hashRoute}`;
+  }
+
+  /**
+   * Replaces ids in a path with placeholders using the normalization rules
+   */
+  normalize(path) {
+    return this.rules.reduce((result, rule) => {
+      rule.pattern.lastIndex = 0;
+      return result.replace(rule.pattern, rule.replacement);
+    }, path);
+  }
+
+  handle(navigationType) {
+    const path = this.locationPath(window.location);
+    if (this.current && this.current.path === path) return;
+
+    const now = Date.now();
+    const previous = this.current;
+    this.current = { path, route: this.normalize(path), enteredAt: now };
+
+    this.onRouteChange({
+      route: this.current.route,
+      url: `${window.location.origin}${this.current.route}`,
+      previousRoute: previous ? previous.route : null,
+      timeOnPreviousPage: previous ? now - previous.enteredAt : null,
+      navigationType,
+    });
+  }
+}
+
+// ===================================================================
+// PLUGINS
+// Every tracked item passes through the registered plugins before it is
+// queued, whichever transport delivers it (SDK or server relay)
+// ===================================================================
+
+/**
+ * PluginPipeline - Ordered beforeTrack/afterTrack hooks
+ *
+ * Plugin interface:
+ * - name:                        unique identifier; registering a name again replaces the plugin
+ * - priority:                    optional, higher runs first (default 0); ties run in registration order
+ * - beforeTrack(item, context):  optional; return the (possibly rewritten) item,
+ *                                false or null to drop it, or nothing to keep it
+ * - afterTrack(item, context):   optional; called once the item is queued for delivery
+ *
+ * Items use the /api/track-batch format ({ type, name, properties, ... }) and
+ * already carry the user, session and operation context. context is
+ * { method, category, server } - the SDK method, the consent category and
+ * whether the server needs the item (see Tracker).
+ *
+ * As on the server (server/telemetry/pipeline.js), a failing beforeTrack drops
+ * the item: filters may guard what leaves the browser. A failing afterTrack
+ * is logged and skipped.
+ */
+class PluginPipeline {
+  constructor() {
+    this.plugins = [];
+  }
+
+  /**
+   * @param {Object} plugin - Object implementing the plugin interface
+   */
+  use(plugin) {
+    if (!plugin || typeof plugin.name !== "string" || plugin.name === "") {
+      throw new TypeError("Plugin must have a name");
+    }
+
+    this.remove(plugin.name);
+    this.plugins.push(plugin);
+    // Array.prototype.sort is stable, so equal priorities keep registration order
+    this.plugins.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  /**
+   * @param {string} name - Plugin name
+   * @returns {boolean} Whether a plugin was removed
+   */
+  remove(name) {
+    const count = this.plugins.length;
+    this.plugins = this.plugins.filter((plugin) => plugin.name !== name);
+    return this.plugins.length !== count;
+  }
+
+  get names() {
+    return this.plugins.map((plugin) => plugin.name);
+  }
+
+  /**
+   * @returns {Object|null} The item to queue, or null when a plugin dropped it
+   */
+  beforeTrack(item, context) {
+    let current = item;
+    for (const plugin of this.plugins) {
+      if (typeof plugin.beforeTrack !== "function") continue;
+
+      let result;
+      try {
+        result = plugin.beforeTrack(current, context);
+      } catch (error) {
+        console.error(`❌ Plugin error (${plugin.name}) - item dropped:`, error);
+        return null;
+      }
+
+      if (result === false || result === null) return null;
+      if (result !== undefined) current = result;
+    }
+    return current;
+  }
+
+  afterTrack(item, context) {
+    this.plugins.forEach((plugin) => {
+      if (typeof plugin.afterTrack !== "function") return;
+      try {
+        plugin.afterTrack(item, context);
+      } catch (error) {
+        console.error(`❌ Plugin error (${plugin.name}):`, error);
+      }
+    });
+  }
+}
+
+/**
+ * EnrichmentPlugin - Adds the application version, locale and static
+ * properties to every item; properties the item already has win
+ */
+class EnrichmentPlugin {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.appVersion] - Application version (e.g. from the build)
+   * @param {string} [options.locale] - Defaults to the browser language
+   * @param {Object} [options.properties] - Extra properties added to every item
+   */
+  constructor({ appVersion, locale = navigator.language, properties = {} } = {}) {
+    this.name = "enrichment";
+    this.priority = 50;
+    this.properties = { ...properties };
+    if (appVersion) this.properties.appVersion = String(appVersion);
+    if (locale) this.properties.locale = locale;
+  }
+
+  beforeTrack(item) {
+    return { ...item, properties: { ...this.properties, ...item.properties } };
+  }
+}
+
+/**
+ * FilterPlugin - Drops items by type, by name or with a predicate
+ */
+class FilterPlugin {
+  /**
+   * @param {Object} options
+   * @param {string[]} [options.types] - Item types to drop (event, metric, pageView, exception)
+   * @param {string[]} [options.names] - Item names to drop
+   * @param {Function} [options.exclude] - (item, context) => true to drop the item
+   */
+  constructor({ types = [], names = [], exclude = null } = {}) {
+    this.name = "filter";
+    this.priority = 100;                           // Before enrichment, so dropped items cost nothing
+    this.types = types;
+    this.names = names;
+    this.exclude = exclude;
+  }
+
+  beforeTrack(item, context) {
+    if (this.types.includes(item.type) || this.names.includes(item.name)) return false;
+    if (this.exclude && this.exclude(item, context)) return false;
+    return item;
+  }
+}
+
+// Sampling buckets - keep in sync with server/telemetry/sampling.js
+const SAMPLING_BUCKET_COUNT = 10000;
+const SAMPLING_HASH_SALT = "sampling:";
+
+/**
+ * 32-bit FNV-1a hash (error fingerprints, sampling buckets)
+ *
+ * @param {string} value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * SamplingPlugin - Keeps a percentage of items per user
+ *
+ * Uses the rates the server serves in /api/config (sampling): the rate of
+ * the item's name, else of its type, else the default. The userId is hashed
+ * into a bucket exactly as on the server, so a user is kept or dropped in the
+ * browser and on the server alike; a user kept at 10% is kept at every higher
+ * rate. Kept items are stamped with properties.sampleRate for extrapolation
+ * (count * 100 / sampleRate).
+ */
+class SamplingPlugin {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - { defaultRate, types: { [type]: rate }, names: { [name]: rate } }
+   */
+  constructor({ config = {} } = {}) {
+    this.name = "sampling";
+    this.priority = 90;                            // After filters, before enrichment
+    this.config = { defaultRate: 100, types: {}, names: {}, ...config };
+  }
+
+  rateOf(item) {
+    const { names, types, defaultRate } = this.config;
+    if (item.name !== undefined && Object.prototype.hasOwnProperty.call(names, item.name)) return names[item.name];
+    if (Object.prototype.hasOwnProperty.call(types, item.type)) return types[item.type];
+    return defaultRate;
+  }
+
+  isSampledIn(key, rate) {
+    if (rate >= 100) return true;
+    if (rate <= 0) return false;
+    const bucket = key ? fnv1a(`${SAMPLING_HASH_SALT}${key}`) % SAMPLING_BUCKET_COUNT : Math.floor(Math.random() * SAMPLING_BUCKET_COUNT);
+    return bucket < rate * (SAMPLING_BUCKET_COUNT / 100);
+  }
+
+  beforeTrack(item) {
+    const properties = item.properties || {};
+    if (properties.sampleRate !== undefined) return item;
+
+    const rate = this.rateOf(item);
+    if (!this.isSampledIn(properties.userId || properties.operationId, rate)) return false;
+    return { ...item, properties: { ...properties, sampleRate: rate } };
+  }
+}
+
+/**
+ * DebugPlugin - Logs every item as it is queued, after all other plugins ran
+ */
+class DebugPlugin {
+  constructor({ logger = console } = {}) {
+    this.name = "debug";
+    this.priority = -100;
+    this.logger = logger;
+  }
+
+  afterTrack(item, context) {
+    this.logger.log(`🐞 ${context.method} ${item.name || item.message}`, { category: context.category, item });
+  }
+}
+
+// ===================================================================
+// TRACKER
+// The single track* facade every call site uses
+// ===================================================================
+
+/**
+ * Tracker - Transport-neutral telemetry API
+ *
+ * Call sites pass Application Insights SDK payloads. The tracker applies
+ * consent, adds the user and session context (so relayed items carry the
+ * same identifiers the SDK telemetry initializer sets), converts the payload
+ * to the /api/track-batch format, runs it through the plugins and queues it.
+ * The queue picks the transport when the item is delivered.
+ *
+ * Options of every track* method:
+ * - category: consent category (default: analytics)
+ * - server:   the server needs the item for its own analytics; it is always
+ *             relayed, and additionally sent through the SDK when available
+ * - activity: the item counts as user activity for the session (default:
+ *             true; false for the session events themselves)
+ */
+class Tracker {
+  /**
+   * @param {Object} options
+   * @param {OfflineQueue} options.queue - Delivery queue
+   * @param {Function} options.getContext - Returns properties added to every item
+   *   ({ userId, sessionId, operationId, parentId, operationName })
+   * @param {Function} options.runWithConsent - (category, action) consent gate
+   * @param {PluginPipeline} [options.plugins] - beforeTrack/afterTrack hooks
+   * @param {Function} [options.onTrack] - Called with every batch-format item (breadcrumbs)
+   * @param {Function} [options.onActivity] - Called with the SDK method before an activity item
+   *   is stamped, so an expired session can be replaced first
+   */
+  constructor({ queue, getContext, runWithConsent, plugins = new PluginPipeline(), onTrack = () => {}, onActivity = () => {} }) {
+    this.queue = queue;
+    this.getContext = getContext;
+    this.runWithConsent = runWithConsent;
+    this.plugins = plugins;
+    this.onTrack = onTrack;
+    this.onActivity = onActivity;
+  }
+
+  trackEvent(telemetry, options) {
+    this.track("trackEvent", telemetry, options);
+  }
+
+  trackMetric(telemetry, options) {
+    this.track("trackMetric", telemetry, options);
+  }
+
+  trackPageView(telemetry, options) {
+    this.track("trackPageView", telemetry, options);
+  }
+
+  trackPageViewPerformance(telemetry, options) {
+    this.track("trackPageViewPerformance", telemetry, options);
+  }
+
+  trackException(telemetry, options) {
+    this.track("trackException", telemetry, options);
+  }
+
+  /**
+   * @param {string} method - SDK method (trackEvent, trackMetric, ...)
+   * @param {Object} telemetry - SDK payload
+   * @param {Object} [options] - { category, server, activity }
+   */
+  track(method, telemetry, { category = "analytics", server = false, activity = true } = {}) {
+    if (activity) this.onActivity(method);
+
+    const queueItem = this.toQueueItem(method, telemetry);
+    // The consent category is stamped on the item so the SDK telemetry
+    // initializer can tell gated items from SDK auto-collection
+    queueItem.properties = { ...this.getContext(), ...queueItem.properties, consentCategory: category };
+
+    const context = { method, category, server };
+    const item = this.plugins.beforeTrack(queueItem, context);
+    if (!item) return;
+    this.onTrack(item);
+
+    this.runWithConsent(category, () => {
+      if (server) {
+        this.queue.enqueue({ target: "server", item });
+        this.queue.enqueue({ target: "sdk", item, sdkMethod: method });
+      } else {
+        this.queue.enqueue({ target: "auto", item, sdkMethod: method });
+      }
+      this.plugins.afterTrack(item, context);
+    });
+  }
+
+  /**
+   * Converts an SDK payload to the /api/track-batch item format
+   *
+   * Page view performance has no batch type of its own; it is relayed as a
+   * page view carrying the timings as measurements.
+   *
+   * @param {string} method - SDK method
+   * @param {Object} telemetry - SDK payload
+   * @returns {Object} Batch item
+   */
+  toQueueItem(method, telemetry) {
+    switch (method) {
+      case "trackMetric":
+        return { type: "metric", name: telemetry.name, value: telemetry.value, properties: telemetry.properties };
+      case "trackPageView":
+        return {
+          type: "pageView",
+          name: telemetry.name,
+          url: telemetry.uri,
+          properties: telemetry.properties,
+          measurements: telemetry.measurements,
+        };
+      case "trackPageViewPerformance": {
+        const { name, url, duration, properties, ...timings } = telemetry;
+        return { type: "pageView", name, url, duration, properties, measurements: timings };
+      }
+      case "trackException":
+        return {
+          type: "exception",
+          message: telemetry.exception.message,
+          stack: telemetry.exception.stack,
+          properties: telemetry.properties,
+        };
+      default:
+        return { type: "event", name: telemetry.name, properties: telemetry.properties, measurements: telemetry.measurements };
+    }
+  }
+}
+
+// Consent categories the user can decide on ("necessary" is always granted)
+const CONSENT_CATEGORIES = ["analytics", "experimentation"];
+const CONSENT_STORAGE_KEY = "analytics_consent";
+
+// Persistent identifiers removed when analytics consent is withdrawn
+const PERSISTENT_KEYS = ["app_insights_user_id", "analytics_session", "visitor_type", "last_visit", "user_cohort", "cohort_join_date"];
+
+// Telemetry kept while waiting for a consent decision
+const MAX_CONSENT_QUEUE = 200;
+
+// Error capture - breadcrumbs kept per page and client-side rate limits:
+// one report per fingerprint per minute, at most MAX_ERROR_REPORTS per page view
+const MAX_BREADCRUMBS = 20;
+const ERROR_DUPLICATE_WINDOW_MS = 60 * 1000;
+const MAX_ERROR_REPORTS = 25;
+const ERROR_FINGERPRINT_FRAMES = 3;
+
+// Core Web Vitals thresholds (web.dev) - up to `good` is good, above `poor` is poor.
+// Keep in sync with server/web-vitals.js
+const WEB_VITAL_THRESHOLDS = {
+  LCP: { good: 2500, poor: 4000 },
+  INP: { good: 200, poor: 500 },
+  CLS: { good: 0.1, poor: 0.25 },
+  TTFB: { good: 800, poor: 1800 },
+  FCP: { good: 1800, poor: 3000 },
+};
+
+// Declarative tracking - elements opt in with data-action (a manager method from
+// DECLARATIVE_ACTIONS) and/or data-track-event; see startDeclarativeTracking
+const DECLARATIVE_SELECTOR = "[data-action], [data-track-event]";
+const DECLARATIVE_EVENT_TYPES = ["click", "submit", "change"];
+const DECLARATIVE_ACTIONS = [
+  "acceptAllConsent", "rejectAllConsent", "saveConsentChoices",
+  "trackPageView", "simulateNewVisitor", "simulateReturningVisitor", "simulateBounce", "trackTimeOnPage",
+  "submitQuoteRequest", "startApplication", "completeApplication", "purchasePolicy",
+  "runABTest", "convertABTest", "showExperimentResults",
+  "measurePageLoad", "showWebVitals", "simulateError", "showErrorGroups", "showLastTrace",
+  "trackDeviceInfo", "trackCustomSegment",
+  "joinCohort", "trackRetention", "viewCohortData",
+];
+const VISIBILITY_THRESHOLD = 0.5;
+
+// Interactions kept while the manager is not initialized (see queuePendingInteraction)
+const MAX_PENDING_INTERACTIONS = 50;
+
 /**
  * AnalyticsManager - Comprehensive Web Analytics Implementation
  * 
@@ -33,6 +1315,8 @@
  * - Real-time metrics dashboard integration
  * 
  * Data Collection Strategy:
+ * - Nothing non-essential is sent and no persistent identifier is stored
+ *   before the user consents (see setConsent)
  * - Client-side events are enriched with server-side context
  * - User privacy is maintained through anonymized identifiers
  * - Session data persists across page reloads for accurate analytics
@@ -52,17 +1336,68 @@ class AnalyticsManager {
    * 4. Starts session timing for engagement analysis
    * 5. Collects device and browser information for segmentation
    */
-  constructor() {
+  constructor(options = {}) {
     try {
-      // Generate unique identifiers for user and session tracking
-      this.sessionId = this.generateSessionId();     // Unique per browser session
-      this.userId = this.getOrCreateUserId();        // Persistent across sessions
-      this.pageViewCount = 0;                        // Track pages viewed in current session
-      this.sessionStartTime = Date.now();            // For calculating time-based metrics
+      // Consent must be known before any identifier is stored or telemetry is sent
+      this.pendingStorage = {};                      // Values to persist once analytics consent is given
+      this.consentQueue = [];                        // Telemetry waiting for a consent decision
+      this.consent = this.loadConsent();             // { necessary, analytics, experimentation }
+
+      // Telemetry delivery: the browser SDK when it loads, the server relay otherwise.
+      // Every tracked item passes through the offline queue (IndexedDB-backed with analytics consent)
+      this.transports = {
+        sdk: new SdkTransport({ enabled: options.sdkAvailable !== false }),
+        relay: new ServerRelayTransport(),
+      };
+      this.queue = new OfflineQueue({
+        transports: this.transports,
+        onChange: (stats) => this.renderQueueStats(stats),
+      });
+      this.queue.setPersistent(this.hasConsent("analytics"));
+
+      // Plugins see every tracked item before it is queued (see PluginPipeline and use)
+      this.plugins = new PluginPipeline();
+      this.plugins.use(new EnrichmentPlugin({ appVersion: options.appVersion }));
+      if (options.sampling) this.plugins.use(new SamplingPlugin({ config: options.sampling }));
+      if (options.debug) this.plugins.use(new DebugPlugin());
+      (options.plugins || []).forEach((plugin) => this.use(plugin));
+
+      this.tracker = new Tracker({
+        queue: this.queue,
+        getContext: () => ({ userId: this.userId, sessionId: this.sessionId, ...traceContext.properties() }),
+        runWithConsent: (category, action) => this.runWithConsent(category, action),
+        plugins: this.plugins,
+        onTrack: (item) => this.addBreadcrumb({ type: item.type, name: item.name || item.message }),
+        onActivity: (method) => this.sessions.touch({ event: true, pageView: method === "trackPageView" }),
+      });
+
+      // Persistent user identifier and the session shared by page loads and tabs (see SessionManager)
+      this.userId = this.getOrCreateUserId();        // Persistent across sessions (after analytics consent)
+      this.sessions = new SessionManager({
+        storage: { read: (key) => this.readValue(key), write: (key, value) => this.persistValue(key, value) },
+        campaign: SessionManager.campaignFromUrl(window.location.href),
+        onStart: (session, reason) => this.trackSessionStart(session, reason),
+        onEnd: (session, reason) => this.trackSessionEnd(session, reason),
+      });
+      this.pageStartTime = Date.now();               // For time on page metrics, reset per route
+      this.routes = new RouteTracker({
+        rules: options.routeRules,                   // e.g. [{ pattern: "^/docs/.*", replacement: "/docs/*" }]
+        onRouteChange: (change) => this.trackRouteChange(change),
+      });
       
       // Business process tracking - links events across the purchase funnel
       this.currentQuoteId = null;                    // Links quote to application to purchase
       this.currentApplicationId = null;              // Tracks application progress
+      this.currentInsuranceType = null;              // Segment dimension for server-side funnel reports
+      this.currentVariant = null;                    // Last A/B variant seen, used for funnel segmentation
+      this.experimentAssignments = {};               // Sticky variant per experiment, fetched from the server
+      this.liveStream = null;                        // EventSource for GET /api/stream
+      this.liveStreamRetryDelay = 1000;              // Reconnect backoff, doubles up to 30s
+      this.webVitals = {};                           // Latest LCP, CLS, INP, TTFB and FCP of this page view
+      this.webVitalsReported = false;                // Reported once per page view, when the page is hidden
+      this.breadcrumbs = [];                         // Last tracked items and clicks, attached to error reports
+      this.errorReports = new Map();                 // fingerprint -> { lastReportedAt, suppressed }
+      this.errorReportCount = 0;                     // Error reports sent during this page view
 
       // Real-time metrics counters for dashboard display
       // These counters provide immediate feedback and demonstration value
@@ -75,13 +1410,24 @@ class AnalyticsManager {
       };
 
       // Initialize tracking infrastructure and begin data collection
+      this.setSdkCookiesEnabled(this.hasConsent("analytics"));
+      this.renderConsentStatus();                    // Reflect stored consent in the UI
+      this.startSessionTracking();                   // Resume or start the session, begin engagement timing
       this.initializeTracking();                     // Configure Application Insights
-      this.startSessionTimer();                      // Begin engagement timing
+      if (this.hasConsent("experimentation")) {
+        this.loadExperimentAssignments();            // Fetch sticky A/B variants for this user
+      }
+      this.startLiveMetricsStream();                 // Subscribe to server-wide live counters
+      this.startWebVitalsCollection();               // Observe LCP, CLS, INP and paint timing
+      this.startErrorCapture();                      // Report uncaught errors and unhandled rejections
+      this.routes.start();                           // Page view for this page and every SPA route change
+      this.startOperationTracking();                 // Start a trace operation per button or link click
+      this.startDeclarativeTracking();               // data-action / data-track-* elements, replays early clicks
 
       console.log("✅ AnalyticsManager initialized successfully", {
         sessionId: this.sessionId,
         userId: this.userId,
-        appInsightsAvailable: !!window.appInsights,
+        sdkStatus: this.transports.sdk.status(),
       });
     } catch (error) {
       console.error("❌ Error initializing AnalyticsManager:", error);
@@ -90,36 +1436,284 @@ class AnalyticsManager {
   }
 
   /**
-   * Generates a unique session identifier for tracking user sessions
-   * 
-   * The session ID combines timestamp and random string to ensure uniqueness
-   * across different browser sessions and page loads.
-   * 
-   * @returns {string} Unique session ID in format "session_{timestamp}_{random}"
+   * Identifier of the current session (format "session_{timestamp}_{random}")
    */
-  generateSessionId() {
-    return "session_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+  get sessionId() {
+    return this.sessions.current ? this.sessions.current.id : null;
+  }
+
+  /**
+   * Registers a plugin (see PluginPipeline for the interface)
+   *
+   * Plugins registered here only see items tracked from now on; pass them as
+   * initializeAnalytics({ plugins }) to also see the session start, device
+   * info and initial page view.
+   *
+   * @param {Object} plugin - e.g. new FilterPlugin({ names: ["DeviceInfo"] })
+   * @returns {AnalyticsManager} this, for chaining
+   */
+  use(plugin) {
+    try {
+      this.plugins.use(plugin);
+      console.log(`🔌 Plugin registered: ${plugin.name}`, this.plugins.names);
+    } catch (error) {
+      console.error("❌ Invalid plugin:", error.message);
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} name - Plugin name
+   * @returns {boolean} Whether a plugin was removed
+   */
+  removePlugin(name) {
+    return this.plugins.remove(name);
   }
 
   /**
    * Retrieves existing user ID from localStorage or creates a new one
    * 
    * This enables persistent user tracking across browser sessions.
-   * The user ID is stored in localStorage and persists until the user
-   * clears browser data or uses a different device/browser.
+   * A new user ID is only written to localStorage once analytics consent
+   * is given; until then it lives in memory for the current page only.
    * 
-   * @returns {string} Persistent user ID in format "user_{timestamp}_{random}"
+   * @returns {string} User ID in format "user_{timestamp}_{random}"
    */
   getOrCreateUserId() {
     let userId = localStorage.getItem("app_insights_user_id");
     if (!userId) {
       // Create new user ID if none exists
       userId = "user_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
-      localStorage.setItem("app_insights_user_id", userId);
+      this.persistValue("app_insights_user_id", userId);
     }
     return userId;
   }
 
+  // ===================================================================
+  // CONSENT MANAGEMENT
+  // Consent categories:
+  // - necessary:       always granted, covers the consent record itself
+  // - analytics:       Application Insights telemetry, server-side analytics
+  //                    events and persistent identifiers (localStorage, SDK cookies)
+  // - experimentation: A/B test assignment, exposure and conversion tracking
+  //
+  // Each category is "granted", "denied" or "pending". Telemetry for a
+  // pending category is queued and sent once consent is granted, or
+  // discarded when it is denied. Do Not Track and Global Privacy Control
+  // deny analytics and experimentation unless the user explicitly opts in.
+  // ===================================================================
+
+  /**
+   * Restores the stored consent decision or derives the defaults
+   *
+   * @returns {Object} Consent state per category
+   */
+  loadConsent() {
+    const consent = { necessary: "granted", analytics: "pending", experimentation: "pending" };
+
+    if (this.hasPrivacySignal()) {
+      consent.analytics = "denied";
+      consent.experimentation = "denied";
+    }
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY) || "null");
+      if (stored) {
+        CONSENT_CATEGORIES.forEach((category) => {
+          if (typeof stored[category] === "boolean") {
+            consent[category] = stored[category] ? "granted" : "denied";
+          }
+        });
+      }
+    } catch (error) {
+      console.warn("⚠️ Ignoring unreadable consent record:", error);
+    }
+
+    return consent;
+  }
+
+  /**
+   * @returns {boolean} Whether the browser sends Do Not Track or Global Privacy Control
+   */
+  hasPrivacySignal() {
+    return navigator.globalPrivacyControl === true || navigator.doNotTrack === "1" || window.doNotTrack === "1";
+  }
+
+  /**
+   * @param {string} category - necessary, analytics or experimentation
+   * @returns {boolean} Whether the category is granted
+   */
+  hasConsent(category) {
+    return this.consent[category] === "granted";
+  }
+
+  /**
+   * @returns {Object} Copy of the consent state per category
+   */
+  getConsent() {
+    return { ...this.consent };
+  }
+
+  /**
+   * Records the user's consent decision
+   *
+   * Queued telemetry of granted categories is sent, queued telemetry of
+   * denied categories is discarded. Granting analytics persists the user ID,
+   * enables SDK cookies and stores the offline queue in IndexedDB; denying it
+   * removes persistent identifiers and the stored queue.
+   *
+   * @param {Object} choices - e.g. { analytics: true, experimentation: false }
+   */
+  setConsent(choices = {}) {
+    CONSENT_CATEGORIES.forEach((category) => {
+      if (typeof choices[category] === "boolean") {
+        this.consent[category] = choices[category] ? "granted" : "denied";
+      }
+    });
+
+    // The consent record itself is strictly necessary storage
+    localStorage.setItem(
+      CONSENT_STORAGE_KEY,
+      JSON.stringify({
+        analytics: this.consent.analytics === "pending" ? null : this.hasConsent("analytics"),
+        experimentation: this.consent.experimentation === "pending" ? null : this.hasConsent("experimentation"),
+        updatedAt: new Date().toISOString(),
+      })
+    );
+
+    if (this.hasConsent("analytics")) {
+      Object.entries(this.pendingStorage).forEach(([key, value]) => localStorage.setItem(key, value));
+      this.pendingStorage = {};
+    } else if (this.consent.analytics === "denied") {
+      PERSISTENT_KEYS.forEach((key) => localStorage.removeItem(key));
+      this.pendingStorage = {};
+    }
+    this.setSdkCookiesEnabled(this.hasConsent("analytics"));
+    this.queue.setPersistent(this.hasConsent("analytics"));
+
+    if (this.hasConsent("experimentation")) {
+      this.loadExperimentAssignments();
+    } else if (this.consent.experimentation === "denied") {
+      this.experimentAssignments = {};
+    }
+
+    this.processConsentQueue();
+    this.renderConsentStatus();
+    console.log("🔒 Consent updated:", this.getConsent());
+  }
+
+  // Consent banner actions (data-action on the banner buttons)
+  acceptAllConsent() {
+    this.setConsent({ analytics: true, experimentation: true });
+  }
+
+  rejectAllConsent() {
+    this.setConsent({ analytics: false, experimentation: false });
+  }
+
+  saveConsentChoices() {
+    this.setConsent({
+      analytics: document.getElementById("consent-analytics").checked,
+      experimentation: document.getElementById("consent-experimentation").checked,
+    });
+  }
+
+  /**
+   * Enables or disables Application Insights cookies (ai_user, ai_session)
+   *
+   * Cookies start disabled (disableCookiesUsage in index.html). The cookie
+   * manager only exists once the SDK has loaded.
+   */
+  setSdkCookiesEnabled(enabled) {
+    if (window.appInsights && typeof appInsights.getCookieMgr === "function") {
+      appInsights.getCookieMgr().setEnabled(enabled);
+    }
+  }
+
+  /**
+   * Runs an action now, after consent is granted, or never
+   *
+   * @param {string} category - Consent category the action needs
+   * @param {Function} action - Sends the telemetry
+   */
+  runWithConsent(category, action) {
+    const state = this.consent[category];
+
+    if (state === "granted") {
+      action();
+    } else if (state === "pending") {
+      this.consentQueue.push({ category, action });
+      // Bound memory use when the user never decides
+      if (this.consentQueue.length > MAX_CONSENT_QUEUE) {
+        this.consentQueue.shift();
+      }
+    }
+    // denied: discarded
+  }
+
+  processConsentQueue() {
+    const queued = this.consentQueue;
+    this.consentQueue = [];
+
+    queued.forEach((entry) => {
+      const state = this.consent[entry.category];
+      if (state === "granted") {
+        entry.action();
+      } else if (state === "pending") {
+        this.consentQueue.push(entry);
+      }
+    });
+  }
+
+  /**
+   * @returns {Object} Offline queue counters (pending, delivered, dropped, ...),
+   *   deliveries per transport and the SDK status
+   */
+  getQueueStats() {
+    return this.queue.getStats();
+  }
+
+  renderQueueStats(stats) {
+    const pendingElement = document.getElementById("queuePending");
+    const droppedElement = document.getElementById("queueDropped");
+    if (pendingElement) pendingElement.textContent = stats.pending;
+    if (droppedElement) droppedElement.textContent = stats.dropped + stats.evicted;
+
+    const transportElement = document.getElementById("telemetryTransport");
+    if (transportElement) {
+      transportElement.textContent = { ready: "SDK", loading: "SDK (loading)", unavailable: "Server relay" }[stats.sdkStatus];
+    }
+  }
+
+  /**
+   * Writes to localStorage only with analytics consent, keeping the value
+   * in memory until then
+   */
+  persistValue(key, value) {
+    if (this.hasConsent("analytics")) {
+      localStorage.setItem(key, value);
+    } else {
+      this.pendingStorage[key] = value;
+    }
+  }
+
+  readValue(key) {
+    return key in this.pendingStorage ? this.pendingStorage[key] : localStorage.getItem(key);
+  }
+
+  renderConsentStatus() {
+    const statusElement = document.getElementById("consentStatus");
+    if (statusElement) {
+      const signal = this.hasPrivacySignal() ? " (Do Not Track / GPC detected)" : "";
+      statusElement.textContent = `Analytics: ${this.consent.analytics}, Experimentation: ${this.consent.experimentation}${signal}`;
+    }
+
+    ["analytics", "experimentation"].forEach((category) => {
+      const checkbox = document.getElementById(`consent-${category}`);
+      if (checkbox) checkbox.checked = this.hasConsent(category);
+    });
+  }
+
   /**
    * Initializes Application Insights tracking configuration
    * 
@@ -140,14 +1734,29 @@ class AnalyticsManager {
         console.log("🔧 Configuring Application Insights telemetry initializer...");
 
         // Modern way to set user context - use telemetry initializer
-        // This function runs for every piece of telemetry sent to Application Insights
+        // This function runs for every piece of telemetry sent to Application Insights.
+        // It only maps the context to SDK fields and gates SDK auto-collection;
+        // enrichment of tracked items belongs in plugins, which run for every transport
         appInsights.addTelemetryInitializer((envelope) => {
+          // Drop everything the user has not consented to, including SDK auto-collection
+          const itemProperties = (envelope.data && envelope.data.baseData && envelope.data.baseData.properties) || {};
+          if (!this.hasConsent(itemProperties.consentCategory || "analytics")) {
+            return false;
+          }
+
           // Set user context in Azure Application Insights standard fields
           envelope.tags = envelope.tags || {};
-          envelope.tags["ai.session.id"] = this.sessionId;
+          // Session events name the session they belong to, which may already have been replaced
+          const sessionId = itemProperties.sessionId || this.sessionId;
+          envelope.tags["ai.session.id"] = sessionId;
           envelope.tags["ai.user.id"] = this.userId;
           envelope.tags["ai.user.authUserId"] = this.userId;
 
+          // Operation of the tracked item, or the current one for SDK auto-collection
+          const operation = itemProperties.operationId ? itemProperties : traceContext.properties();
+          envelope.tags["ai.operation.id"] = operation.operationId;
+          envelope.tags["ai.operation.parentId"] = operation.parentId;
+
           // Add custom properties that will appear in all telemetry
           if (!envelope.data) envelope.data = {};
           if (!envelope.data.baseData) envelope.data.baseData = {};
@@ -155,7 +1764,7 @@ class AnalyticsManager {
 
           // These properties will be available in Application Insights queries
           envelope.data.baseData.properties.userId = this.userId;
-          envelope.data.baseData.properties.sessionId = this.sessionId;
+          envelope.data.baseData.properties.sessionId = sessionId;
 
           return true; // Continue processing the telemetry
         });
@@ -173,20 +1782,205 @@ class AnalyticsManager {
   }
 
   /**
-   * Starts a timer to update the time-on-page display
-   * 
-   * This method creates a recurring timer that updates the UI every 5 seconds
-   * to show how long the user has been on the current page. This is useful
-   * for engagement metrics and user behavior analysis.
+   * Fetches this user's experiment variants from the server
+   *
+   * Assignment is deterministic on the server (hash of userId and experiment
+   * key), so the same user gets the same variant in every session and on
+   * every device. The server records an exposure event for each assignment.
+   *
+   * @returns {Promise<Object>} Assignments keyed by experiment key
+   */
+  async loadExperimentAssignments() {
+    if (!this.hasConsent("experimentation")) {
+      return this.experimentAssignments;
+    }
+
+    try {
+      const params = new URLSearchParams({ userId: this.userId, sessionId: this.sessionId });
+      const response = await traceContext.fetch(`/api/experiments/assignments?${params}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+
+      this.experimentAssignments = result.assignments;
+      console.log("🧪 Experiment assignments loaded:", this.experimentAssignments);
+    } catch (error) {
+      console.warn("⚠️ Failed to load experiment assignments - control variants will be used:", error);
+    }
+    return this.experimentAssignments;
+  }
+
+  /**
+   * Returns the variant this user is assigned to
+   *
+   * @param {string} experimentKey - Experiment key from the server registry
+   * @param {string} fallback - Variant to use when no assignment is available
+   * @returns {string} Variant key
+   */
+  getVariant(experimentKey, fallback = "variant_a") {
+    const assignment = this.experimentAssignments[experimentKey];
+    return assignment ? assignment.variant : fallback;
+  }
+
+  // ===================================================================
+  // SESSIONS
+  // SessionStart and SessionEnd events bracket every session. SessionEnd
+  // carries the session's duration (first to last activity), page count
+  // and event count, which survive reloads with the session record.
+  // ===================================================================
+
+  /**
+   * Resumes the stored session (or starts one) and starts the session timer
+   *
+   * Clicks and key presses count as activity. Every 5 seconds the time on
+   * page display is updated and an expired session is ended, so SessionEnd
+   * is reported even when the user does not come back.
    */
-  startSessionTimer() {
-    // Update time on page every 5 seconds to show user engagement
+  startSessionTracking() {
+    this.sessions.ensure();
+    this.renderSessionInfo();
+
+    ["click", "keydown"].forEach((type) => document.addEventListener(type, () => this.sessions.touch(), true));
+
     setInterval(() => {
-      const timeOnPage = Math.floor((Date.now() - this.sessionStartTime) / 1000);
+      this.sessions.checkExpiry();
+      const timeOnPage = Math.floor((Date.now() - this.pageStartTime) / 1000);
       document.getElementById("timeOnPage").textContent = timeOnPage + "s";
+      this.renderSessionInfo();
     }, 5000);
   }
 
+  trackSessionStart(session, reason) {
+    this.tracker.trackEvent(
+      {
+        name: "SessionStart",
+        properties: {
+          sessionId: session.id,
+          startReason: reason,
+          campaign: session.campaign || undefined,
+          previousSessionId: session.previousId || undefined,
+        },
+        measurements: {
+          sessionNumber: session.number,
+        },
+      },
+      { server: true, activity: false }
+    );
+    console.log(`🟢 Session started (${reason}):`, session.id);
+  }
+
+  trackSessionEnd(session, reason) {
+    const sessionData = {
+      durationMs: session.lastActivityAt - session.startedAt,
+      pageCount: session.pageCount,
+      eventCount: session.eventCount,
+    };
+
+    this.tracker.trackEvent(
+      {
+        name: "SessionEnd",
+        properties: {
+          sessionId: session.id,
+          endReason: reason,
+        },
+        measurements: sessionData,
+      },
+      { server: true, activity: false }
+    );
+    console.log(`🔴 Session ended (${reason}):`, session.id, sessionData);
+  }
+
+  renderSessionInfo() {
+    const sessionElement = document.getElementById("sessionCount");
+    if (sessionElement && this.sessions.current) {
+      sessionElement.textContent = `#${this.sessions.current.number}`;
+    }
+  }
+
+  // ===================================================================
+  // LIVE METRICS STREAM
+  // Server-wide counters pushed over Server-Sent Events, aggregated
+  // across every connected client rather than just this browser
+  // ===================================================================
+
+  /**
+   * Subscribes to the server's live metrics stream (GET /api/stream)
+   *
+   * EventSource reconnects on its own after transient network errors. When
+   * the browser gives up (connection closed for good, e.g. the server was
+   * restarted), a new subscription is opened with exponential backoff.
+   */
+  startLiveMetricsStream() {
+    if (typeof EventSource === "undefined") {
+      console.warn("⚠️ EventSource not supported - live metrics disabled");
+      return;
+    }
+
+    const source = new EventSource("/api/stream");
+    this.liveStream = source;
+
+    source.addEventListener("open", () => {
+      this.liveStreamRetryDelay = 1000;
+      this.setLiveStreamStatus("connected");
+    });
+
+    source.addEventListener("metrics", (event) => {
+      try {
+        this.renderLiveMetrics(JSON.parse(event.data));
+      } catch (error) {
+        console.error("❌ Invalid live metrics payload:", error);
+      }
+    });
+
+    source.addEventListener("error", () => {
+      this.setLiveStreamStatus("reconnecting");
+      if (source.readyState === EventSource.CLOSED) {
+        setTimeout(() => this.startLiveMetricsStream(), this.liveStreamRetryDelay);
+        this.liveStreamRetryDelay = Math.min(this.liveStreamRetryDelay * 2, 30000);
+      }
+    });
+  }
+
+  setLiveStreamStatus(status) {
+    const statusElement = document.getElementById("liveStreamStatus");
+    if (statusElement) {
+      statusElement.textContent = status === "connected" ? "🟢 Connected" : "🟠 Reconnecting...";
+    }
+  }
+
+  /**
+   * Updates the live metrics cards on the dashboard
+   *
+   * @param {Object} snapshot - Counters pushed by the server
+   */
+  renderLiveMetrics(snapshot) {
+    const setText = (id, value) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = value;
+    };
+    const formatMs = (value) => (value === null ? "–" : `${Math.round(value)}ms`);
+
+    setText("liveEventsPerSecond", snapshot.events.perSecond.toFixed(1));
+    setText("liveEventsLastMinute", snapshot.events.lastMinute);
+    setText("liveErrors", snapshot.errors.exceptions + snapshot.errors.serverErrors);
+    setText("liveResponseP50", formatMs(snapshot.responseTimes.p50));
+    setText("liveResponseP95", formatMs(snapshot.responseTimes.p95));
+    setText("liveClients", snapshot.connectedClients);
+
+    const funnelElement = document.getElementById("liveFunnelSteps");
+    if (funnelElement) {
+      funnelElement.innerHTML = Object.entries(snapshot.funnels)
+        .map(([funnelId, steps]) => {
+          const stepText = Object.entries(steps)
+            .map(([step, count]) => `${step}: ${count}`)
+            .join(" → ");
+          return `<strong>${funnelId}:</strong> ${stepText}`;
+        })
+        .join("<br>");
+    }
+  }
+
   // ===================================================================
   // WEB METRICS IMPLEMENTATION
   // Methods for tracking basic web analytics metrics like page views,
@@ -201,34 +1995,37 @@ class AnalyticsManager {
    * timing, and whether this is the user's first page view.
    * 
    * @param {string} pageName - Name of the page being viewed (defaults to "Home")
+   * @param {Object} [details] - { uri, properties, measurements } overriding the defaults
+   *   (virtual page views pass the normalized URL and route details)
    */
-  trackPageView(pageName = "Home") {
-    this.pageViewCount++;
+  trackPageView(pageName = "Home", details = {}) {
     this.metrics.pageViews++;
 
+    // The session counts the page when it is tracked below
+    const pageNumber = this.sessions.ensure().pageCount + 1;
+
     // Collect comprehensive page view data
     const pageViewData = {
       name: pageName,
-      url: window.location.href,
-      duration: Date.now() - this.sessionStartTime, // How long since session started
-      isFirstView: this.pageViewCount === 1, // Is this the first page in the session?
+      url: details.uri || window.location.href,
+      duration: Date.now() - this.pageStartTime, // How long since the page was loaded
+      isFirstView: pageNumber === 1, // Is this the first page in the session?
     };
 
     // Send to Application Insights if available
-    if (window.appInsights) {
-      appInsights.trackPageView({
-        name: pageName,
-        uri: window.location.href,
-        properties: {
-          sessionId: this.sessionId,
-          pageNumber: this.pageViewCount,
-          isFirstView: pageViewData.isFirstView,
-        },
-        measurements: {
-          timeOnPage: pageViewData.duration,
-        },
-      });
-    }
+    this.tracker.trackPageView({
+      name: pageName,
+      uri: pageViewData.url,
+      properties: {
+        sessionId: this.sessionId,
+        pageNumber: pageNumber,
+        isFirstView: pageViewData.isFirstView,
+        ...details.properties,
+      },
+      measurements: details.measurements || {
+        timeOnPage: pageViewData.duration,
+      },
+    });
 
     // Update the UI display
     document.getElementById("pageViews").textContent = this.metrics.pageViews;
@@ -237,6 +2034,37 @@ class AnalyticsManager {
     console.log("Page View Tracked:", pageViewData);
   }
 
+  /**
+   * Tracks a virtual page view for a route change (see RouteTracker)
+   *
+   * The page view is named after the route pattern and carries the previous
+   * route and how long it was shown. A route with campaign parameters can
+   * start a new session, like a page load would.
+   *
+   * @param {Object} change - Route change reported by RouteTracker
+   */
+  trackRouteChange(change) {
+    this.pageStartTime = Date.now();
+    this.sessions.campaign = SessionManager.campaignFromUrl(window.location.href);
+
+    this.trackPageView(change.route, {
+      uri: change.url,
+      properties: {
+        route: change.route,
+        previousRoute: change.previousRoute || undefined,
+        navigationType: change.navigationType,
+      },
+      measurements: change.timeOnPreviousPage === null ? {} : { timeOnPreviousPage: change.timeOnPreviousPage },
+    });
+  }
+
+  /**
+   * @returns {string} Normalized route of the current page ("/quotes/:id")
+   */
+  currentRoute() {
+    return this.routes.current ? this.routes.current.route : this.routes.normalize(this.routes.locationPath(window.location));
+  }
+
   /**
    * Simulates a new visitor acquisition event
    * 
@@ -251,26 +2079,24 @@ class AnalyticsManager {
     // Clear existing user data to simulate new visitor
     localStorage.removeItem("app_insights_user_id");
     localStorage.removeItem("visitor_type");
-    localStorage.setItem("visitor_type", "new");
+    this.persistValue("visitor_type", "new");
 
     // Create event data with acquisition context
     const eventData = {
       visitorType: "new",
       timestamp: new Date().toISOString(),
-      source: "organic", // In real scenarios: social, email, paid, etc.
-    };
-
-    // Track the new visitor acquisition event
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "NewVisitorAcquisition",
-        properties: {
-          visitorType: "new",
-          trafficSource: "organic", // Marketing attribution data
-          sessionId: this.sessionId,
-        },
-      });
-    }
+      source: "organic", // In real scenarios: social, email, paid, etc.
+    };
+
+    // Track the new visitor acquisition event
+    this.tracker.trackEvent({
+      name: "NewVisitorAcquisition",
+      properties: {
+        visitorType: "new",
+        trafficSource: "organic", // Marketing attribution data
+        sessionId: this.sessionId,
+      },
+    });
 
     this.showStatus("New visitor simulation tracked", "success");
     console.log("New Visitor Simulated:", eventData);
@@ -284,10 +2110,10 @@ class AnalyticsManager {
    * it's been since their last visit - a key retention metric.
    */
   simulateReturningVisitor() {
-    localStorage.setItem("visitor_type", "returning");
+    this.persistValue("visitor_type", "returning");
 
     // Calculate days since last visit for retention analysis
-    const lastVisit = localStorage.getItem("last_visit");
+    const lastVisit = this.readValue("last_visit");
     const daysSinceLastVisit = lastVisit 
       ? Math.floor((Date.now() - parseInt(lastVisit)) / (1000 * 60 * 60 * 24)) 
       : 0;
@@ -299,21 +2125,19 @@ class AnalyticsManager {
     };
 
     // Track returning visitor engagement
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "ReturningVisitorEngagement",
-        properties: {
-          visitorType: "returning",
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          daysSinceLastVisit: daysSinceLastVisit,
-        },
-      });
-    }
+    this.tracker.trackEvent({
+      name: "ReturningVisitorEngagement",
+      properties: {
+        visitorType: "returning",
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        daysSinceLastVisit: daysSinceLastVisit,
+      },
+    });
 
     // Update last visit timestamp for future calculations
-    localStorage.setItem("last_visit", Date.now().toString());
+    this.persistValue("last_visit", Date.now().toString());
     this.showStatus(`Returning visitor tracked (${daysSinceLastVisit} days since last visit)`, "success");
     console.log("Returning Visitor Simulated:", eventData);
   }
@@ -328,25 +2152,23 @@ class AnalyticsManager {
   simulateBounce() {
     // Collect bounce event data including session context
     const bounceData = {
-      timeOnPage: Date.now() - this.sessionStartTime,
-      pageViews: this.pageViewCount,
+      timeOnPage: Date.now() - this.pageStartTime,
+      pageViews: this.sessions.ensure().pageCount,
       exitReason: "immediate_exit", // Could be: no_engagement, quick_exit, etc.
     };
 
     // Track the bounce event with timing and context data
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "BounceEvent",
-        properties: {
-          exitReason: "immediate_exit",
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          timeOnPageMs: bounceData.timeOnPage,
-          pageViewsInSession: bounceData.pageViews,
-        },
-      });
-    }
+    this.tracker.trackEvent({
+      name: "BounceEvent",
+      properties: {
+        exitReason: "immediate_exit",
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        timeOnPageMs: bounceData.timeOnPage,
+        pageViewsInSession: bounceData.pageViews,
+      },
+    });
 
     this.showStatus("Bounce event tracked (user left immediately)", "error");
     console.log("Bounce Simulated:", bounceData);
@@ -360,19 +2182,17 @@ class AnalyticsManager {
    * typically indicates higher engagement with the content.
    */
   trackTimeOnPage() {
-    const timeOnPage = Date.now() - this.sessionStartTime;
+    const timeOnPage = Date.now() - this.pageStartTime;
 
     // Send time on page metric to Application Insights
-    if (window.appInsights) {
-      appInsights.trackMetric({
-        name: "TimeOnPage",
-        value: timeOnPage,
-        properties: {
-          sessionId: this.sessionId,
-          pageName: "Home",
-        },
-      });
-    }
+    this.tracker.trackMetric({
+      name: "TimeOnPage",
+      value: timeOnPage,
+      properties: {
+        sessionId: this.sessionId,
+        pageName: "Home",
+      },
+    });
 
     this.showStatus(`Time on page tracked: ${Math.floor(timeOnPage / 1000)} seconds`, "success");
     console.log("Time on Page:", timeOnPage);
@@ -418,19 +2238,24 @@ class AnalyticsManager {
     };
 
     // Track quote request event with business context
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "QuoteRequested",
-        properties: {
-          quoteId: this.currentQuoteId,
-          insuranceType,
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          coverageAmount: parseFloat(coverageAmount), // Business value metric
-        },
-      });
-    }
+    this.tracker.trackEvent({
+      name: "QuoteRequested",
+      properties: {
+        quoteId: this.currentQuoteId,
+        insuranceType,
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        coverageAmount: parseFloat(coverageAmount), // Business value metric
+      },
+    });
+
+    // Mirror the step to the server so funnel reports can be computed from it
+    this.currentInsuranceType = insuranceType;
+    this.reportJourneyStep("quote_requested", {
+      quoteId: this.currentQuoteId,
+      insuranceType,
+    });
 
     // Update UI to reflect progress and enable next step
     document.getElementById("quoteRequests").textContent = this.metrics.quoteRequests;
@@ -468,271 +2293,1008 @@ class AnalyticsManager {
     };
 
     // Track application start event
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "ApplicationStarted",
+    this.tracker.trackEvent({
+      name: "ApplicationStarted",
+      properties: {
+        applicationId: this.currentApplicationId,
+        quoteId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+    });
+
+    // Track funnel progression for conversion analysis
+    this.tracker.trackEvent({
+      name: "FunnelStep",
+      properties: {
+        step: "application_started",
+        funnelId: this.currentQuoteId, // Use quote ID as funnel identifier
+        sessionId: this.sessionId,
+      },
+    });
+
+    this.reportJourneyStep("application_started", {
+      quoteId: this.currentQuoteId,
+      applicationId: this.currentApplicationId,
+    });
+
+    // Update UI metrics and enable next step
+    document.getElementById("applicationsStarted").textContent = this.metrics.applicationsStarted;
+    document.getElementById("completeAppBtn").disabled = false;
+
+    this.showStatus("Application started successfully", "success");
+    console.log("Application Started:", applicationData);
+  }
+
+  /**
+   * Handles application completion (third step in purchase journey)
+   * 
+   * This represents users who complete the application form, showing
+   * strong purchase intent. Measuring time to complete helps identify
+   * friction points in the application process.
+   */
+  completeApplication() {
+    if (!this.currentApplicationId) {
+      this.showStatus("Please start an application first", "error");
+      return;
+    }
+
+    const personalInfo = document.getElementById("personalInfo").value;
+    if (!personalInfo) {
+      this.showStatus("Please fill in personal information", "error");
+      return;
+    }
+
+    this.metrics.applicationsCompleted++;
+
+    const completionData = {
+      applicationId: this.currentApplicationId,
+      quoteId: this.currentQuoteId,
+      step: "completed",
+      timeToComplete: Date.now() - this.sessions.ensure().startedAt,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.tracker.trackEvent({
+      name: "ApplicationCompleted",
+      properties: {
+        applicationId: this.currentApplicationId,
+        quoteId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        timeToCompleteMs: completionData.timeToComplete,
+      },
+    });
+
+    // Track funnel step
+    this.tracker.trackEvent({
+      name: "FunnelStep",
+      properties: {
+        step: "application_completed",
+        funnelId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+    });
+
+    this.reportJourneyStep("application_completed", {
+      quoteId: this.currentQuoteId,
+      applicationId: this.currentApplicationId,
+    });
+
+    // Update UI
+    document.getElementById("applicationsCompleted").textContent = this.metrics.applicationsCompleted;
+    document.getElementById("purchaseBtn").disabled = false;
+
+    this.showStatus("Application completed successfully", "success");
+    console.log("Application Completed:", completionData);
+  }
+
+  purchasePolicy() {
+    if (!this.currentApplicationId) {
+      this.showStatus("Please complete an application first", "error");
+      return;
+    }
+
+    const policyId = "policy_" + Date.now();
+    this.metrics.policiesSold++;
+
+    const purchaseData = {
+      policyId,
+      applicationId: this.currentApplicationId,
+      quoteId: this.currentQuoteId,
+      timeToConvert: Date.now() - this.sessions.ensure().startedAt,
+      timestamp: new Date().toISOString(),
+    };
+
+    this.tracker.trackEvent({
+      name: "PolicyPurchased",
+      properties: {
+        policyId,
+        applicationId: this.currentApplicationId,
+        quoteId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        timeToConvertMs: purchaseData.timeToConvert,
+      },
+    });
+
+    // Track conversion
+    this.tracker.trackEvent({
+      name: "Conversion",
+      properties: {
+        conversionType: "policy_purchase",
+        funnelId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        conversionValue: parseFloat(document.getElementById("coverageAmount").value) || 0,
+      },
+    });
+
+    // Track funnel completion
+    this.tracker.trackEvent({
+      name: "FunnelStep",
+      properties: {
+        step: "purchase_completed",
+        funnelId: this.currentQuoteId,
+        sessionId: this.sessionId,
+      },
+    });
+
+    this.reportJourneyStep("policy_purchased", {
+      quoteId: this.currentQuoteId,
+      applicationId: this.currentApplicationId,
+      policyId,
+    });
+
+    // Update UI
+    document.getElementById("policiesSold").textContent = this.metrics.policiesSold;
+
+    // Reset form
+    this.resetPurchaseJourney();
+
+    this.showStatus(`Policy purchased successfully: ${policyId}`, "success");
+    console.log("Policy Purchased:", purchaseData);
+  }
+
+  /**
+   * Reports a purchase journey step to the server
+   *
+   * The server keeps these events in its local event store and computes the
+   * configured funnels from them (GET /api/funnels/:id). Each step carries the
+   * user and session identifiers plus the segment dimensions used in reports.
+   *
+   * @param {string} step - Funnel step name (e.g. "quote_requested")
+   * @param {Object} data - Step-specific properties
+   */
+  reportJourneyStep(step, data = {}) {
+    const body = {
+      userId: this.userId,
+      sessionId: this.sessionId,
+      insuranceType: this.currentInsuranceType || undefined,
+      device: this.getDeviceType(),
+      variant: this.currentVariant || undefined,
+      ...data,
+    };
+
+    this.runWithConsent("analytics", () => {
+      this.queue.enqueue({ request: { url: `/api/purchase-journey/${step}`, body, traceparent: traceContext.traceparent() } });
+    });
+  }
+
+  resetPurchaseJourney() {
+    this.currentQuoteId = null;
+    this.currentApplicationId = null;
+    this.currentInsuranceType = null;
+    document.getElementById("customerName").value = "";
+    document.getElementById("insuranceType").value = "";
+    document.getElementById("coverageAmount").value = "";
+    document.getElementById("applicationId").value = "";
+    document.getElementById("personalInfo").value = "";
+    document.getElementById("startAppBtn").disabled = true;
+    document.getElementById("completeAppBtn").disabled = true;
+    document.getElementById("purchaseBtn").disabled = true;
+  }
+
+  // A/B Testing Implementation - the variant comes from the user's sticky assignment
+  runABTest(testName = "homepage_cta_test") {
+    const variant = this.getVariant(testName);
+    this.currentVariant = variant;
+
+    const testData = {
+      testName,
+      variant,
+      timestamp: new Date().toISOString(),
+      sessionId: this.sessionId,
+    };
+
+    this.tracker.trackEvent(
+      {
+        name: "ABTestParticipation",
+        properties: {
+          testName,
+          variant,
+          sessionId: this.sessionId,
+        },
+      },
+      { category: "experimentation" }
+    );
+
+    this.showStatus(`A/B test ${testName}: you are in ${variant}`, "success");
+    this.showExperimentResults(testName);
+
+    console.log("A/B Test:", testData);
+  }
+
+  /**
+   * Records a conversion for the user's assigned variant
+   *
+   * The conversion is sent to the server, which attributes it to the variant
+   * the user was exposed to and includes it in the experiment results.
+   *
+   * @param {string} testName - Experiment key
+   */
+  convertABTest(testName = "homepage_cta_test") {
+    const variant = this.getVariant(testName);
+
+    this.tracker.trackEvent(
+      {
+        name: "ABTestConversion",
         properties: {
-          applicationId: this.currentApplicationId,
-          quoteId: this.currentQuoteId,
+          testName,
+          variant,
           sessionId: this.sessionId,
         },
+      },
+      // The server computes experiment results from conversions in its event store
+      { category: "experimentation", server: true }
+    );
+
+    this.showStatus(`A/B test conversion recorded for ${variant}`, "success");
+    // Give the server a moment to store the conversion before refreshing the results
+    setTimeout(() => this.showExperimentResults(testName), 300);
+  }
+
+  /**
+   * Fetches experiment results from the server and renders them per variant
+   *
+   * Shows exposures, conversions, conversion rate with 95% confidence interval,
+   * p-value and probability to beat the control, plus a warning when the
+   * observed traffic split doesn't match the configured weights (SRM).
+   *
+   * @param {string} testName - Experiment key
+   */
+  async showExperimentResults(testName = "homepage_cta_test") {
+    const resultDiv = document.getElementById("abTestResults");
+
+    let results;
+    try {
+      const response = await traceContext.fetch(`/api/experiments/${encodeURIComponent(testName)}/results`);
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP ${response.status}`);
+      }
+      results = body.results;
+    } catch (error) {
+      this.showStatus(`Failed to load experiment results: ${error.message}`, "error");
+      console.error("Experiment results error:", error);
+      return;
+    }
+
+    const percent = (value) => (value === null || value === undefined ? "–" : `${(value * 100).toFixed(1)}%`);
+    const rows = results.variants
+      .map((variant) => {
+        const interval = variant.confidenceInterval
+          ? `${percent(variant.confidenceInterval.lower)} – ${percent(variant.confidenceInterval.upper)}`
+          : "–";
+        return `<tr>
+                    <th>${variant.variant}${variant.isControl ? " (control)" : ""}</th>
+                    <td>${variant.exposures}</td>
+                    <td>${variant.conversions}</td>
+                    <td>${percent(variant.conversionRate)}</td>
+                    <td>${interval}</td>
+                    <td>${variant.isControl ? "" : percent(variant.lift)}</td>
+                    <td>${variant.isControl || variant.pValue === null ? "" : variant.pValue.toFixed(4)}</td>
+                    <td>${variant.isControl ? "" : percent(variant.probabilityToBeatControl)}</td>
+                </tr>`;
+      })
+      .join("");
+
+    const srmWarning = results.srm.mismatch
+      ? `<p><strong>⚠️ Sample ratio mismatch</strong> (p = ${results.srm.pValue.toExponential(2)}) - traffic split doesn't match the configured weights, results are unreliable.</p>`
+      : "";
+
+    resultDiv.style.display = "block";
+    resultDiv.className = results.srm.mismatch ? "status error" : "status";
+    resultDiv.innerHTML = `
+            <strong>${results.experiment}</strong> - you are in <strong>${this.getVariant(testName)}</strong>
+            <table class="retention-table">
+                <thead><tr><th>Variant</th><th>Exposed</th><th>Converted</th><th>Rate</th><th>95% CI</th><th>Lift</th><th>p-value</th><th>P(beat control)</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            ${srmWarning}
+        `;
+
+    console.log("Experiment Results:", results);
+  }
+
+  // ===================================================================
+  // PAGE PERFORMANCE AND CORE WEB VITALS
+  // Navigation Timing and Paint Timing are read from the Performance API;
+  // LCP, CLS and INP are observed with PerformanceObserver because they
+  // keep changing until the page is hidden. All vitals are reported once
+  // per page view as a WebVitals event with a rating per metric.
+  // ===================================================================
+
+  /**
+   * Starts observing the performance entries behind the Core Web Vitals
+   *
+   * Entry types the browser doesn't support are skipped; the corresponding
+   * vitals are simply missing from the report.
+   */
+  startWebVitalsCollection() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType("navigation") : [];
+    if (navigation) {
+      // Time to first byte, measured from the start of the navigation
+      this.webVitals.TTFB = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+    }
+
+    if (!window.PerformanceObserver) {
+      console.warn("⚠️ PerformanceObserver not supported - Core Web Vitals disabled");
+      return;
+    }
+
+    this.observePerformance("paint", (entries) => {
+      const fcp = entries.find((entry) => entry.name === "first-contentful-paint");
+      if (fcp) this.webVitals.FCP = fcp.startTime;
+    });
+
+    // LCP: the last candidate reported before the page is hidden
+    this.observePerformance("largest-contentful-paint", (entries) => {
+      this.webVitals.LCP = entries[entries.length - 1].startTime;
+    });
+
+    // CLS: the largest burst ("session window") of layout shifts. A window ends
+    // after a 1s gap or after 5s; shifts right after user input don't count.
+    let sessionValue = 0;
+    let sessionEntries = [];
+    const observingLayoutShifts = this.observePerformance("layout-shift", (entries) => {
+      entries
+        .filter((entry) => !entry.hadRecentInput)
+        .forEach((entry) => {
+          const first = sessionEntries[0];
+          const last = sessionEntries[sessionEntries.length - 1];
+          if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+            sessionValue += entry.value;
+            sessionEntries.push(entry);
+          } else {
+            sessionValue = entry.value;
+            sessionEntries = [entry];
+          }
+          this.webVitals.CLS = Math.max(this.webVitals.CLS, sessionValue);
+        });
+    });
+    if (observingLayoutShifts) {
+      // A page without layout shifts has a CLS of 0, not a missing CLS
+      this.webVitals.CLS = this.webVitals.CLS || 0;
+    }
+
+    // INP: the slowest interaction, ignoring one outlier per 50 interactions
+    const interactions = new Map(); // interactionId -> longest event duration
+    const recordInteractions = (entries) => {
+      entries
+        .filter((entry) => entry.interactionId)
+        .forEach((entry) => {
+          interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+        });
+
+      const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+      if (durations.length > 0) {
+        this.webVitals.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+      }
+    };
+    this.observePerformance("event", recordInteractions, { durationThreshold: 40 });
+    this.observePerformance("first-input", recordInteractions);
+
+    // LCP, CLS and INP are final once the page is hidden
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.reportWebVitals();
+    });
+    window.addEventListener("pagehide", () => this.reportWebVitals());
+  }
+
+  /**
+   * Subscribes to a performance entry type, including entries recorded before this call
+   *
+   * @returns {boolean} Whether the browser supports the entry type
+   */
+  observePerformance(type, callback, options = {}) {
+    if (!(PerformanceObserver.supportedEntryTypes || []).includes(type)) {
+      console.warn(`⚠️ Performance entry type "${type}" not supported`);
+      return false;
+    }
+
+    const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    return true;
+  }
+
+  /**
+   * Rates a Core Web Vitals value
+   *
+   * @param {string} metric - LCP, INP, CLS, TTFB or FCP
+   * @param {number} value - Measured value
+   * @returns {string} good, needs-improvement or poor
+   */
+  rateWebVital(metric, value) {
+    const { good, poor } = WEB_VITAL_THRESHOLDS[metric];
+    if (value <= good) return "good";
+    if (value <= poor) return "needs-improvement";
+    return "poor";
+  }
+
+  /**
+   * Reports the collected vitals as one WebVitals event per page view
+   *
+   * The event is also relayed to the server, which aggregates p75 values
+   * per page (GET /api/web-vitals).
+   */
+  reportWebVitals() {
+    if (this.webVitalsReported || Object.keys(this.webVitals).length === 0) return;
+    this.webVitalsReported = true;
+
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType("navigation") : [];
+    const properties = {
+      page: this.currentRoute(),
+      navigationType: navigation ? navigation.type : "unknown",
+      sessionId: this.sessionId,
+    };
+    Object.entries(this.webVitals).forEach(([metric, value]) => {
+      properties[`${metric.toLowerCase()}Rating`] = this.rateWebVital(metric, value);
+    });
+
+    this.tracker.trackEvent(
+      {
+        name: "WebVitals",
+        properties,
+        measurements: { ...this.webVitals },
+      },
+      { server: true }
+    );
+  }
+
+  /**
+   * Reports the Navigation Timing of the current page load
+   *
+   * The phases are measured from the navigation start:
+   * - networkConnect:   redirects, DNS lookup, TCP and TLS connection
+   * - sentRequest:      request sent until the first response byte
+   * - receivedResponse: first to last response byte
+   * - domProcessing:    DOM parsing until the load event
+   */
+  measurePageLoad() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType("navigation") : [];
+    if (!navigation || navigation.loadEventEnd === 0) {
+      this.showStatus("Navigation Timing not available yet - try again once the page has loaded", "error");
+      return;
+    }
+
+    const loadTime = navigation.loadEventEnd - navigation.startTime;
+
+    this.tracker.trackMetric({
+      name: "PageLoadTime",
+      value: loadTime,
+      properties: {
+        pageName: "Home",
+        sessionId: this.sessionId,
+      },
+    });
+
+    this.tracker.trackPageViewPerformance({
+      name: "HomePage",
+      url: window.location.href,
+      duration: loadTime,
+      perfTotal: loadTime,
+      networkConnect: navigation.connectEnd - navigation.startTime,
+      sentRequest: navigation.responseStart - navigation.requestStart,
+      receivedResponse: navigation.responseEnd - navigation.responseStart,
+      domProcessing: navigation.loadEventEnd - navigation.responseEnd,
+    });
+
+    const vitals = Object.entries(this.webVitals)
+      .map(([metric, value]) => `${metric} ${metric === "CLS" ? value.toFixed(3) : `${value.toFixed(0)}ms`} (${this.rateWebVital(metric, value)})`)
+      .join(", ");
+    this.showStatus(`Page load time: ${loadTime.toFixed(0)}ms${vitals ? ` - ${vitals}` : ""}`, "success");
+    console.log("Page Load Time:", loadTime, "Web Vitals:", this.webVitals);
+  }
+
+  /**
+   * Fetches p75 Core Web Vitals per page from the server and renders them
+   */
+  async showWebVitals() {
+    try {
+      const response = await traceContext.fetch("/api/web-vitals");
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP ${response.status}`);
+      }
+      this.renderWebVitals(body.data);
+    } catch (error) {
+      console.warn("⚠️ Failed to load web vitals:", error);
+      this.showStatus("Could not load web vitals from the server", "error");
+    }
+  }
+
+  renderWebVitals(report) {
+    const metrics = Object.keys(WEB_VITAL_THRESHOLDS);
+    const formatValue = (metric, value) => (metric === "CLS" ? value.toFixed(3) : `${value.toFixed(0)}ms`);
+
+    const rows = report.pages
+      .map((page) => {
+        const cells = metrics
+          .map((metric) => {
+            const result = page.metrics[metric];
+            if (!result) return "<td>-</td>";
+            const trend = result.regressed ? " ⚠️" : "";
+            return `<td class="vital-${result.rating}">${formatValue(metric, result.p75)}${trend}</td>`;
+          })
+          .join("");
+        return `<tr><th>${this.escapeHtml(page.page)}</th><td>${page.pageViews}</td>${cells}</tr>`;
+      })
+      .join("");
+
+    const resultsDiv = document.getElementById("webVitalsResults");
+    resultsDiv.style.display = "block";
+    resultsDiv.innerHTML = rows
+      ? `
+            <strong>p75 Core Web Vitals (last 7 days)</strong> - ⚠️ marks a regression against the previous 7 days
+            <table class="retention-table">
+                <thead><tr><th>Page</th><th>Views</th>${metrics.map((metric) => `<th>${metric}</th>`).join("")}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `
+      : "No web vitals reported yet - they are sent when a page is hidden or closed";
+
+    console.log("Web Vitals Report:", report);
+  }
+
+  // ===================================================================
+  // ERROR CAPTURE
+  // Uncaught errors and unhandled promise rejections are reported
+  // automatically. Each report carries a normalized stack, a fingerprint
+  // (hash of the error type, message and top stack frames) and the
+  // breadcrumbs leading up to it. The server groups reports by fingerprint
+  // (GET /api/errors/groups).
+  // ===================================================================
+
+  startErrorCapture() {
+    // addEventListener rather than assigning window.onerror, which the SDK snippet wraps
+    window.addEventListener("error", (event) => {
+      let { error } = event;
+      if (!(error instanceof Error)) {
+        // Cross-origin scripts only expose "Script error." - the stack would point at this handler
+        error = new Error(event.message || "Unknown error");
+        error.stack = "";
+      }
+      this.captureError(error, {
+        source: "onerror",
+        fallbackFrame: event.filename ? { fn: "<anonymous>", file: event.filename, line: event.lineno, column: event.colno } : null,
       });
+    });
+
+    window.addEventListener("unhandledrejection", (event) => {
+      const { reason } = event;
+      let error = reason;
+      if (!(reason instanceof Error)) {
+        error = new Error(typeof reason === "string" ? reason : `Unhandled rejection with value: ${this.describeValue(reason)}`);
+        error.name = "UnhandledRejection";
+        error.stack = "";
+      }
+      this.captureError(error, { source: "unhandledrejection" });
+    });
+
+    // Capture phase, so clicks are recorded even when a handler stops propagation
+    document.addEventListener(
+      "click",
+      (event) => {
+        if (event.target && event.target.tagName) {
+          this.addBreadcrumb({ type: "click", name: this.describeElement(event.target) });
+        }
+      },
+      true
+    );
+  }
+
+  /**
+   * Records a breadcrumb; only the last MAX_BREADCRUMBS are kept
+   *
+   * @param {Object} breadcrumb - { type, name }
+   */
+  addBreadcrumb(breadcrumb) {
+    this.breadcrumbs.push({ ...breadcrumb, time: new Date().toISOString() });
+    if (this.breadcrumbs.length > MAX_BREADCRUMBS) {
+      this.breadcrumbs.shift();
+    }
+  }
+
+  /**
+   * Short, PII-free description of a clicked element (tag, id and button label)
+   */
+  describeElement(element) {
+    const id = element.id ? `#${element.id}` : "";
+    const label = ["BUTTON", "A"].includes(element.tagName) ? ` "${(element.textContent || "").trim().slice(0, 40)}"` : "";
+    return `${element.tagName.toLowerCase()}${id}${label}`;
+  }
 
-      // Track funnel progression for conversion analysis
-      appInsights.trackEvent({
-        name: "FunnelStep",
-        properties: {
-          step: "application_started",
-          funnelId: this.currentQuoteId, // Use quote ID as funnel identifier
-          sessionId: this.sessionId,
-        },
-      });
+  describeValue(value) {
+    try {
+      return JSON.stringify(value).slice(0, 200);
+    } catch (error) {
+      return String(value);
     }
+  }
 
-    // Update UI metrics and enable next step
-    document.getElementById("applicationsStarted").textContent = this.metrics.applicationsStarted;
-    document.getElementById("completeAppBtn").disabled = false;
+  /**
+   * Parses a V8 ("at fn (file:line:col)") or Firefox/Safari ("fn@file:line:col")
+   * stack into frames
+   *
+   * File names are made relative to this origin and stripped of query strings,
+   * so cache-busting parameters don't split error groups.
+   *
+   * @param {string} stack - Error stack
+   * @returns {Object[]} Frames ({ fn, file, line, column }), innermost first
+   */
+  parseStack(stack) {
+    return (stack || "")
+      .split("\n")
+      .map((line) => {
+        const match = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/) || line.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+        if (!match) return null;
+        return {
+          fn: match[1] || "<anonymous>",
+          file: match[2].replace(window.location.origin, "").replace(/[?#].*$/, ""),
+          line: parseInt(match[3], 10),
+          column: parseInt(match[4], 10),
+        };
+      })
+      .filter(Boolean);
+  }
 
-    this.showStatus("Application started successfully", "success");
-    console.log("Application Started:", applicationData);
+  /**
+   * Replaces volatile parts of an error message (ids, numbers) so
+   * occurrences of the same error share a fingerprint
+   */
+  normalizeErrorMessage(message) {
+    return String(message)
+      .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>")
+      .replace(/\b[0-9a-f]{16,}\b/gi, "<hex>")
+      .replace(/\d+/g, "<n>");
   }
 
   /**
-   * Handles application completion (third step in purchase journey)
-   * 
-   * This represents users who complete the application form, showing
-   * strong purchase intent. Measuring time to complete helps identify
-   * friction points in the application process.
+   * 32-bit FNV-1a hash as 8 hex characters - fast and synchronous, which
+   * is all a grouping key needs
    */
-  completeApplication() {
-    if (!this.currentApplicationId) {
-      this.showStatus("Please start an application first", "error");
-      return;
-    }
+  hashString(value) {
+    return fnv1a(value).toString(16).padStart(8, "0");
+  }
 
-    const personalInfo = document.getElementById("personalInfo").value;
-    if (!personalInfo) {
-      this.showStatus("Please fill in personal information", "error");
-      return;
-    }
+  /**
+   * Reports an error with fingerprint, normalized stack and breadcrumbs
+   *
+   * Repeats of a fingerprint within ERROR_DUPLICATE_WINDOW_MS are only
+   * counted; the next report carries the number suppressed in between.
+   *
+   * @param {Error} error - The error
+   * @param {Object} [options]
+   * @param {string} [options.source] - onerror, unhandledrejection or manual
+   * @param {Object} [options.fallbackFrame] - Location to use when the error has no stack
+   * @param {Object} [options.properties] - Additional properties
+   * @returns {{fingerprint: string, reported: boolean}}
+   */
+  captureError(error, { source = "manual", fallbackFrame = null, properties = {} } = {}) {
+    try {
+      let frames = this.parseStack(error.stack);
+      if (frames.length === 0 && fallbackFrame) {
+        frames = this.parseStack(`    at ${fallbackFrame.fn} (${fallbackFrame.file}:${fallbackFrame.line}:${fallbackFrame.column})`);
+      }
 
-    this.metrics.applicationsCompleted++;
+      const errorName = error.name || "Error";
+      const fingerprint = this.hashString(
+        [errorName, this.normalizeErrorMessage(error.message), ...frames.slice(0, ERROR_FINGERPRINT_FRAMES).map((frame) => `${frame.fn}@${frame.file}:${frame.line}`)].join("|")
+      );
 
-    const completionData = {
-      applicationId: this.currentApplicationId,
-      quoteId: this.currentQuoteId,
-      step: "completed",
-      timeToComplete: Date.now() - this.sessionStartTime,
-      timestamp: new Date().toISOString(),
-    };
+      const now = Date.now();
+      const previous = this.errorReports.get(fingerprint);
+      if (previous && now - previous.lastReportedAt < ERROR_DUPLICATE_WINDOW_MS) {
+        previous.suppressed++;
+        return { fingerprint, reported: false };
+      }
+      if (this.errorReportCount >= MAX_ERROR_REPORTS) {
+        return { fingerprint, reported: false };
+      }
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "ApplicationCompleted",
-        properties: {
-          applicationId: this.currentApplicationId,
-          quoteId: this.currentQuoteId,
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          timeToCompleteMs: completionData.timeToComplete,
-        },
-      });
+      this.errorReports.set(fingerprint, { lastReportedAt: now, suppressed: 0 });
+      this.errorReportCount++;
 
-      // Track funnel step
-      appInsights.trackEvent({
-        name: "FunnelStep",
-        properties: {
-          step: "application_completed",
-          funnelId: this.currentQuoteId,
-          sessionId: this.sessionId,
+      const normalized = new Error(error.message);
+      normalized.name = errorName;
+      normalized.stack = [`${errorName}: ${error.message}`, ...frames.map((frame) => `    at ${frame.fn} (${frame.file}:${frame.line}:${frame.column})`)].join("\n");
+
+      // The server groups errors by fingerprint, so reports are always relayed
+      this.tracker.trackException(
+        {
+          exception: normalized,
+          properties: {
+            ...properties,
+            fingerprint,
+            errorSource: source,
+            page: this.currentRoute(),
+            suppressedCount: previous ? previous.suppressed : 0,
+            breadcrumbs: JSON.stringify(this.breadcrumbs),
+          },
         },
-      });
+        { server: true }
+      );
+
+      return { fingerprint, reported: true };
+    } catch (captureFailure) {
+      // Never let error reporting raise errors of its own
+      console.warn("⚠️ Failed to capture error:", captureFailure);
+      return { fingerprint: null, reported: false };
     }
-
-    // Update UI
-    document.getElementById("applicationsCompleted").textContent = this.metrics.applicationsCompleted;
-    document.getElementById("purchaseBtn").disabled = false;
-
-    this.showStatus("Application completed successfully", "success");
-    console.log("Application Completed:", completionData);
   }
 
-  purchasePolicy() {
-    if (!this.currentApplicationId) {
-      this.showStatus("Please complete an application first", "error");
-      return;
+  simulateError() {
+    const errorData = {
+      errorType: "simulated_client_error",
+      message: "This is a simulated error for demonstration purposes",
+      timestamp: new Date().toISOString(),
+    };
+
+    const { fingerprint, reported } = this.captureError(new Error(errorData.message), {
+      properties: {
+        errorType: errorData.errorType,
+        sessionId: this.sessionId,
+        isSimulated: true,
+      },
+    });
+
+    if (reported) {
+      this.showStatus(`Error simulation tracked (fingerprint ${fingerprint})`, "error");
+    } else {
+      this.showStatus(`Duplicate error ${fingerprint} suppressed by the client rate limit`, "error");
     }
+    console.error("Simulated Error:", errorData);
+  }
 
-    const policyId = "policy_" + Date.now();
-    this.metrics.policiesSold++;
+  /**
+   * Fetches error groups from the server and renders them as a table
+   */
+  async showErrorGroups() {
+    try {
+      const response = await traceContext.fetch("/api/errors/groups");
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP ${response.status}`);
+      }
 
-    const purchaseData = {
-      policyId,
-      applicationId: this.currentApplicationId,
-      quoteId: this.currentQuoteId,
-      timeToConvert: Date.now() - this.sessionStartTime,
-      timestamp: new Date().toISOString(),
-    };
+      const rows = body.data.groups
+        .map(
+          (group) =>
+            `<tr><th>${this.escapeHtml(group.fingerprint)}</th><td style="text-align: left">${this.escapeHtml(group.message)}</td><td>${group.occurrences}</td><td>${group.affectedUsers}</td><td>${new Date(group.firstSeen).toLocaleString()}</td><td>${new Date(group.lastSeen).toLocaleString()}</td></tr>`
+        )
+        .join("");
+
+      const resultsDiv = document.getElementById("errorGroupsResults");
+      resultsDiv.style.display = "block";
+      resultsDiv.innerHTML = rows
+        ? `
+            <table class="retention-table">
+                <thead><tr><th>Fingerprint</th><th>Message</th><th>Occurrences</th><th>Users</th><th>First seen</th><th>Last seen</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `
+        : "No errors reported yet";
+
+      console.log("Error Groups:", body.data);
+    } catch (error) {
+      console.warn("⚠️ Failed to load error groups:", error);
+      this.showStatus("Could not load error groups from the server", "error");
+    }
+  }
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "PolicyPurchased",
-        properties: {
-          policyId,
-          applicationId: this.currentApplicationId,
-          quoteId: this.currentQuoteId,
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          timeToConvertMs: purchaseData.timeToConvert,
-        },
-      });
+  // ===================================================================
+  // DECLARATIVE TRACKING
+  // Markup opts into tracking with data attributes instead of inline
+  // handlers; one delegated listener per DOM event type handles them all:
+  //
+  //   data-action="submitQuoteRequest"   manager method to run (DECLARATIVE_ACTIONS)
+  //   data-track-event="CtaClicked"      custom event to track
+  //   data-track-prop-cta="quote"        event property (cta = "quote")
+  //   data-track-category="analytics"    consent category (default analytics)
+  //   data-track-on="visible"            trigger: click, submit, change or visible
+  //
+  // The trigger defaults to submit for forms, change for form controls and
+  // click for everything else. Visible fires once, when half the element is
+  // on screen.
+  // ===================================================================
 
-      // Track conversion
-      appInsights.trackEvent({
-        name: "Conversion",
-        properties: {
-          conversionType: "policy_purchase",
-          funnelId: this.currentQuoteId,
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          conversionValue: parseFloat(document.getElementById("coverageAmount").value) || 0,
-        },
+  startDeclarativeTracking() {
+    DECLARATIVE_EVENT_TYPES.forEach((type) => {
+      document.removeEventListener(type, queuePendingInteraction);
+      document.addEventListener(type, (event) => {
+        const element = this.findDeclarativeElement(event.target);
+        if (!element || this.triggerOf(element) !== type) return;
+        if (type === "submit" && element.dataset.action) event.preventDefault();
+        this.handleDeclarativeElement(element, type);
       });
-
-      // Track funnel completion
-      appInsights.trackEvent({
-        name: "FunnelStep",
-        properties: {
-          step: "purchase_completed",
-          funnelId: this.currentQuoteId,
-          sessionId: this.sessionId,
+    });
+
+    if (typeof IntersectionObserver === "function") {
+      this.visibilityObserver = new IntersectionObserver(
+        (entries) => {
+          entries.forEach((entry) => {
+            if (!entry.isIntersecting) return;
+            this.visibilityObserver.unobserve(entry.target);
+            this.handleDeclarativeElement(entry.target, "visible");
+          });
         },
-      });
+        { threshold: VISIBILITY_THRESHOLD }
+      );
+      this.observeVisibility(document);
+    } else {
+      console.warn("⚠️ IntersectionObserver not supported - visibility tracking disabled");
     }
 
-    // Update UI
-    document.getElementById("policiesSold").textContent = this.metrics.policiesSold;
+    // Interactions that happened before initialization, in order
+    pendingInteractions.splice(0).forEach(({ type, element, time }) => {
+      if (this.triggerOf(element) === type) {
+        this.handleDeclarativeElement(element, type, { queuedMs: Date.now() - time });
+      }
+    });
+  }
 
-    // Reset form
-    this.resetPurchaseJourney();
+  /**
+   * Starts visibility tracking for the data-track-on="visible" elements
+   * under root; call it for content added after initialization
+   *
+   * @param {Document|Element} root
+   */
+  observeVisibility(root) {
+    if (!this.visibilityObserver) return;
+    root.querySelectorAll('[data-track-on="visible"]').forEach((element) => this.visibilityObserver.observe(element));
+  }
 
-    this.showStatus(`Policy purchased successfully: ${policyId}`, "success");
-    console.log("Policy Purchased:", purchaseData);
+  findDeclarativeElement(target) {
+    return target && typeof target.closest === "function" ? target.closest(DECLARATIVE_SELECTOR) : null;
   }
 
-  resetPurchaseJourney() {
-    this.currentQuoteId = null;
-    this.currentApplicationId = null;
-    document.getElementById("customerName").value = "";
-    document.getElementById("insuranceType").value = "";
-    document.getElementById("coverageAmount").value = "";
-    document.getElementById("applicationId").value = "";
-    document.getElementById("personalInfo").value = "";
-    document.getElementById("startAppBtn").disabled = true;
-    document.getElementById("completeAppBtn").disabled = true;
-    document.getElementById("purchaseBtn").disabled = true;
+  triggerOf(element) {
+    if (element.dataset.trackOn) return element.dataset.trackOn;
+    if (element.tagName === "FORM") return "submit";
+    return ["INPUT", "SELECT", "TEXTAREA"].includes(element.tagName) ? "change" : "click";
   }
 
-  // A/B Testing Implementation
-  runABTest(variant) {
-    const testData = {
-      testName: "homepage_cta_test",
-      variant,
-      timestamp: new Date().toISOString(),
-      sessionId: this.sessionId,
-    };
+  /**
+   * Event properties of an element: its data-track-prop-* attributes plus the
+   * trigger and page. The value of selects and checkboxes is included on change;
+   * free text inputs are never read (they may contain personal data).
+   */
+  declarativeProperties(element, trigger) {
+    const properties = { trigger, page: this.currentRoute() };
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "ABTestParticipation",
-        properties: {
-          testName: "homepage_cta_test",
-          variant,
-          sessionId: this.sessionId,
-        },
-      });
+    Object.keys(element.dataset).forEach((key) => {
+      if (key.startsWith("trackProp") && key.length > "trackProp".length) {
+        const name = key.slice("trackProp".length);
+        properties[name.charAt(0).toLowerCase() + name.slice(1)] = element.dataset[key];
+      }
+    });
+
+    if (trigger === "change") {
+      if (element.tagName === "SELECT") properties.value = element.value;
+      if (element.type === "checkbox") properties.value = String(element.checked);
     }
+    return properties;
+  }
 
-    // Simulate different conversion rates
-    const conversionRate = variant === "variant_a" ? 0.15 : 0.22;
-    const converted = Math.random() < conversionRate;
+  /**
+   * Tracks the element's event and runs its action
+   *
+   * @param {Element} element - Element with data-action and/or data-track-event
+   * @param {string} trigger - click, submit, change or visible
+   * @param {Object} [options]
+   * @param {number} [options.queuedMs] - Delay of an interaction replayed after initialization
+   */
+  handleDeclarativeElement(element, trigger, { queuedMs } = {}) {
+    const { action, trackEvent, trackCategory } = element.dataset;
+
+    if (trackEvent) {
+      const measurements = queuedMs === undefined ? {} : { queuedMs };
+      this.tracker.trackEvent(
+        { name: trackEvent, properties: this.declarativeProperties(element, trigger), measurements },
+        { category: CONSENT_CATEGORIES.includes(trackCategory) ? trackCategory : "analytics" }
+      );
+    }
 
-    if (converted) {
-      if (window.appInsights) {
-        appInsights.trackEvent({
-          name: "ABTestConversion",
-          properties: {
-            testName: "homepage_cta_test",
-            variant,
-            sessionId: this.sessionId,
-          },
-        });
+    if (action) {
+      if (!DECLARATIVE_ACTIONS.includes(action) || typeof this[action] !== "function") {
+        console.warn(`⚠️ Unknown data-action "${action}" on ${this.describeElement(element)}`);
+        return;
       }
+      this[action]();
     }
-
-    const resultDiv = document.getElementById("abTestResults");
-    resultDiv.style.display = "block";
-    resultDiv.className = converted ? "status success" : "status";
-    resultDiv.textContent = `A/B Test ${variant.toUpperCase()}: ${converted ? "Converted!" : "No conversion"} (Simulated rate: ${(
-      conversionRate * 100
-    ).toFixed(1)}%)`;
-
-    console.log("A/B Test:", testData, "Converted:", converted);
   }
 
-  measurePageLoad() {
-    // Simulate page load measurement
-    const loadTime = Math.random() * 3000 + 500; // 500-3500ms
+  // ===================================================================
+  // TRACE CORRELATION
+  // Every click on a button or link starts a new operation (see
+  // TraceContext), so the telemetry and server requests a click causes
+  // share one operation id and can be viewed as a tree.
+  // ===================================================================
 
-    if (window.appInsights) {
-      appInsights.trackMetric({
-        name: "PageLoadTime",
-        value: loadTime,
-        properties: {
-          pageName: "Home",
-          sessionId: this.sessionId,
-        },
-      });
+  startOperationTracking() {
+    // Capture phase, so the operation exists before the click handlers track anything
+    document.addEventListener(
+      "click",
+      (event) => {
+        const target = event.target && typeof event.target.closest === "function" ? event.target.closest("button, a") : null;
+        if (target) {
+          traceContext.startOperation(`click ${this.describeElement(target)}`);
+        }
+      },
+      true
+    );
+  }
 
-      appInsights.trackPageViewPerformance({
-        name: "HomePage",
-        url: window.location.href,
-        duration: loadTime,
-        perfTotal: loadTime,
-        networkConnect: loadTime * 0.1,
-        sentRequest: loadTime * 0.2,
-        receivedResponse: loadTime * 0.3,
-        domProcessing: loadTime * 0.4,
-      });
+  /**
+   * Shows the trace of the previous operation (the click before the one on
+   * the "View Last Trace" button) as a tree
+   */
+  async showLastTrace() {
+    const operation = traceContext.previous;
+    const resultsDiv = document.getElementById("traceResults");
+    if (!operation) {
+      resultsDiv.style.display = "block";
+      resultsDiv.textContent = "No previous operation yet";
+      return;
     }
 
-    this.showStatus(`Page load time measured: ${loadTime.toFixed(0)}ms`, "success");
-    console.log("Page Load Time:", loadTime);
-  }
+    try {
+      const response = await traceContext.fetch(`/api/traces/${operation.traceId}`);
+      const body = await response.json();
+      if (response.status === 404) {
+        resultsDiv.style.display = "block";
+        resultsDiv.textContent = `Nothing recorded yet for "${operation.name}" (${operation.traceId}) - queued telemetry may still be on its way`;
+        return;
+      }
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP ${response.status}`);
+      }
 
-  simulateError() {
-    const errorData = {
-      errorType: "simulated_client_error",
-      message: "This is a simulated error for demonstration purposes",
-      timestamp: new Date().toISOString(),
-    };
+      resultsDiv.style.display = "block";
+      resultsDiv.innerHTML = `
+        <strong>${this.escapeHtml(operation.name)}</strong> - trace ${body.data.traceId}, ${body.data.itemCount} items, ${body.data.duration} ms
+        ${this.renderTraceNodes(body.data.roots)}
+      `;
 
-    if (window.appInsights) {
-      appInsights.trackException({
-        exception: new Error(errorData.message),
-        properties: {
-          errorType: errorData.errorType,
-          sessionId: this.sessionId,
-          isSimulated: true,
-        },
-      });
+      console.log("Trace:", body.data);
+    } catch (error) {
+      console.warn("⚠️ Failed to load trace:", error);
+      this.showStatus("Could not load the trace from the server", "error");
     }
+  }
 
-    this.showStatus("Error simulation tracked in Application Insights", "error");
-    console.error("Simulated Error:", errorData);
+  renderTraceNodes(nodes) {
+    if (nodes.length === 0) return "";
+    const items = nodes
+      .map((node) => {
+        const details = node.type === "request" ? ` - ${node.resultCode}, ${node.duration} ms` : "";
+        return `<li><code>${node.type}</code> ${this.escapeHtml(node.name)}${details}${this.renderTraceNodes(node.children)}</li>`;
+      })
+      .join("");
+    return `<ul>${items}</ul>`;
   }
 
   // Device & Segmentation Implementation
@@ -747,15 +3309,13 @@ class AnalyticsManager {
       timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
     };
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "DeviceInfo",
-        properties: {
-          ...deviceInfo,
-          sessionId: this.sessionId,
-        },
-      });
-    }
+    this.tracker.trackEvent({
+      name: "DeviceInfo",
+      properties: {
+        ...deviceInfo,
+        sessionId: this.sessionId,
+      },
+    });
 
     const deviceDiv = document.getElementById("deviceInfo");
     const detailsDiv = document.getElementById("deviceDetails");
@@ -771,21 +3331,35 @@ class AnalyticsManager {
     console.log("Device Info Tracked:", deviceInfo);
   }
 
+  /**
+   * Classifies the current device for segmentation
+   *
+   * @returns {string} "mobile", "tablet" or "desktop"
+   */
+  getDeviceType() {
+    const userAgent = navigator.userAgent;
+    if (/iPad|Tablet|PlayBook|Silk/i.test(userAgent) || (/Android/i.test(userAgent) && !/Mobile/i.test(userAgent))) {
+      return "tablet";
+    }
+    if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i.test(userAgent)) {
+      return "mobile";
+    }
+    return "desktop";
+  }
+
   trackCustomSegment() {
     // Simulate custom segmentation based on user behavior
     const segments = ["high_value", "mobile_user", "enterprise", "small_business"];
     const randomSegment = segments[Math.floor(Math.random() * segments.length)];
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "UserSegmentation",
-        properties: {
-          segment: randomSegment,
-          sessionId: this.sessionId,
-          assignmentReason: "behavioral_analysis",
-        },
-      });
-    }
+    this.tracker.trackEvent({
+      name: "UserSegmentation",
+      properties: {
+        segment: randomSegment,
+        sessionId: this.sessionId,
+        assignmentReason: "behavioral_analysis",
+      },
+    });
 
     this.showStatus(`User assigned to segment: ${randomSegment}`, "success");
     console.log("Custom Segment Tracked:", randomSegment);
@@ -796,19 +3370,21 @@ class AnalyticsManager {
     const cohortId = this.getCohortId();
     const joinDate = new Date().toISOString();
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
+    // The server computes the retention matrix from joins in its event store
+    this.tracker.trackEvent(
+      {
         name: "CohortJoin",
         properties: {
           cohortId,
           joinDate,
           sessionId: this.sessionId,
         },
-      });
-    }
+      },
+      { server: true }
+    );
 
-    localStorage.setItem("user_cohort", cohortId);
-    localStorage.setItem("cohort_join_date", joinDate);
+    this.persistValue("user_cohort", cohortId);
+    this.persistValue("cohort_join_date", joinDate);
 
     const cohortDiv = document.getElementById("cohortInfo");
     const detailsDiv = document.getElementById("cohortDetails");
@@ -830,8 +3406,8 @@ class AnalyticsManager {
   }
 
   trackRetention() {
-    const cohortId = localStorage.getItem("user_cohort");
-    const joinDate = localStorage.getItem("cohort_join_date");
+    const cohortId = this.readValue("user_cohort");
+    const joinDate = this.readValue("cohort_join_date");
 
     if (!cohortId || !joinDate) {
       this.showStatus("Please join a cohort first", "error");
@@ -840,8 +3416,8 @@ class AnalyticsManager {
 
     const daysSinceJoin = Math.floor((Date.now() - new Date(joinDate).getTime()) / (1000 * 60 * 60 * 24));
 
-    if (window.appInsights) {
-      appInsights.trackEvent({
+    this.tracker.trackEvent(
+      {
         name: "CohortRetention",
         properties: {
           cohortId,
@@ -851,58 +3427,82 @@ class AnalyticsManager {
         measurements: {
           daysSinceJoin,
         },
-      });
-    }
+      },
+      { server: true }
+    );
 
     this.showStatus(`Retention event tracked (Day ${daysSinceJoin} since joining cohort)`, "success");
     console.log("Retention Tracked:", { cohortId, daysSinceJoin });
   }
 
-  viewCohortData() {
-    const cohortId = localStorage.getItem("user_cohort");
-    if (!cohortId) {
-      this.showStatus("No cohort data available. Please join a cohort first.", "error");
+  /**
+   * Fetches the cohort retention triangle from the server and renders it as a table
+   *
+   * Rows are cohorts (users grouped by the day, week or month they joined),
+   * columns are periods since joining. Each cell shows the percentage and
+   * absolute number of cohort members that were active in that period.
+   */
+  async viewCohortData() {
+    const periodSelect = document.getElementById("cohortPeriod");
+    const period = periodSelect ? periodSelect.value : "week";
+
+    let matrix;
+    try {
+      const response = await traceContext.fetch(`/api/cohorts/retention?period=${period}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      matrix = result.data;
+    } catch (error) {
+      this.showStatus(`Failed to load cohort data: ${error.message}`, "error");
+      console.error("Cohort data error:", error);
       return;
     }
 
-    // Simulate cohort analytics data
-    const cohortData = {
-      cohortId,
-      totalMembers: Math.floor(Math.random() * 1000) + 100,
-      activeMembers: Math.floor(Math.random() * 500) + 50,
-      retentionRate: (Math.random() * 0.4 + 0.3).toFixed(2), // 30-70%
-      avgSessionDuration: Math.floor(Math.random() * 300) + 120, // 2-7 minutes
-    };
-
-    if (window.appInsights) {
-      appInsights.trackEvent({
-        name: "CohortAnalysisView",
-        properties: {
-          cohortId: cohortData.cohortId,
-          sessionId: this.sessionId,
-        },
-        measurements: {
-          totalMembers: cohortData.totalMembers,
-          activeMembers: cohortData.activeMembers,
-          retentionRate: parseFloat(cohortData.retentionRate),
-          avgSessionDuration: cohortData.avgSessionDuration,
-        },
-      });
+    if (matrix.cohorts.length === 0) {
+      this.showStatus("No cohort data available yet. Join a cohort first.", "error");
+      return;
     }
 
+    const totalMembers = matrix.cohorts.reduce((sum, cohort) => sum + cohort.size, 0);
+
+    this.tracker.trackEvent({
+      name: "CohortAnalysisView",
+      properties: {
+        cohortId: this.readValue("user_cohort") || "all",
+        period,
+        sessionId: this.sessionId,
+      },
+      measurements: {
+        cohortCount: matrix.cohorts.length,
+        totalMembers,
+      },
+    });
+
+    const headerCells = Array.from({ length: matrix.maxOffset + 1 }, (_, offset) => `<th>${period} ${offset}</th>`).join("");
+    const rows = matrix.cohorts
+      .map((cohort) => {
+        const cells = Array.from({ length: matrix.maxOffset + 1 }, (_, offset) => {
+          const cell = cohort.retention[offset];
+          return cell ? `<td>${(cell.rate * 100).toFixed(1)}% (${cell.activeUsers})</td>` : "<td></td>";
+        }).join("");
+        return `<tr><th>${cohort.cohort}</th><td>${cohort.size}</td>${cells}</tr>`;
+      })
+      .join("");
+
     const cohortDiv = document.getElementById("cohortInfo");
     const detailsDiv = document.getElementById("cohortDetails");
     cohortDiv.style.display = "block";
     detailsDiv.innerHTML = `
-            <strong>Cohort ID:</strong> ${cohortData.cohortId}<br>
-            <strong>Total Members:</strong> ${cohortData.totalMembers}<br>
-            <strong>Active Members:</strong> ${cohortData.activeMembers}<br>
-            <strong>Retention Rate:</strong> ${(cohortData.retentionRate * 100).toFixed(1)}%<br>
-            <strong>Avg Session Duration:</strong> ${Math.floor(cohortData.avgSessionDuration / 60)}m ${cohortData.avgSessionDuration % 60}s
+            <table class="retention-table">
+                <thead><tr><th>Cohort</th><th>Users</th>${headerCells}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
         `;
 
-    this.showStatus("Cohort analytics data displayed", "success");
-    console.log("Cohort Data:", cohortData);
+    this.showStatus("Cohort retention matrix displayed", "success");
+    console.log("Cohort Retention Matrix:", matrix);
   }
 
   // ===================================================================
@@ -931,6 +3531,13 @@ class AnalyticsManager {
       statusDiv.style.display = "none";
     }, 5000);
   }
+
+  /**
+   * Escapes client-supplied text (error messages, page paths) before it is rendered as HTML
+   */
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, (character) => `&#${character.charCodeAt(0)};`);
+  }
 }
 
 // ===================================================================
@@ -949,20 +3556,19 @@ let analyticsManager;
  * has been loaded and configured. It creates the global analytics instance
  * and begins tracking with an initial page view.
  * 
+ * @param {Object} [options] - AnalyticsManager options; pass { sdkAvailable: false }
+ *   when Application Insights is not configured so telemetry is relayed through the server,
+ *   routeRules to normalize the URLs of virtual page views (see RouteTracker), appVersion
+ *   (added to every item), sampling rates (see SamplingPlugin), debug to log every item
+ *   and plugins to register (see PluginPipeline)
  * @returns {boolean} Success status of initialization
  */
-function initializeAnalytics() {
+function initializeAnalytics(options = {}) {
   try {
-    analyticsManager = new AnalyticsManager();
+    analyticsManager = new AnalyticsManager(options);
     console.log("🎯 Analytics Manager initialized");
 
-    // Track initial page view after a short delay to ensure everything is ready
-    setTimeout(() => {
-      if (analyticsManager) {
-        analyticsManager.trackPageView("HomePage");
-      }
-    }, 1000);
-
+    // The initial page view is tracked by the manager's route tracking
     return true;
   } catch (error) {
     console.error("❌ Failed to initialize Analytics Manager:", error);
@@ -986,69 +3592,26 @@ document.addEventListener("DOMContentLoaded", function () {
 });
 
 // ===================================================================
-// GLOBAL FUNCTIONS FOR HTML ONCLICK HANDLERS
-// These functions provide the interface between HTML buttons and
-// the AnalyticsManager class methods. They ensure the analytics
-// manager is available before calling methods.
+// PENDING INTERACTIONS
+// Clicks, submits and changes on declarative elements that happen before
+// the manager exists (the SDK is still loading, or initializeAnalytics has
+// not been called yet) are queued and replayed by startDeclarativeTracking,
+// so no interaction is lost and nothing calls an uninitialized manager.
 // ===================================================================
 
-// Web Metrics Functions
-function trackPageView() {
-  analyticsManager.trackPageView();
-}
-function simulateNewVisitor() {
-  analyticsManager.simulateNewVisitor();
-}
-function simulateReturningVisitor() {
-  analyticsManager.simulateReturningVisitor();
-}
-function simulateBounce() {
-  analyticsManager.simulateBounce();
-}
-function trackTimeOnPage() {
-  analyticsManager.trackTimeOnPage();
-}
+const pendingInteractions = [];
 
-// Purchase Journey Functions  
-function submitQuoteRequest() {
-  analyticsManager.submitQuoteRequest();
-}
-function startApplication() {
-  analyticsManager.startApplication();
-}
-function completeApplication() {
-  analyticsManager.completeApplication();
-}
-function purchasePolicy() {
-  analyticsManager.purchasePolicy();
-}
+function queuePendingInteraction(event) {
+  const element = event.target && typeof event.target.closest === "function" ? event.target.closest(DECLARATIVE_SELECTOR) : null;
+  if (!element) return;
 
-// A/B Testing and Performance Functions
-function runABTest(variant) {
-  analyticsManager.runABTest(variant);
-}
-function measurePageLoad() {
-  analyticsManager.measurePageLoad();
-}
-function simulateError() {
-  analyticsManager.simulateError();
-}
+  // Forms with an action must not navigate away before it runs
+  if (event.type === "submit" && element.dataset.action) event.preventDefault();
 
-// Device and Segmentation Functions
-function trackDeviceInfo() {
-  analyticsManager.trackDeviceInfo();
-}
-function trackCustomSegment() {
-  analyticsManager.trackCustomSegment();
+  pendingInteractions.push({ type: event.type, element, time: Date.now() });
+  if (pendingInteractions.length > MAX_PENDING_INTERACTIONS) {
+    pendingInteractions.shift();
+  }
 }
 
-// Cohort Analysis Functions
-function joinCohort() {
-  analyticsManager.joinCohort();
-}
-function trackRetention() {
-  analyticsManager.trackRetention();
-}
-function viewCohortData() {
-  analyticsManager.viewCohortData();
-}
+DECLARATIVE_EVENT_TYPES.forEach((type) => document.addEventListener(type, queuePendingInteraction));
@@ -0,0 +1,1341 @@
+/**
+ * Application Insights PoC - Application Factory
+ *
+ * Builds the Express application with every route and middleware. The server
+ * entry point (server.js) and anything embedding the app (tests, other hosts)
+ * call createApp() so features cannot drift between deployments.
+ *
+ * Telemetry profile (see telemetry/profiles.js):
+ * - manual: requests tracked by the middleware below, minimal SDK auto-collection
+ * - full:   comprehensive Application Insights auto-collection
+ *
+ * The profile comes from options.profile, then TELEMETRY_PROFILE, and
+ * defaults to manual. Routes are identical in both profiles.
+ */
+
+const express = require("express");
+const path = require("path");
+const { MAX_BATCH_SIZE, processBatch } = require("./telemetry-batch");
+const { validateEvent, validateMetric } = require("./event-catalog");
+const {
+  createTelemetryClient,
+  isAppInsightsExportEnabled,
+  resolveTelemetryProfile,
+  initAppInsights,
+  Redactor,
+  Sampler,
+  traceContext,
+} = require("./telemetry");
+const { createEventStore, validateQuery } = require("./event-store");
+const { loadFunnels, computeFunnelReport, FunnelProgress, SEGMENT_PROPERTIES } = require("./funnel-engine");
+const { computeRetentionMatrix, PERIODS: COHORT_PERIODS } = require("./cohort-analysis");
+const { loadExperiments, assignVariant } = require("./experiments");
+const { computeExperimentResults } = require("./experiment-results");
+const { computeWebVitalsReport } = require("./web-vitals");
+const { computeErrorGroups, SORT_FIELDS: ERROR_SORT_FIELDS } = require("./error-groups");
+const { buildTraceTree } = require("./traces");
+const LiveMetrics = require("./live-metrics");
+const PrometheusMetrics = require("./prometheus");
+const { createIngestionGuard } = require("./ingestion-guard");
+const { version: APP_VERSION } = require("../package.json");
+
+// Routes behind the ingestion guard - their bodies are parsed with its payload cap
+const INGESTION_ROUTES = ["/api/track-event", "/api/track-metric", "/api/track-batch", "/api/purchase-journey"];
+
+/**
+ * Reads the userId a request was sent for - from the body (top level, its
+ * properties or the first batch item) or the query string
+ *
+ * @returns {string|null} userId, or null when the request carries none
+ */
+function readCallerUserId(req) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const source = Array.isArray(body.items) ? body.items[0] : body;
+  const candidates = [
+    source && source.userId,
+    source && source.properties && source.properties.userId,
+    req.query && req.query.userId,
+  ];
+  const userId = candidates.find(isNonEmptyString);
+  return userId || null;
+}
+
+/**
+ * Query and body values can be arrays or objects (?userId=a&userId=b, userId[]=a);
+ * identifiers must be plain strings
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+/**
+ * Checks identifier parameters of a request
+ *
+ * @param {Object} values - { field: value }
+ * @param {string[]} [optional] - Fields that may be omitted
+ * @returns {Object[]} Validation errors ({ field, message }), empty when valid
+ */
+function validateIdentifiers(values, optional = []) {
+  return Object.entries(values)
+    .filter(([field, value]) => !(optional.includes(field) && value === undefined) && !isNonEmptyString(value))
+    .map(([field]) => ({ field, message: "must be a non-empty string" }));
+}
+
+/**
+ * Creates the Express application
+ *
+ * The Application Insights SDK keeps a single global default client, so an
+ * app should be created once per process.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Telemetry profile: full or manual
+ * @param {Object} [options.ingestionLimits] - Rate and payload limits for ingestion routes (see ingestion-guard.js)
+ * @returns {Object} Express app; app.locals holds telemetryClient, telemetryProfile and eventStore
+ */
+function createApp(options = {}) {
+  const profile = resolveTelemetryProfile(options.profile);
+
+  // ===================================================================
+  // TELEMETRY EXPORTERS
+  // All routes send telemetry through a pipeline that fans out to the
+  // configured exporters. Without a connection string, telemetry is written
+  // to local NDJSON files instead of being dropped. Events, requests and
+  // exceptions are also kept in the local event store for GET /api/events
+  // and aggregated into live counters for GET /api/stream and per-step
+  // funnel counts for the FunnelConversion metric. Every item is
+  // tagged with the W3C trace context of the request that produced it,
+  // counted for GET /metrics, sampled per user (the browser applies the
+  // same rates) and redacted (PII rules) before it reaches any exporter.
+  // ===================================================================
+
+  // OTLP-only deployments (TELEMETRY_EXPORTERS=otlp) must not start the SDK and its auto-collection
+  const appInsightsEnabled = isAppInsightsExportEnabled();
+  const appInsightsClient = appInsightsEnabled ? initAppInsights(profile) : null;
+  if (!appInsightsEnabled) {
+    console.log("📤 Application Insights export disabled - TELEMETRY_EXPORTERS does not include appinsights");
+  }
+  const eventStore = createEventStore();
+  const funnels = loadFunnels();
+  const experiments = loadExperiments();
+  const liveMetrics = new LiveMetrics({ funnels });
+  const funnelProgress = new FunnelProgress(funnels);
+  if (eventStore) {
+    funnelProgress.seed(eventStore.find({ type: "event" }));
+  }
+  const prometheusMetrics = new PrometheusMetrics({ funnels });
+  const sampler = new Sampler();
+  const redactor = new Redactor();
+  const telemetryClient = createTelemetryClient({
+    appInsightsClient,
+    localExporters: [eventStore, liveMetrics, funnelProgress],
+    // Prometheus counters before sampling, so they count every item
+    processors: [new traceContext.TraceContextProcessor(), prometheusMetrics, sampler, redactor],
+  });
+
+  // Rate limits and payload caps in front of the unauthenticated ingestion routes
+  const ingestionGuard = createIngestionGuard({ telemetryClient, limits: options.ingestionLimits });
+
+  const app = express();
+  app.locals.telemetryClient = telemetryClient;
+  app.locals.telemetryProfile = profile;
+  app.locals.eventStore = eventStore;
+
+  // Configure middleware for parsing request data
+  app.use(INGESTION_ROUTES, ingestionGuard.parseBody);  // Ingestion bodies are capped while they are read
+  app.use(express.json());                              // Parse JSON request bodies
+  app.use(express.urlencoded({ extended: true }));     // Parse URL-encoded forms
+  app.use(express.static(path.join(__dirname, "..")));  // Serve static files from parent directory
+
+  // ===================================================================
+  // REQUEST TRACKING MIDDLEWARE
+  // Tracks every request through the telemetry pipeline so the local
+  // exporters (event store, live metrics) see requests in both profiles,
+  // adds a ServerResponseTime metric per endpoint and feeds the request
+  // duration histogram of GET /metrics. The request continues
+  // the caller's trace (traceparent header) or starts a new one; telemetry
+  // tracked while handling it shares its operation id.
+  // ===================================================================
+
+  app.use((req, res, next) => {
+    const startTime = Date.now();
+    const context = traceContext.createRequestContext(req.get("traceparent"), readCallerUserId(req));
+    const operationTags = {
+      [traceContext.OPERATION_ID_TAG]: context.traceId,
+      ...(context.parentId && { [traceContext.OPERATION_PARENT_ID_TAG]: context.parentId }),
+    };
+
+    req.traceContext = context;
+    // Lets the caller find this request in GET /api/traces/:traceId
+    res.set("traceresponse", traceContext.formatTraceparent(context));
+
+    // Track request completion and calculate response time
+    res.on("finish", () => {
+      const duration = Date.now() - startTime;
+
+      // Route pattern rather than path, so ids and unknown URLs don't create new series
+      prometheusMetrics.observeRequest({
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : "unmatched",
+        statusCode: res.statusCode,
+        durationMs: duration,
+      });
+
+      // Track custom request metrics with enhanced context
+      if (telemetryClient) {
+        telemetryClient.trackRequest({
+          id: context.spanId,
+          name: `${req.method} ${req.route?.path || req.path}`,
+          url: req.url,
+          duration: duration,
+          resultCode: res.statusCode,
+          success: res.statusCode < 400, // Define success as non-error status codes
+          properties: {
+            userAgent: req.get("User-Agent"),
+            referer: req.get("Referer"),
+            method: req.method,
+            path: req.path,
+            ...(context.userId && { userId: context.userId }),
+          },
+          tagOverrides: operationTags,
+        });
+
+        // Track performance metrics for monitoring server response times
+        telemetryClient.trackMetric({
+          name: "ServerResponseTime",
+          value: duration,
+          properties: {
+            endpoint: req.path,
+            method: req.method,
+            statusCode: res.statusCode.toString(),
+            ...(context.userId && { userId: context.userId }),
+          },
+          tagOverrides: operationTags,
+        });
+      }
+    });
+
+    traceContext.runWithTraceContext(context, next);
+  });
+
+  // ===================================================================
+  // WEB ROUTES
+  // Handle web page requests and serve static content
+  // ===================================================================
+
+  /**
+   * Home page route
+   * 
+   * Serves the main dashboard HTML file and tracks home page access events.
+   * This provides insights into overall site traffic and user engagement patterns.
+   */
+  app.get("/", (req, res) => {
+    try {
+      // Track home page access for traffic analysis
+      if (telemetryClient) {
+        telemetryClient.trackEvent({
+          name: "HomePageAccess",
+          properties: {
+            timestamp: new Date().toISOString(),
+            userAgent: req.get("User-Agent"),
+            ip: req.ip,
+          },
+        });
+      }
+
+      res.sendFile(path.join(__dirname, "..", "index.html"));
+    } catch (error) {
+      console.error("Error serving home page:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).send("Internal Server Error");
+    }
+  });
+
+  /**
+   * Client configuration endpoint
+   *
+   * Provides the Application Insights connection settings to the browser SDK
+   * along with the server's telemetry profile.
+   *
+   * GET /api/config
+   */
+  app.get("/api/config", (req, res) => {
+    try {
+      const config = {
+        // Without Application Insights export the browser relays its telemetry through this server
+        connectionString: (appInsightsEnabled && process.env.APPLICATIONINSIGHTS_CONNECTION_STRING) || "",
+        instrumentationKey: (appInsightsEnabled && process.env.APPINSIGHTS_INSTRUMENTATIONKEY) || "",
+        environment: process.env.NODE_ENV || "development",
+        telemetryProfile: profile,
+        appVersion: APP_VERSION,
+        sampling: sampler.config,                     // Same rates in the browser (see telemetry/sampling.js)
+      };
+
+      // Don't expose the full connection string in logs
+      console.log(`📋 Config requested - Has connection string: ${!!config.connectionString}`);
+
+      res.json(config);
+    } catch (error) {
+      console.error("❌ Error serving config:", error);
+      res.status(500).json({ error: "Configuration error" });
+    }
+  });
+
+  // ===================================================================
+  // ANALYTICS API ROUTES
+  // RESTful endpoints for client-side to server-side telemetry integration.
+  // These APIs allow the frontend JavaScript to send analytics data
+  // to the server for centralized tracking and processing.
+  // ===================================================================
+
+  /**
+   * Generic event tracking endpoint
+   * 
+   * Accepts custom events from the client-side and forwards them to
+   * Application Insights with additional server-side context.
+   * 
+   * POST /api/track-event
+   * Body: { eventName, properties, measurements }
+   */
+  app.post("/api/track-event", ingestionGuard, (req, res) => {
+    try {
+      const { eventName, properties, measurements } = req.body;
+
+      // Reject payloads that don't match the event catalog schema
+      const validation = validateEvent(eventName, properties, measurements, { experiments });
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid event payload",
+          eventName,
+          errors: validation.errors,
+        });
+      }
+
+      if (telemetryClient) {
+        telemetryClient.trackEvent({
+          name: eventName,
+          properties: {
+            ...properties,
+            ...validation.tags,
+            serverTimestamp: new Date().toISOString(),
+            userAgent: req.get("User-Agent"),
+            ip: req.ip,
+          },
+          measurements,
+        });
+      }
+
+      // Only property names are logged - console output bypasses redaction (and is auto-collected in the full profile)
+      console.log(`📊 Server Event Tracked: ${eventName}`, Object.keys(properties || {}));
+
+      res.json({
+        success: true,
+        message: "Event tracked successfully",
+        eventName,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error tracking event:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to track event",
+        error: error.message,
+      });
+    }
+  });
+
+  // Track custom metrics
+  app.post("/api/track-metric", ingestionGuard, (req, res) => {
+    try {
+      const { metricName, value, properties } = req.body;
+
+      // Reject non-numeric values instead of forwarding NaN
+      const validation = validateMetric(metricName, value);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid metric payload",
+          metricName,
+          errors: validation.errors,
+        });
+      }
+
+      if (telemetryClient) {
+        telemetryClient.trackMetric({
+          name: metricName,
+          value: validation.value,
+          properties: {
+            ...properties,
+            serverTimestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      console.log(`📈 Server Metric Tracked: ${metricName} = ${value}`, Object.keys(properties || {}));
+
+      res.json({
+        success: true,
+        message: "Metric tracked successfully",
+        metricName,
+        value: validation.value,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error tracking metric:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to track metric",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Batch telemetry ingestion endpoint
+   *
+   * Accepts a mixed array of events, metrics, page views and exceptions in a
+   * single request. Each item is validated separately and the response reports
+   * which items were accepted or rejected.
+   *
+   * POST /api/track-batch
+   * Body: { items: [{ type, name, ... }] }
+   */
+  app.post("/api/track-batch", ingestionGuard, (req, res) => {
+    try {
+      const { items } = req.body;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "items must be a non-empty array",
+        });
+      }
+
+      if (items.length > MAX_BATCH_SIZE) {
+        return res.status(413).json({
+          success: false,
+          message: `Batch exceeds maximum of ${MAX_BATCH_SIZE} items`,
+        });
+      }
+
+      const summary = processBatch(
+        telemetryClient,
+        items,
+        {
+          serverTimestamp: new Date().toISOString(),
+          userAgent: req.get("User-Agent"),
+          ip: req.ip,
+        },
+        { maxProperties: ingestionGuard.limits.maxProperties, experiments }
+      );
+
+      console.log(`📦 Server Batch Tracked: ${summary.accepted} accepted, ${summary.rejected} rejected`);
+
+      res.json({
+        success: summary.accepted > 0,
+        message: "Batch processed",
+        ...summary,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error tracking batch:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to track batch",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Event query endpoint
+   *
+   * Reads from the embedded event store so analytics can be explored offline.
+   *
+   * GET /api/events?name=&userId=&sessionId=&operationId=&type=&from=&to=&limit=&offset=
+   * GET /api/events?groupBy=name|type|userId|sessionId|property.<key>
+   */
+  app.get("/api/events", (req, res) => {
+    try {
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const errors = validateQuery(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      res.json({
+        success: true,
+        ...eventStore.query(req.query),
+      });
+    } catch (error) {
+      console.error("Error querying events:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to query events",
+        error: error.message,
+      });
+    }
+  });
+
+  // Simulate purchase journey tracking
+  app.post("/api/purchase-journey/:step", ingestionGuard, (req, res) => {
+    try {
+      const { step } = req.params;
+      const journeyData = req.body;
+
+      const eventName = `PurchaseJourney_${step}`;
+      const startTime = Date.now();
+
+      // Simulate some processing time
+      setTimeout(() => {
+        const processingTime = Date.now() - startTime;
+
+        if (telemetryClient) {
+          telemetryClient.trackEvent({
+            name: eventName,
+            properties: {
+              ...journeyData,
+              step,
+              serverTimestamp: new Date().toISOString(),
+              userAgent: req.get("User-Agent"),
+            },
+            measurements: {
+              serverProcessingTime: processingTime,
+            },
+          });
+
+          // Track the real step-to-step conversion of every configured funnel containing this step
+          // (incremental counts - a funnel report would rescan the event store on every write)
+          Object.values(funnels).forEach((funnel) => {
+            const stepIndex = funnel.steps.findIndex((funnelStep) => funnelStep.events.includes(eventName));
+            if (stepIndex === -1) return;
+
+            const conversion = funnelProgress.conversion(funnel.id, stepIndex);
+            if (conversion === null) return;
+
+            telemetryClient.trackMetric({
+              name: "FunnelConversion",
+              value: conversion,
+              properties: {
+                funnelId: funnel.id,
+                funnelStep: step,
+                timestamp: new Date().toISOString(),
+              },
+            });
+          });
+        }
+
+        console.log(`🛒 Purchase Journey Step: ${step}`, Object.keys(journeyData || {}));
+
+        res.json({
+          success: true,
+          message: `${step} step completed successfully`,
+          step,
+          processingTime,
+          timestamp: new Date().toISOString(),
+        });
+      }, Math.random() * 100 + 50); // 50-150ms processing time
+    } catch (error) {
+      console.error("Error in purchase journey:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({
+          exception: error,
+          properties: {
+            purchaseStep: req.params.step,
+          },
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Purchase journey step failed",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Funnel definitions
+   *
+   * Lists the funnels declared in the funnel configuration.
+   *
+   * GET /api/funnels
+   */
+  app.get("/api/funnels", (req, res) => {
+    res.json({
+      success: true,
+      funnels: Object.values(funnels),
+    });
+  });
+
+  /**
+   * Funnel conversion report
+   *
+   * Computes step counts, step-to-step conversion, drop-off and median time
+   * between steps from the events in the local event store.
+   *
+   * GET /api/funnels/:id?segmentBy=insuranceType|device|variant&from=&to=
+   */
+  app.get("/api/funnels/:id", (req, res) => {
+    try {
+      const funnel = funnels[req.params.id];
+      if (!funnel) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown funnel: ${req.params.id}`,
+        });
+      }
+
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const { segmentBy, from, to } = req.query;
+      const errors = validateQuery({ from, to });
+      if (segmentBy && !SEGMENT_PROPERTIES[segmentBy]) {
+        errors.push({ field: "segmentBy", message: `must be one of: ${Object.keys(SEGMENT_PROPERTIES).join(", ")}` });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      const records = eventStore.find({ type: "event", from, to });
+
+      res.json({
+        success: true,
+        report: computeFunnelReport(funnel, records, { segmentBy }),
+      });
+    } catch (error) {
+      console.error("Error computing funnel report:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute funnel report",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Cohort retention matrix
+   *
+   * Computes the retention triangle (cohort by day, week or month since join)
+   * from the CohortJoin and CohortRetention events in the local event store.
+   *
+   * GET /api/cohorts/retention?period=day|week|month&from=&to=
+   */
+  app.get("/api/cohorts/retention", (req, res) => {
+    try {
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const { period = "week", from, to } = req.query;
+      const errors = validateQuery({ from, to });
+      if (!COHORT_PERIODS.includes(period)) {
+        errors.push({ field: "period", message: `must be one of: ${COHORT_PERIODS.join(", ")}` });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      const records = eventStore.find({ type: "event", from, to });
+
+      res.json({
+        success: true,
+        data: computeRetentionMatrix(records, { period }),
+      });
+    } catch (error) {
+      console.error("Error computing cohort retention:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute cohort retention",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/web-vitals
+   * Query: from?, to? (default: the last 7 days), page?
+   *
+   * p75 Core Web Vitals per page with ratings, compared with the previous
+   * window of the same length to spot regressions
+   */
+  app.get("/api/web-vitals", (req, res) => {
+    try {
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const { page } = req.query;
+      const errors = validateQuery(req.query);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      const to = req.query.to || new Date().toISOString();
+      const from = req.query.from || new Date(Date.parse(to) - 7 * 24 * 60 * 60 * 1000).toISOString();
+      if (Date.parse(from) >= Date.parse(to)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors: [{ field: "from", message: "must be before to" }],
+        });
+      }
+
+      // The previous window is needed for the regression comparison
+      const previousFrom = new Date(2 * Date.parse(from) - Date.parse(to)).toISOString();
+      const records = eventStore.find({ type: "event", name: "WebVitals", from: previousFrom, to });
+
+      res.json({
+        success: true,
+        data: computeWebVitalsReport(records, { from, to, page }),
+      });
+    } catch (error) {
+      console.error("Error computing web vitals:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute web vitals",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/errors/groups
+   * Query: from?, to?, sort? (lastSeen | occurrences | affectedUsers), limit?
+   *
+   * Exceptions grouped by fingerprint with occurrence counts, first/last
+   * seen and affected users
+   */
+  app.get("/api/errors/groups", (req, res) => {
+    try {
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const { from, to, sort, limit } = req.query;
+      const errors = validateQuery({ from, to });
+      if (sort && !ERROR_SORT_FIELDS.includes(sort)) {
+        errors.push({ field: "sort", message: `must be one of: ${ERROR_SORT_FIELDS.join(", ")}` });
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      const records = eventStore.find({ type: "exception", from, to });
+
+      res.json({
+        success: true,
+        data: computeErrorGroups(records, { sort, limit }),
+      });
+    } catch (error) {
+      console.error("Error computing error groups:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute error groups",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * GET /api/traces/:traceId
+   *
+   * Everything recorded for one operation (W3C trace id) as a tree: the
+   * browser operation, the server requests it caused and the events and
+   * exceptions tracked while handling them
+   */
+  app.get("/api/traces/:traceId", (req, res) => {
+    try {
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const traceId = req.params.traceId.toLowerCase();
+      if (!traceContext.isValidTraceId(traceId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors: [{ field: "traceId", message: "must be 32 lowercase hex characters, not all zero" }],
+        });
+      }
+
+      const records = eventStore.find({ operationId: traceId });
+      if (records.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown trace: ${traceId}`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: buildTraceTree(traceId, records),
+      });
+    } catch (error) {
+      console.error("Error building trace:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to build trace",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Cohort analysis endpoint
+   *
+   * Records cohort membership ("join") and activity ("retention") per user and
+   * returns the current monthly retention figures computed from recorded events.
+   *
+   * POST /api/cohort-analysis
+   * Body: { action: "join" | "retention" | "view", cohortId?, userId }
+   */
+  app.post("/api/cohort-analysis", (req, res) => {
+    try {
+      const { action, cohortId, userId } = req.body;
+      const resolvedCohortId = cohortId || `cohort_${new Date().getFullYear()}_${String(new Date().getMonth() + 1).padStart(2, "0")}`;
+
+      if ((action === "join" || action === "retention") && !userId) {
+        return res.status(400).json({
+          success: false,
+          message: "userId is required to record cohort activity",
+        });
+      }
+
+      if (telemetryClient && action === "join") {
+        telemetryClient.trackEvent({
+          name: "CohortJoin",
+          properties: {
+            cohortId: resolvedCohortId,
+            joinDate: new Date().toISOString(),
+            userId,
+            serverTimestamp: new Date().toISOString(),
+          },
+        });
+      } else if (telemetryClient && action === "retention") {
+        telemetryClient.trackEvent({
+          name: "CohortRetention",
+          properties: {
+            cohortId: resolvedCohortId,
+            retentionEvent: "active_engagement",
+            userId,
+            serverTimestamp: new Date().toISOString(),
+          },
+        });
+      }
+
+      const retention = eventStore ? computeRetentionMatrix(eventStore.find({ type: "event" }), { period: "month" }) : null;
+
+      const cohortData = {
+        cohortId: resolvedCohortId,
+        action,
+        userId,
+        timestamp: new Date().toISOString(),
+        retention,
+      };
+
+      console.log(`👥 Cohort Analysis: ${action}`, { cohortId: resolvedCohortId, userId });
+
+      res.json({
+        success: true,
+        message: "Cohort analysis completed",
+        data: cohortData,
+      });
+    } catch (error) {
+      console.error("Error in cohort analysis:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Cohort analysis failed",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Experiment registry
+   *
+   * GET /api/experiments
+   */
+  app.get("/api/experiments", (req, res) => {
+    res.json({
+      success: true,
+      experiments: Object.values(experiments),
+    });
+  });
+
+  /**
+   * Experiment assignment endpoint
+   *
+   * Buckets a user into a variant of every experiment (or a single one)
+   * deterministically, so the same user always sees the same variant across
+   * sessions and devices. Each exposure emits an ABTestAssignment event.
+   *
+   * GET /api/experiments/assignments?userId=&sessionId=&experiment=
+   */
+  app.get("/api/experiments/assignments", (req, res) => {
+    try {
+      const { userId, sessionId, experiment } = req.query;
+
+      const errors = validateIdentifiers({ userId, sessionId, experiment }, ["sessionId", "experiment"]);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid assignment query",
+          errors,
+        });
+      }
+
+      if (experiment && !experiments[experiment]) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown experiment: ${experiment}`,
+        });
+      }
+
+      const assignments = {};
+      (experiment ? [experiments[experiment]] : Object.values(experiments)).forEach((definition) => {
+        const assignment = assignVariant(definition, userId);
+        assignments[definition.key] = assignment;
+
+        // Every exposure is recorded so experiment results can be computed later
+        if (telemetryClient && assignment.exposed) {
+          telemetryClient.trackEvent({
+            name: "ABTestAssignment",
+            properties: {
+              testName: definition.key,
+              variant: assignment.variant,
+              userId,
+              sessionId,
+              serverTimestamp: new Date().toISOString(),
+            },
+          });
+        }
+      });
+
+      res.json({
+        success: true,
+        userId,
+        assignments,
+      });
+    } catch (error) {
+      console.error("Error assigning experiment variants:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Experiment assignment failed",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Experiment results
+   *
+   * Per-variant exposures, conversions, conversion rate with 95% confidence
+   * interval, two-proportion z-test against the control, Bayesian probability
+   * to beat the control, and a sample ratio mismatch check.
+   *
+   * GET /api/experiments/:name/results?from=&to=
+   */
+  app.get("/api/experiments/:name/results", (req, res) => {
+    try {
+      const experiment = experiments[req.params.name];
+      if (!experiment) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown experiment: ${req.params.name}`,
+        });
+      }
+
+      if (!eventStore) {
+        return res.status(503).json({
+          success: false,
+          message: "Event store is disabled",
+        });
+      }
+
+      const { from, to } = req.query;
+      const errors = validateQuery({ from, to });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid query",
+          errors,
+        });
+      }
+
+      res.json({
+        success: true,
+        results: computeExperimentResults(experiment, eventStore.find({ type: "event", from, to })),
+      });
+    } catch (error) {
+      console.error("Error computing experiment results:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to compute experiment results",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * A/B testing endpoint
+   *
+   * Records an exposure for the user's assigned variant (the variant comes from
+   * the deterministic assignment, not the request) and, when converted is true,
+   * a conversion. Results are available from GET /api/experiments/:name/results.
+   *
+   * POST /api/ab-test
+   * Body: { testName, userId, converted? }
+   */
+  app.post("/api/ab-test", (req, res) => {
+    try {
+      const { testName, userId, converted } = req.body;
+
+      const errors = validateIdentifiers({ testName, userId });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid A/B test payload",
+          errors,
+        });
+      }
+
+      const experiment = experiments[testName];
+      if (!experiment) {
+        return res.status(404).json({
+          success: false,
+          message: `Unknown experiment: ${testName}`,
+        });
+      }
+
+      const { variant, exposed } = assignVariant(experiment, userId);
+
+      const testData = {
+        testName,
+        variant,
+        userId,
+        timestamp: new Date().toISOString(),
+        assigned: exposed,
+      };
+
+      if (telemetryClient && exposed) {
+        telemetryClient.trackEvent({
+          name: "ABTestAssignment",
+          properties: {
+            testName,
+            variant,
+            userId,
+            serverTimestamp: new Date().toISOString(),
+          },
+        });
+
+        if (converted === true) {
+          telemetryClient.trackEvent({
+            name: "ABTestConversion",
+            properties: {
+              testName,
+              variant,
+              userId,
+              serverTimestamp: new Date().toISOString(),
+            },
+          });
+        }
+
+        telemetryClient.trackMetric({
+          name: "ABTestParticipation",
+          value: 1,
+          properties: {
+            testName,
+            variant,
+          },
+        });
+      }
+
+      console.log(`🧪 A/B Test: ${testName} - ${variant}`, { converted: converted === true, ...testData });
+
+      res.json({
+        success: true,
+        message: "A/B test assignment completed",
+        data: {
+          ...testData,
+          converted: exposed && converted === true,
+        },
+      });
+    } catch (error) {
+      console.error("Error in A/B test:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "A/B test assignment failed",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * PII redaction report
+   *
+   * Lists the configured redaction rules with how often each fired and on
+   * which fields, since the server started.
+   *
+   * GET /api/redaction/report
+   */
+  app.get("/api/redaction/report", (req, res) => {
+    res.json({
+      success: true,
+      report: redactor.report(),
+    });
+  });
+
+  /**
+   * Live metrics stream
+   *
+   * Server-Sent Events endpoint that pushes aggregate live counters across all
+   * clients every second: events per second, funnel step counts, error counts
+   * and p50/p95 server response times.
+   *
+   * GET /api/stream
+   */
+  app.get("/api/stream", (req, res) => {
+    liveMetrics.addClient(req, res);
+  });
+
+  // Performance monitoring endpoint
+  app.get("/api/performance", (req, res) => {
+    try {
+      const performanceData = {
+        serverUptime: process.uptime(),
+        memoryUsage: process.memoryUsage(),
+        cpuUsage: process.cpuUsage(),
+        nodeVersion: process.version,
+        timestamp: new Date().toISOString(),
+      };
+
+      if (telemetryClient) {
+        telemetryClient.trackMetric({
+          name: "ServerUptime",
+          value: performanceData.serverUptime,
+        });
+
+        telemetryClient.trackMetric({
+          name: "MemoryUsage",
+          value: performanceData.memoryUsage.heapUsed,
+          properties: {
+            type: "heapUsed",
+          },
+        });
+      }
+
+      console.log("📊 Performance Data Requested", performanceData);
+
+      res.json({
+        success: true,
+        data: performanceData,
+      });
+    } catch (error) {
+      console.error("Error getting performance data:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to get performance data",
+        error: error.message,
+      });
+    }
+  });
+
+  // Health check endpoint
+  app.get("/api/health", (req, res) => {
+    try {
+      const healthData = {
+        status: "healthy",
+        timestamp: new Date().toISOString(),
+        version: "1.0.0",
+        environment: process.env.NODE_ENV || "development",
+        appInsightsEnabled: !!telemetryClient && telemetryClient.hasExporter("appinsights"),
+        telemetryProfile: profile,
+        telemetryExporters: telemetryClient ? telemetryClient.exporterNames : [],
+      };
+
+      if (telemetryClient) {
+        telemetryClient.trackEvent({
+          name: "HealthCheck",
+          properties: healthData,
+        });
+      }
+
+      console.log("❤️  Health Check Requested", healthData);
+
+      res.json(healthData);
+    } catch (error) {
+      console.error("Health check failed:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        status: "unhealthy",
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  });
+
+  /**
+   * Prometheus scrape endpoint
+   *
+   * Request duration histograms, telemetry and funnel counters, and process
+   * metrics in the Prometheus text exposition format (see prometheus.js).
+   * GET /metrics
+   */
+  app.get("/metrics", (req, res) => {
+    try {
+      res.set("Content-Type", prometheusMetrics.contentType);
+      res.send(prometheusMetrics.render());
+    } catch (error) {
+      console.error("❌ Error rendering metrics:", error);
+      if (telemetryClient) {
+        telemetryClient.trackException({ exception: error });
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to render metrics",
+        error: error.message,
+      });
+    }
+  });
+
+  // Error handling middleware
+  app.use((error, req, res, next) => {
+    console.error("Unhandled error:", error);
+
+    if (telemetryClient) {
+      telemetryClient.trackException({
+        exception: error,
+        properties: {
+          url: req.url,
+          method: req.method,
+          userAgent: req.get("User-Agent"),
+        },
+      });
+    }
+
+    // Body parser errors (malformed JSON, body too large) carry their own 4xx status
+    const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? "Internal server error" : error.message,
+      error: process.env.NODE_ENV === "development" ? error.message : "Something went wrong",
+    });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    if (telemetryClient) {
+      telemetryClient.trackEvent({
+        name: "404NotFound",
+        properties: {
+          url: req.url,
+          method: req.method,
+          userAgent: req.get("User-Agent"),
+          referer: req.get("Referer"),
+        },
+      });
+    }
+
+    res.status(404).json({
+      success: false,
+      message: "Resource not found",
+      url: req.url,
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,145 @@
+/**
+ * Application Insights PoC - Cohort Retention Analysis
+ *
+ * Builds a cohort retention triangle from the CohortJoin and CohortRetention
+ * events kept in the local event store.
+ *
+ * - A user's cohort is the period (day, week or month) of their first CohortJoin
+ * - A user counts as retained in period N when they sent a CohortRetention
+ *   event N periods after the cohort period (period 0 always includes the join)
+ * - Periods that lie in the future are left out, which gives the triangle shape
+ *
+ * All periods are calculated in UTC; weeks start on Monday.
+ */
+
+const PERIODS = ["day", "week", "month"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the UTC start of the period containing a timestamp
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} period - day, week or month
+ * @returns {Date} Start of the period
+ */
+function periodStart(timestamp, period) {
+  const date = new Date(timestamp);
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+  if (period === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  if (period === "week") {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(day - daysSinceMonday * DAY_MS);
+  }
+  return new Date(day);
+}
+
+/**
+ * Number of whole periods between two period starts
+ */
+function periodOffset(cohortStart, activityStart, period) {
+  if (period === "month") {
+    return (
+      (activityStart.getUTCFullYear() - cohortStart.getUTCFullYear()) * 12 +
+      (activityStart.getUTCMonth() - cohortStart.getUTCMonth())
+    );
+  }
+  const periodMs = period === "week" ? 7 * DAY_MS : DAY_MS;
+  return Math.round((activityStart.getTime() - cohortStart.getTime()) / periodMs);
+}
+
+function formatPeriod(start, period) {
+  const iso = start.toISOString();
+  return period === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+}
+
+/**
+ * Computes the cohort retention triangle
+ *
+ * @param {Object[]} records - Event store records
+ * @param {Object} [options]
+ * @param {string} [options.period] - day, week or month (default: week)
+ * @param {number} [options.now] - Reference time used to cut off future periods
+ * @returns {Object} { period, generatedAt, maxOffset, cohorts: [{ cohort, size, retention: [...] }] }
+ */
+function computeRetentionMatrix(records, options = {}) {
+  const period = options.period || "week";
+  const now = options.now || Date.now();
+  const currentPeriod = periodStart(now, period);
+
+  // First join per user decides the cohort
+  const joins = new Map();
+  records.forEach((record) => {
+    if (record.type !== "event" || record.name !== "CohortJoin" || !record.userId) return;
+    const timestamp = Date.parse(record.time);
+    const existing = joins.get(record.userId);
+    if (existing === undefined || timestamp < existing) {
+      joins.set(record.userId, timestamp);
+    }
+  });
+
+  // cohort key -> { start, users, activeByOffset: Map<offset, Set<userId>> }
+  const cohorts = new Map();
+  joins.forEach((joinedAt, userId) => {
+    const start = periodStart(joinedAt, period);
+    const key = formatPeriod(start, period);
+    if (!cohorts.has(key)) {
+      cohorts.set(key, { start, users: new Set(), activeByOffset: new Map([[0, new Set()]]) });
+    }
+    const cohort = cohorts.get(key);
+    cohort.users.add(userId);
+    cohort.activeByOffset.get(0).add(userId);
+  });
+
+  records.forEach((record) => {
+    if (record.type !== "event" || record.name !== "CohortRetention" || !joins.has(record.userId)) return;
+    const timestamp = Date.parse(record.time);
+    if (timestamp < joins.get(record.userId)) return;
+
+    const cohortStart = periodStart(joins.get(record.userId), period);
+    const cohort = cohorts.get(formatPeriod(cohortStart, period));
+    const offset = periodOffset(cohortStart, periodStart(timestamp, period), period);
+
+    if (!cohort.activeByOffset.has(offset)) cohort.activeByOffset.set(offset, new Set());
+    cohort.activeByOffset.get(offset).add(record.userId);
+  });
+
+  let maxOffset = 0;
+  const rows = Array.from(cohorts.entries())
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, cohort]) => {
+      const lastOffset = periodOffset(cohort.start, currentPeriod, period);
+      maxOffset = Math.max(maxOffset, lastOffset);
+
+      const retention = [];
+      for (let offset = 0; offset <= lastOffset; offset++) {
+        const activeUsers = (cohort.activeByOffset.get(offset) || new Set()).size;
+        retention.push({
+          offset,
+          activeUsers,
+          rate: cohort.users.size > 0 ? activeUsers / cohort.users.size : 0,
+        });
+      }
+
+      return {
+        cohort: key,
+        size: cohort.users.size,
+        retention,
+      };
+    });
+
+  return {
+    period,
+    generatedAt: new Date(now).toISOString(),
+    maxOffset,
+    cohorts: rows,
+  };
+}
+
+module.exports = {
+  PERIODS,
+  computeRetentionMatrix,
+};
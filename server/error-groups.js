@@ -0,0 +1,119 @@
+/**
+ * Application Insights PoC - Error Grouping
+ *
+ * Groups the exceptions kept in the local event store by fingerprint:
+ *
+ * - Browser errors carry the fingerprint computed by the client (hash of the
+ *   error type, normalized message and top stack frames, see js/analytics.js)
+ * - Other exceptions (e.g. tracked by server routes) are grouped by a hash of
+ *   their normalized message, prefixed with "msg:"
+ *
+ * Per group: occurrences (including duplicates the client suppressed by
+ * rate limiting), reports received, first and last seen, affected users and
+ * sessions, and the properties of the latest report (page, source, breadcrumbs).
+ */
+
+const crypto = require("crypto");
+
+const SORT_FIELDS = ["lastSeen", "occurrences", "affectedUsers"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Replaces volatile parts of an error message (ids, numbers) - same rules as the client
+ */
+function normalizeErrorMessage(message) {
+  return String(message)
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, "<uuid>")
+    .replace(/\b[0-9a-f]{16,}\b/gi, "<hex>")
+    .replace(/\d+/g, "<n>");
+}
+
+/**
+ * Fingerprint of an exception record
+ */
+function fingerprintOf(record) {
+  const properties = record.properties || {};
+  if (typeof properties.fingerprint === "string" && properties.fingerprint !== "") {
+    return properties.fingerprint;
+  }
+  return `msg:${crypto.createHash("sha256").update(normalizeErrorMessage(record.name)).digest("hex").slice(0, 8)}`;
+}
+
+/**
+ * Groups exception records by fingerprint
+ *
+ * @param {Object[]} records - Event store records
+ * @param {Object} [options]
+ * @param {string} [options.sort] - lastSeen (default), occurrences or affectedUsers, descending
+ * @param {number} [options.limit] - Maximum number of groups (default 50, max 500)
+ * @returns {Object} { totalGroups, groups: [{ fingerprint, message, occurrences, reports,
+ *   affectedUsers, affectedSessions, firstSeen, lastSeen, latest }] }
+ */
+function computeErrorGroups(records, options = {}) {
+  const groups = new Map();
+
+  records.forEach((record) => {
+    if (record.type !== "exception") return;
+
+    const fingerprint = fingerprintOf(record);
+    if (!groups.has(fingerprint)) {
+      groups.set(fingerprint, {
+        fingerprint,
+        message: record.name,
+        occurrences: 0,
+        reports: 0,
+        users: new Set(),
+        sessions: new Set(),
+        firstSeen: record.time,
+        lastSeen: record.time,
+        latest: null,
+      });
+    }
+
+    const group = groups.get(fingerprint);
+    const properties = record.properties || {};
+    const suppressed = parseInt(properties.suppressedCount, 10) || 0;
+
+    group.reports++;
+    group.occurrences += 1 + suppressed;
+    if (record.userId) group.users.add(record.userId);
+    if (record.sessionId) group.sessions.add(record.sessionId);
+    if (record.time < group.firstSeen) group.firstSeen = record.time;
+    if (record.time >= group.lastSeen) {
+      group.lastSeen = record.time;
+      group.message = record.name;
+      group.latest = {
+        page: properties.page,
+        errorSource: properties.errorSource,
+        breadcrumbs: properties.breadcrumbs,
+      };
+    }
+  });
+
+  const sort = SORT_FIELDS.includes(options.sort) ? options.sort : "lastSeen";
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const rows = Array.from(groups.values()).map(({ users, sessions, ...group }) => ({
+    ...group,
+    affectedUsers: users.size,
+    affectedSessions: sessions.size,
+  }));
+
+  rows.sort((a, b) => {
+    if (sort === "lastSeen") return a.lastSeen < b.lastSeen ? 1 : -1;
+    return b[sort] - a[sort];
+  });
+
+  return {
+    totalGroups: rows.length,
+    groups: rows.slice(0, limit),
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  normalizeErrorMessage,
+  computeErrorGroups,
+};
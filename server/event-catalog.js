@@ -0,0 +1,451 @@
+/**
+ * Application Insights PoC - Event Catalog and Schema Validation
+ *
+ * Declares the custom events the client is allowed to send, together with the
+ * shape of their properties and measurements. Payloads arriving at the
+ * tracking endpoints are checked against this catalog before anything is
+ * forwarded to Application Insights, so malformed data never reaches the
+ * analytics queries.
+ *
+ * Schema format per event:
+ * - properties:   { [key]: { type, required?, enum?, pattern? } }
+ * - measurements: { [key]: { required?, min?, max? } }
+ *
+ * Unknown events are handled according to the validation mode:
+ * - "strict":  unknown events are dropped (rejected with an error)
+ * - "lenient": unknown events are forwarded and tagged with catalogStatus=unregistered
+ *
+ * The mode defaults to EVENT_VALIDATION_MODE from the environment ("lenient" when unset).
+ *
+ * A/B test variants are not listed here: they are the variant keys of the
+ * experiment registry (server/experiments.json) passed to validateEvent() as
+ * options.experiments, so a variant added there is valid in every experiment
+ * event.
+ */
+
+const INSURANCE_TYPES = ["auto", "home", "life", "health"];
+const FUNNEL_STEPS = ["application_started", "application_completed", "purchase_completed"];
+const WEB_VITAL_RATINGS = ["good", "needs-improvement", "poor"];
+const SESSION_END_REASONS = ["inactivity", "maxDuration", "midnight", "campaign"];
+const DECLARATIVE_TRIGGERS = ["click", "submit", "change", "visible"];
+
+// Property rule whose allowed values are the variant keys of the experiment registry
+const VARIANT_RULE = { type: "string", required: true, experimentVariant: true };
+
+const EVENT_CATALOG = {
+  // Web metrics
+  NewVisitorAcquisition: {
+    properties: {
+      visitorType: { type: "string", required: true, enum: ["new"] },
+      trafficSource: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+  ReturningVisitorEngagement: {
+    properties: {
+      visitorType: { type: "string", required: true, enum: ["returning"] },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      daysSinceLastVisit: { min: 0 },
+    },
+  },
+  BounceEvent: {
+    properties: {
+      exitReason: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      timeOnPageMs: { min: 0 },
+      pageViewsInSession: { min: 0 },
+    },
+  },
+
+  // Session lifecycle
+  SessionStart: {
+    properties: {
+      sessionId: { type: "string", required: true },
+      startReason: { type: "string", required: true, enum: ["new", ...SESSION_END_REASONS] },
+      campaign: { type: "string" },
+      previousSessionId: { type: "string" },
+    },
+    measurements: {
+      sessionNumber: { min: 1 },
+    },
+  },
+  SessionEnd: {
+    properties: {
+      sessionId: { type: "string", required: true },
+      endReason: { type: "string", required: true, enum: SESSION_END_REASONS },
+    },
+    measurements: {
+      durationMs: { required: true, min: 0 },
+      pageCount: { required: true, min: 0 },
+      eventCount: { required: true, min: 0 },
+    },
+  },
+
+  // Declarative tracking (data-track-event attributes in index.html, see js/analytics.js)
+  CtaClicked: {
+    properties: {
+      cta: { type: "string", required: true },
+      trigger: { type: "string", enum: DECLARATIVE_TRIGGERS },
+      page: { type: "string" },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      queuedMs: { min: 0 },
+    },
+  },
+  SectionViewed: {
+    properties: {
+      section: { type: "string", required: true },
+      trigger: { type: "string", enum: DECLARATIVE_TRIGGERS },
+      page: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+  InsuranceTypeSelected: {
+    properties: {
+      value: { type: "string", enum: INSURANCE_TYPES },
+      trigger: { type: "string", enum: DECLARATIVE_TRIGGERS },
+      page: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+
+  // Purchase journey
+  QuoteRequested: {
+    properties: {
+      quoteId: { type: "string", required: true, pattern: /^quote_\d+$/ },
+      insuranceType: { type: "string", required: true, enum: INSURANCE_TYPES },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      coverageAmount: { required: true, min: 1000, max: 100000000 },
+    },
+  },
+  ApplicationStarted: {
+    properties: {
+      applicationId: { type: "string", required: true, pattern: /^app_\d+$/ },
+      quoteId: { type: "string", required: true, pattern: /^quote_\d+$/ },
+      sessionId: { type: "string" },
+    },
+  },
+  ApplicationCompleted: {
+    properties: {
+      applicationId: { type: "string", required: true, pattern: /^app_\d+$/ },
+      quoteId: { type: "string", required: true, pattern: /^quote_\d+$/ },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      timeToCompleteMs: { min: 0 },
+    },
+  },
+  PolicyPurchased: {
+    properties: {
+      policyId: { type: "string", required: true, pattern: /^policy_\d+$/ },
+      applicationId: { type: "string", required: true, pattern: /^app_\d+$/ },
+      quoteId: { type: "string", required: true, pattern: /^quote_\d+$/ },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      timeToConvertMs: { min: 0 },
+    },
+  },
+  FunnelStep: {
+    properties: {
+      step: { type: "string", required: true, enum: FUNNEL_STEPS },
+      funnelId: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+  },
+  Conversion: {
+    properties: {
+      conversionType: { type: "string", required: true },
+      funnelId: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      conversionValue: { min: 0 },
+    },
+  },
+
+  // Experimentation
+  ABTestAssignment: {
+    properties: {
+      testName: { type: "string", required: true },
+      variant: VARIANT_RULE,
+      userId: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+  ABTestParticipation: {
+    properties: {
+      testName: { type: "string", required: true },
+      variant: VARIANT_RULE,
+      sessionId: { type: "string" },
+    },
+  },
+  ABTestConversion: {
+    properties: {
+      testName: { type: "string", required: true },
+      variant: VARIANT_RULE,
+      sessionId: { type: "string" },
+    },
+  },
+
+  // Performance (one event per page view, see js/analytics.js)
+  WebVitals: {
+    properties: {
+      page: { type: "string", required: true },
+      navigationType: { type: "string" },
+      lcpRating: { type: "string", enum: WEB_VITAL_RATINGS },
+      inpRating: { type: "string", enum: WEB_VITAL_RATINGS },
+      clsRating: { type: "string", enum: WEB_VITAL_RATINGS },
+      ttfbRating: { type: "string", enum: WEB_VITAL_RATINGS },
+      fcpRating: { type: "string", enum: WEB_VITAL_RATINGS },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      LCP: { min: 0 },
+      INP: { min: 0 },
+      CLS: { min: 0 },
+      TTFB: { min: 0 },
+      FCP: { min: 0 },
+    },
+  },
+
+  // Segmentation
+  DeviceInfo: {
+    properties: {
+      userAgent: { type: "string" },
+      platform: { type: "string" },
+      language: { type: "string" },
+      screenResolution: { type: "string", pattern: /^\d+x\d+$/ },
+      viewport: { type: "string", pattern: /^\d+x\d+$/ },
+      timeZone: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+  UserSegmentation: {
+    properties: {
+      segment: { type: "string", required: true, enum: ["high_value", "mobile_user", "enterprise", "small_business"] },
+      assignmentReason: { type: "string" },
+      sessionId: { type: "string" },
+    },
+  },
+
+  // Cohort analysis
+  CohortJoin: {
+    properties: {
+      cohortId: { type: "string", required: true, pattern: /^cohort_\d{4}_\d{2}$/ },
+      joinDate: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+  },
+  CohortRetention: {
+    properties: {
+      cohortId: { type: "string", required: true, pattern: /^cohort_\d{4}_\d{2}$/ },
+      retentionEvent: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+    measurements: {
+      daysSinceJoin: { required: true, min: 0 },
+    },
+  },
+  CohortAnalysisView: {
+    properties: {
+      cohortId: { type: "string", required: true },
+      sessionId: { type: "string" },
+    },
+  },
+};
+
+const VALIDATION_MODES = ["strict", "lenient"];
+
+/**
+ * Resolves the validation mode, falling back to EVENT_VALIDATION_MODE and then "lenient"
+ *
+ * @param {string} [mode] - Explicit mode override
+ * @returns {string} "strict" or "lenient"
+ */
+function resolveValidationMode(mode) {
+  const candidate = (mode || process.env.EVENT_VALIDATION_MODE || "lenient").toLowerCase();
+  return VALIDATION_MODES.includes(candidate) ? candidate : "lenient";
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Variant keys of every experiment in the registry
+ *
+ * @param {Object} experiments - Experiments from loadExperiments()
+ * @returns {string[]}
+ */
+function experimentVariants(experiments) {
+  return [
+    ...new Set(Object.values(experiments).flatMap((experiment) => experiment.variants.map((variant) => variant.key))),
+  ];
+}
+
+function validateProperties(schema, properties, errors, variants) {
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = properties[key];
+    const field = `properties.${key}`;
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors.push({ field, message: "is required" });
+      return;
+    }
+
+    if (typeof value !== rule.type) {
+      errors.push({ field, message: `must be of type ${rule.type}` });
+      return;
+    }
+
+    const allowed = rule.experimentVariant ? variants : rule.enum;
+    if (allowed && !allowed.includes(value)) {
+      errors.push({ field, message: `must be one of: ${allowed.join(", ")}` });
+    }
+
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: `does not match pattern ${rule.pattern}` });
+    }
+  });
+}
+
+function validateMeasurements(schema, measurements, errors) {
+  // Every measurement must be numeric, whether or not the catalog declares it
+  Object.entries(measurements).forEach(([key, value]) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push({ field: `measurements.${key}`, message: "must be a finite number" });
+    }
+  });
+
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = measurements[key];
+    const field = `measurements.${key}`;
+
+    if (value === undefined) {
+      if (rule.required) errors.push({ field, message: "is required" });
+      return;
+    }
+
+    if (typeof value !== "number" || !Number.isFinite(value)) return;
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be >= ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push({ field, message: `must be <= ${rule.max}` });
+    }
+  });
+}
+
+/**
+ * Validates a custom event against the catalog
+ *
+ * @param {string} eventName - Name of the event
+ * @param {Object} [properties] - Event properties
+ * @param {Object} [measurements] - Event measurements
+ * @param {Object} [options]
+ * @param {string} [options.mode] - "strict" or "lenient" (see resolveValidationMode)
+ * @param {Object} [options.experiments] - Experiment registry from loadExperiments(); A/B test
+ *   variants are only checked against it when given
+ * @returns {{valid: boolean, known: boolean, errors: Object[], tags: Object}}
+ *   errors are field-level ({ field, message }); tags are extra properties to add when forwarding
+ */
+function validateEvent(eventName, properties, measurements, options = {}) {
+  const mode = resolveValidationMode(options.mode);
+  const errors = [];
+
+  if (typeof eventName !== "string" || eventName.trim() === "") {
+    return { valid: false, known: false, errors: [{ field: "eventName", message: "is required" }], tags: {} };
+  }
+
+  if (properties !== undefined && properties !== null && !isPlainObject(properties)) {
+    errors.push({ field: "properties", message: "must be an object" });
+  }
+  if (measurements !== undefined && measurements !== null && !isPlainObject(measurements)) {
+    errors.push({ field: "measurements", message: "must be an object" });
+  }
+  if (errors.length > 0) {
+    return { valid: false, known: !!EVENT_CATALOG[eventName], errors, tags: {} };
+  }
+
+  const schema = EVENT_CATALOG[eventName];
+  const props = properties || {};
+  const measures = measurements || {};
+
+  if (!schema) {
+    validateMeasurements({}, measures, errors);
+    if (mode === "strict") {
+      errors.push({ field: "eventName", message: `unknown event "${eventName}" (strict mode)` });
+    }
+    return {
+      valid: errors.length === 0,
+      known: false,
+      errors,
+      tags: { catalogStatus: "unregistered" },
+    };
+  }
+
+  const variants = options.experiments ? experimentVariants(options.experiments) : null;
+  validateProperties(schema.properties || {}, props, errors, variants);
+  validateMeasurements(schema.measurements || {}, measures, errors);
+
+  return { valid: errors.length === 0, known: true, errors, tags: {} };
+}
+
+// Plain decimal notation - Number() would also turn "0x10", "1e3" or "" into numbers
+const DECIMAL_PATTERN = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Parses a metric value - the one numeric check behind /api/track-metric and
+ * /api/track-batch, so a value is valid on both or on neither
+ *
+ * @param {*} value - Raw metric value
+ * @returns {number|null} Finite number, or null for anything else than a finite
+ *   number or a decimal string
+ */
+function parseMetricValue(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && DECIMAL_PATTERN.test(value.trim())) return Number(value);
+  return null;
+}
+
+/**
+ * Validates a custom metric payload
+ *
+ * Accepts finite numbers and decimal strings (see parseMetricValue).
+ *
+ * @param {string} metricName - Name of the metric
+ * @param {*} value - Raw metric value from the request
+ * @returns {{valid: boolean, errors: Object[], value: number}} value is the parsed number
+ */
+function validateMetric(metricName, value) {
+  const errors = [];
+
+  if (typeof metricName !== "string" || metricName.trim() === "") {
+    errors.push({ field: "metricName", message: "is required" });
+  }
+
+  const parsed = parseMetricValue(value);
+  if (parsed === null) {
+    errors.push({ field: "value", message: "must be a finite number or a decimal string" });
+  }
+
+  return { valid: errors.length === 0, errors, value: parsed };
+}
+
+module.exports = {
+  EVENT_CATALOG,
+  VALIDATION_MODES,
+  resolveValidationMode,
+  validateEvent,
+  parseMetricValue,
+  validateMetric,
+};
@@ -0,0 +1,402 @@
+/**
+ * Application Insights PoC - Embedded Event Store
+ *
+ * Keeps a local copy of the telemetry the server receives so analytics
+ * questions can be answered offline instead of only from the Azure portal.
+ *
+ * Storage:
+ * - Append-only NDJSON file (one record per line), replayed on startup.
+ *   Records are buffered and appended asynchronously (every second, or
+ *   sooner when WRITE_BATCH_SIZE records are waiting), never on the
+ *   request path
+ * - In-memory indexes by event name, userId, sessionId and operationId
+ *   (W3C trace id, see telemetry/trace-context.js)
+ * - Retention: records older than the retention period, and the oldest
+ *   records beyond the record limit, are dropped from memory and the file is
+ *   rewritten without them (on startup, hourly, and when the limit is
+ *   exceeded by 10%)
+ *
+ * The store implements the exporter interface of the telemetry pipeline
+ * (name/export/flush), so anything tracked through the pipeline - custom
+ * events, purchase journey steps, requests from the tracking middleware,
+ * page views and exceptions - is recorded automatically. Requests to the
+ * monitoring endpoints (metrics scrapes, the live stream, health checks and
+ * event queries) are not recorded.
+ *
+ * Configuration:
+ * - EVENT_STORE_PATH:           location of the store file (default: data/events.ndjson),
+ *                               set to "off" to disable the store
+ * - EVENT_STORE_RETENTION_DAYS: age after which records are dropped (default: 30)
+ * - EVENT_STORE_MAX_RECORDS:    records kept at most (default: 100000)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { OPERATION_ID_TAG, OPERATION_PARENT_ID_TAG } = require("./telemetry/trace-context");
+
+// Metrics are high volume (one ServerResponseTime per request) and not needed for event queries
+const STORED_TYPES = ["event", "request", "pageView", "exception"];
+
+// Requests to these paths are monitoring traffic, not user activity
+const UNRECORDED_REQUEST_PATHS = ["/metrics", "/api/stream", "/api/health", "/api/events"];
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_RECORDS = 100000;
+const COMPACTION_SLACK = 0.1;
+const COMPACTION_INTERVAL_MS = 60 * 60 * 1000;
+const WRITE_INTERVAL_MS = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+const GROUP_BY_FIELDS = ["name", "type", "userId", "sessionId"];
+
+// Query parameters taken as single strings - ?name=a&name=b or name[]=a parse to arrays
+const STRING_PARAMS = ["name", "userId", "sessionId", "operationId", "type", "from", "to", "groupBy", "limit", "offset"];
+
+/**
+ * Validates query parameters for EventStore.query()
+ *
+ * @param {Object} params - Raw query string parameters
+ * @returns {Object[]} Field-level errors ({ field, message }), empty when valid
+ */
+function validateQuery(params = {}) {
+  const errors = [];
+
+  STRING_PARAMS.forEach((field) => {
+    if (params[field] !== undefined && typeof params[field] !== "string") {
+      errors.push({ field, message: "must be a single string value" });
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  ["from", "to"].forEach((field) => {
+    if (params[field] && Number.isNaN(Date.parse(params[field]))) {
+      errors.push({ field, message: "must be a valid date" });
+    }
+  });
+
+  if (params.groupBy && !GROUP_BY_FIELDS.includes(params.groupBy) && !/^property\.\w+$/.test(params.groupBy)) {
+    errors.push({ field: "groupBy", message: `must be one of: ${GROUP_BY_FIELDS.join(", ")}, property.<key>` });
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a request item belongs to the monitoring endpoints (see UNRECORDED_REQUEST_PATHS)
+ */
+function isUnrecordedRequest(telemetry = {}) {
+  const requestPath = (telemetry.properties || {}).path || String(telemetry.url || "").split("?")[0];
+  return UNRECORDED_REQUEST_PATHS.includes(requestPath);
+}
+
+function envInt(name) {
+  return parseInt(process.env[name], 10) || undefined;
+}
+
+class EventStore {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - NDJSON file to persist to (in-memory only when null)
+   * @param {number} [options.retentionDays] - Age after which records are dropped (default 30)
+   * @param {number} [options.maxRecords] - Records kept at most (default 100000)
+   */
+  constructor(options = {}) {
+    this.name = "store";
+    this.filePath = options.filePath || null;
+    this.retentionMs = (options.retentionDays || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+    this.maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+
+    this.records = [];
+    this.resetIndexes();
+
+    // Serialized lines waiting to be appended, and the chain of file writes
+    this.pending = [];
+    this.writing = Promise.resolve();
+    this.writeTimer = null;
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.load();
+      this.compact();
+
+      this.compactionTimer = setInterval(() => this.compact(), COMPACTION_INTERVAL_MS);
+      this.compactionTimer.unref(); // Don't keep the process alive for housekeeping
+    }
+  }
+
+  resetIndexes() {
+    this.indexes = {
+      name: new Map(),
+      userId: new Map(),
+      sessionId: new Map(),
+      operationId: new Map(),
+    };
+  }
+
+  /**
+   * Replays the store file into memory, skipping lines that can't be parsed
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    lines.forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        this.index(JSON.parse(line));
+      } catch (error) {
+        console.log("Skipping corrupt event store line:", error.message);
+      }
+    });
+
+    console.log(`🗄️  Event store loaded ${this.records.length} records from ${this.filePath}`);
+  }
+
+  /**
+   * Adds a record to memory and updates the indexes
+   */
+  index(record) {
+    const position = this.records.length;
+    this.records.push(record);
+
+    Object.keys(this.indexes).forEach((key) => {
+      const value = record[key];
+      if (value === undefined || value === null || value === "") return;
+      const index = this.indexes[key];
+      if (!index.has(value)) index.set(value, []);
+      index.get(value).push(position);
+    });
+  }
+
+  /**
+   * Converts a pipeline telemetry item into a store record
+   *
+   * @param {Object} item - { type, time, telemetry }
+   * @returns {Object} Flat record with indexed fields at the top level
+   */
+  toRecord(item) {
+    const telemetry = item.telemetry || {};
+    const properties = telemetry.properties || {};
+    const tags = telemetry.tagOverrides || {};
+
+    const record = {
+      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      type: item.type,
+      name: telemetry.name || (telemetry.exception && telemetry.exception.message) || item.type,
+      time: item.time,
+      userId: properties.userId,
+      sessionId: properties.sessionId,
+      operationId: tags[OPERATION_ID_TAG],
+      parentId: tags[OPERATION_PARENT_ID_TAG],
+      properties,
+      measurements: telemetry.measurements,
+    };
+
+    if (item.type === "request") {
+      record.spanId = telemetry.id;
+      record.duration = telemetry.duration;
+      record.resultCode = telemetry.resultCode;
+      record.url = telemetry.url;
+    }
+
+    return record;
+  }
+
+  /**
+   * Appends a record to the store; the file write is buffered
+   *
+   * @param {Object} record - Record produced by toRecord()
+   */
+  append(record) {
+    this.index(record);
+
+    if (this.records.length > this.maxRecords * (1 + COMPACTION_SLACK)) {
+      this.compact(); // Rewrites the file, including this record
+      return;
+    }
+
+    if (!this.filePath) return;
+    this.pending.push(JSON.stringify(record));
+    if (this.pending.length >= WRITE_BATCH_SIZE) {
+      this.flush();
+    } else if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => this.flush(), WRITE_INTERVAL_MS);
+      this.writeTimer.unref();
+    }
+  }
+
+  export(item) {
+    if (!STORED_TYPES.includes(item.type)) return;
+    if (item.type === "request" && isUnrecordedRequest(item.telemetry)) return;
+    this.append(this.toRecord(item));
+  }
+
+  /**
+   * Queues a file operation after the writes already queued, logging failures
+   */
+  enqueueWrite(operation) {
+    this.writing = this.writing.then(operation).catch((error) => {
+      console.log("⚠️  Event store write failed:", error.message);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Appends the buffered records to the file
+   *
+   * @returns {Promise<void>} Resolves when everything buffered so far is written
+   */
+  flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    if (this.pending.length === 0) return this.writing;
+
+    const data = this.pending.join("\n") + "\n";
+    this.pending = [];
+    return this.enqueueWrite(() => fs.promises.appendFile(this.filePath, data));
+  }
+
+  /**
+   * Applies retention: drops records older than the retention period and the
+   * oldest records beyond maxRecords, then rewrites the file without them
+   *
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} Number of records dropped
+   */
+  compact(now = Date.now()) {
+    const cutoff = new Date(now - this.retentionMs).toISOString();
+    const retained = this.records.filter((record) => record.time >= cutoff).slice(-this.maxRecords);
+    const dropped = this.records.length - retained.length;
+    if (dropped === 0) return 0;
+
+    this.records = [];
+    this.resetIndexes();
+    retained.forEach((record) => this.index(record));
+
+    if (this.filePath) {
+      // Buffered records are in memory already, so the rewrite includes them
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.pending = [];
+
+      const data = retained.map((record) => JSON.stringify(record) + "\n").join("");
+      const temporaryPath = `${this.filePath}.tmp`;
+      this.enqueueWrite(async () => {
+        await fs.promises.writeFile(temporaryPath, data);
+        await fs.promises.rename(temporaryPath, this.filePath);
+      });
+    }
+
+    console.log(`🗄️  Event store retention dropped ${dropped} records`);
+    return dropped;
+  }
+
+  /**
+   * Finds matching records using the most selective index available
+   *
+   * @param {Object} filters - { name, userId, sessionId, operationId, type, from, to }
+   * @returns {Object[]} Matching records in insertion (time) order
+   */
+  find(filters = {}) {
+    let candidates = null;
+
+    Object.keys(this.indexes).forEach((key) => {
+      if (!filters[key]) return;
+      const positions = this.indexes[key].get(filters[key]) || [];
+      if (candidates === null || positions.length < candidates.length) {
+        candidates = positions;
+      }
+    });
+
+    const records = candidates === null ? this.records : candidates.map((position) => this.records[position]);
+    const from = filters.from ? new Date(filters.from).toISOString() : null;
+    const to = filters.to ? new Date(filters.to).toISOString() : null;
+
+    return records.filter(
+      (record) =>
+        (!filters.name || record.name === filters.name) &&
+        (!filters.userId || record.userId === filters.userId) &&
+        (!filters.sessionId || record.sessionId === filters.sessionId) &&
+        (!filters.operationId || record.operationId === filters.operationId) &&
+        (!filters.type || record.type === filters.type) &&
+        (!from || record.time >= from) &&
+        (!to || record.time <= to)
+    );
+  }
+
+  /**
+   * Queries the store with pagination or group-by counts
+   *
+   * @param {Object} params
+   * @param {string} [params.name] - Event name
+   * @param {string} [params.userId] - User identifier
+   * @param {string} [params.sessionId] - Session identifier
+   * @param {string} [params.operationId] - Operation (trace) identifier
+   * @param {string} [params.type] - Telemetry type (event, request, pageView, exception)
+   * @param {string} [params.from] - Start of time range (ISO date)
+   * @param {string} [params.to] - End of time range (ISO date)
+   * @param {number} [params.limit] - Page size (default 50, max 1000)
+   * @param {number} [params.offset] - Number of records to skip
+   * @param {string} [params.groupBy] - name, userId, sessionId, type or property.<key>
+   * @returns {Object} { total, limit, offset, events } or { total, groupBy, groups }
+   */
+  query(params = {}) {
+    const matches = this.find(params);
+
+    if (params.groupBy) {
+      const counts = new Map();
+      matches.forEach((record) => {
+        const key = params.groupBy.startsWith("property.")
+          ? (record.properties || {})[params.groupBy.slice("property.".length)]
+          : record[params.groupBy];
+        const groupKey = key === undefined || key === null ? "(none)" : String(key);
+        counts.set(groupKey, (counts.get(groupKey) || 0) + 1);
+      });
+
+      return {
+        total: matches.length,
+        groupBy: params.groupBy,
+        groups: Array.from(counts, ([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count),
+      };
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+
+    return {
+      total: matches.length,
+      limit,
+      offset,
+      events: matches.slice(offset, offset + limit),
+    };
+  }
+}
+
+/**
+ * Creates the event store from EVENT_STORE_PATH, EVENT_STORE_RETENTION_DAYS and EVENT_STORE_MAX_RECORDS
+ *
+ * @returns {EventStore|null} The store, or null when disabled
+ */
+function createEventStore() {
+  const configuredPath = process.env.EVENT_STORE_PATH;
+  if (configuredPath && configuredPath.toLowerCase() === "off") {
+    return null;
+  }
+
+  return new EventStore({
+    filePath: configuredPath || path.join(__dirname, "..", "data", "events.ndjson"),
+    retentionDays: envInt("EVENT_STORE_RETENTION_DAYS"),
+    maxRecords: envInt("EVENT_STORE_MAX_RECORDS"),
+  });
+}
+
+module.exports = {
+  EventStore,
+  createEventStore,
+  validateQuery,
+  STORED_TYPES,
+  UNRECORDED_REQUEST_PATHS,
+};
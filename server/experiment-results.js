@@ -0,0 +1,290 @@
+/**
+ * Application Insights PoC - Experiment Results
+ *
+ * Analyzes A/B experiments from the exposure (ABTestAssignment) and
+ * conversion (ABTestConversion) events kept in the local event store.
+ *
+ * Per variant:
+ * - Unique exposed users and converted users
+ * - Conversion rate with a 95% Wilson confidence interval
+ * - Two-proportion z-test p-value and relative lift against the control
+ * - Bayesian probability to beat the control (Beta(1, 1) priors)
+ *
+ * Per experiment:
+ * - Sample ratio mismatch (SRM) check: chi-square goodness-of-fit of the
+ *   observed exposures against the configured weights
+ *
+ * Conversions are attributed to the variant the user was exposed to, and only
+ * users that were exposed before converting are counted.
+ */
+
+// Two-sided critical value for 95% confidence intervals
+const Z_95 = 1.959964;
+
+// SRM is flagged below this p-value - deliberately strict because a mismatch invalidates the test
+const SRM_THRESHOLD = 0.001;
+
+/**
+ * Standard normal cumulative distribution function
+ *
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of erf (error < 1.5e-7).
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  x -= 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, index) => {
+    sum += coefficient / (x + index + 1);
+  });
+  const t = x + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(s, x)
+ *
+ * Series expansion below s + 1, continued fraction above (Numerical Recipes).
+ */
+function upperIncompleteGamma(s, x) {
+  if (x <= 0) return 1;
+
+  if (x < s + 1) {
+    let term = 1 / s;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (s + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * Math.exp(-x + s * Math.log(x) - logGamma(s));
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - s;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - s);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.exp(-x + s * Math.log(x) - logGamma(s)) * h;
+}
+
+/**
+ * p-value of a chi-square statistic
+ *
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @returns {number} P(X >= statistic)
+ */
+function chiSquarePValue(statistic, degreesOfFreedom) {
+  return upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2);
+}
+
+/**
+ * Wilson score interval for a binomial proportion
+ *
+ * @returns {{lower: number, upper: number}|null} null when there are no trials
+ */
+function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials === 0) return null;
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+  return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+}
+
+/**
+ * Two-sided two-proportion z-test
+ *
+ * @returns {{zScore: number, pValue: number}|null} null when the test is undefined
+ */
+function twoProportionZTest(conversionsA, exposuresA, conversionsB, exposuresB) {
+  if (exposuresA === 0 || exposuresB === 0) return null;
+
+  const pooled = (conversionsA + conversionsB) / (exposuresA + exposuresB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / exposuresA + 1 / exposuresB));
+  if (standardError === 0) return null;
+
+  const zScore = (conversionsB / exposuresB - conversionsA / exposuresA) / standardError;
+  return { zScore, pValue: 2 * (1 - normalCdf(Math.abs(zScore))) };
+}
+
+/**
+ * Probability that variant B's true conversion rate exceeds variant A's
+ *
+ * Exact closed form for Beta posteriors with Beta(1, 1) priors (Evan Miller).
+ * The sum runs over B's conversions, which stays cheap at demo volumes.
+ */
+function probabilityToBeat(conversionsA, exposuresA, conversionsB, exposuresB) {
+  const alphaA = conversionsA + 1;
+  const betaA = exposuresA - conversionsA + 1;
+  const alphaB = conversionsB + 1;
+  const betaB = exposuresB - conversionsB + 1;
+
+  let total = 0;
+  for (let i = 0; i < alphaB; i++) {
+    total += Math.exp(
+      logBeta(alphaA + i, betaA + betaB) - Math.log(betaB + i) - logBeta(1 + i, betaB) - logBeta(alphaA, betaA)
+    );
+  }
+  return Math.min(1, Math.max(0, total));
+}
+
+/**
+ * Chi-square goodness-of-fit test of exposures against configured weights
+ */
+function sampleRatioMismatch(experiment, exposuresByVariant) {
+  const totalExposures = experiment.variants.reduce((sum, variant) => sum + exposuresByVariant[variant.key], 0);
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  if (totalExposures === 0) {
+    return { statistic: null, pValue: null, mismatch: false, threshold: SRM_THRESHOLD };
+  }
+
+  const statistic = experiment.variants.reduce((sum, variant) => {
+    const expected = (variant.weight / totalWeight) * totalExposures;
+    const observed = exposuresByVariant[variant.key];
+    return sum + ((observed - expected) * (observed - expected)) / expected;
+  }, 0);
+
+  const pValue = chiSquarePValue(statistic, experiment.variants.length - 1);
+
+  return {
+    statistic,
+    pValue,
+    mismatch: pValue < SRM_THRESHOLD,
+    threshold: SRM_THRESHOLD,
+  };
+}
+
+/**
+ * Computes experiment results from event store records
+ *
+ * @param {Object} experiment - Experiment from loadExperiments()
+ * @param {Object[]} records - Event store records
+ * @returns {Object} { experiment, control, totalExposures, srm, variants: [...] }
+ */
+function computeExperimentResults(experiment, records) {
+  const variantKeys = experiment.variants.map((variant) => variant.key);
+
+  // First exposure per user decides the variant the user is analyzed in
+  const exposures = new Map();
+  const conversions = new Map();
+  records.forEach((record) => {
+    const properties = record.properties || {};
+    if (record.type !== "event" || properties.testName !== experiment.key || !record.userId) return;
+    const timestamp = Date.parse(record.time);
+
+    if (record.name === "ABTestAssignment" && variantKeys.includes(properties.variant)) {
+      const existing = exposures.get(record.userId);
+      if (!existing || timestamp < existing.timestamp) {
+        exposures.set(record.userId, { variant: properties.variant, timestamp });
+      }
+    } else if (record.name === "ABTestConversion") {
+      const existing = conversions.get(record.userId);
+      if (existing === undefined || timestamp < existing) {
+        conversions.set(record.userId, timestamp);
+      }
+    }
+  });
+
+  const exposuresByVariant = {};
+  const conversionsByVariant = {};
+  variantKeys.forEach((key) => {
+    exposuresByVariant[key] = 0;
+    conversionsByVariant[key] = 0;
+  });
+
+  exposures.forEach((exposure, userId) => {
+    exposuresByVariant[exposure.variant]++;
+    const convertedAt = conversions.get(userId);
+    if (convertedAt !== undefined && convertedAt >= exposure.timestamp) {
+      conversionsByVariant[exposure.variant]++;
+    }
+  });
+
+  const controlExposures = exposuresByVariant[experiment.control];
+  const controlConversions = conversionsByVariant[experiment.control];
+  const controlRate = controlExposures > 0 ? controlConversions / controlExposures : null;
+
+  const variants = experiment.variants.map((variant) => {
+    const exposed = exposuresByVariant[variant.key];
+    const converted = conversionsByVariant[variant.key];
+    const rate = exposed > 0 ? converted / exposed : null;
+    const isControl = variant.key === experiment.control;
+
+    const result = {
+      variant: variant.key,
+      isControl,
+      weight: variant.weight,
+      exposures: exposed,
+      conversions: converted,
+      conversionRate: rate,
+      confidenceInterval: wilsonInterval(converted, exposed),
+    };
+
+    if (!isControl) {
+      const test = twoProportionZTest(controlConversions, controlExposures, converted, exposed);
+      result.lift = controlRate && rate !== null ? (rate - controlRate) / controlRate : null;
+      result.zScore = test ? test.zScore : null;
+      result.pValue = test ? test.pValue : null;
+      result.probabilityToBeatControl =
+        exposed > 0 && controlExposures > 0 ? probabilityToBeat(controlConversions, controlExposures, converted, exposed) : null;
+    }
+
+    return result;
+  });
+
+  return {
+    experiment: experiment.key,
+    status: experiment.status,
+    control: experiment.control,
+    totalExposures: exposures.size,
+    srm: sampleRatioMismatch(experiment, exposuresByVariant),
+    variants,
+  };
+}
+
+module.exports = {
+  normalCdf,
+  logGamma,
+  chiSquarePValue,
+  wilsonInterval,
+  twoProportionZTest,
+  probabilityToBeat,
+  computeExperimentResults,
+};
@@ -0,0 +1,140 @@
+/**
+ * Application Insights PoC - Experiment Registry and Variant Assignment
+ *
+ * Experiments are declared in server/experiments.json (or the file named by
+ * EXPERIMENTS_CONFIG_PATH):
+ *
+ * {
+ *   "homepage_cta_test": {
+ *     "status": "running",              // running | paused | completed
+ *     "control": "variant_a",
+ *     "variants": [{ "key": "variant_a", "weight": 50 }, { "key": "variant_b", "weight": 50 }]
+ *   }
+ * }
+ *
+ * Users are bucketed deterministically by hashing "<experimentKey>:<userId>",
+ * so the same user always gets the same variant across sessions and devices
+ * without storing assignments. Only running experiments expose users; paused
+ * and completed experiments serve the control variant.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const STATUSES = ["running", "paused", "completed"];
+
+// Resolution of the bucketing hash - 10,000 buckets allows weights down to 0.01%
+const BUCKET_COUNT = 10000;
+
+/**
+ * Validates a single experiment definition
+ *
+ * @returns {string[]} Configuration errors, empty when valid
+ */
+function validateExperiment(key, experiment) {
+  const errors = [];
+
+  if (!experiment || !Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    return [`experiment "${key}" needs at least two variants`];
+  }
+
+  if (!STATUSES.includes(experiment.status)) {
+    errors.push(`experiment "${key}" status must be one of: ${STATUSES.join(", ")}`);
+  }
+
+  experiment.variants.forEach((variant, index) => {
+    if (!variant.key || !(variant.weight > 0)) {
+      errors.push(`experiment "${key}" variant ${index} needs a key and a positive weight`);
+    }
+  });
+
+  if (experiment.control && !experiment.variants.some((variant) => variant.key === experiment.control)) {
+    errors.push(`experiment "${key}" control "${experiment.control}" is not one of its variants`);
+  }
+
+  return errors;
+}
+
+/**
+ * Loads the experiment registry from EXPERIMENTS_CONFIG_PATH or server/experiments.json
+ *
+ * Invalid experiments are logged and skipped so a configuration mistake never
+ * prevents the server from starting.
+ *
+ * @returns {Object} Experiments keyed by experiment key
+ */
+function loadExperiments() {
+  const configPath = process.env.EXPERIMENTS_CONFIG_PATH || path.join(__dirname, "experiments.json");
+
+  let definitions = {};
+  try {
+    definitions = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.log(`⚠️  Could not load experiment registry from ${configPath}:`, error.message);
+    return {};
+  }
+
+  const experiments = {};
+  Object.entries(definitions).forEach(([key, experiment]) => {
+    const errors = validateExperiment(key, experiment);
+    if (errors.length > 0) {
+      errors.forEach((error) => console.log(`⚠️  Skipping experiment: ${error}`));
+      return;
+    }
+    experiments[key] = {
+      key,
+      description: experiment.description || "",
+      status: experiment.status,
+      control: experiment.control || experiment.variants[0].key,
+      variants: experiment.variants.map((variant) => ({ key: variant.key, weight: variant.weight })),
+    };
+  });
+
+  return experiments;
+}
+
+/**
+ * Maps a user to a stable bucket in [0, BUCKET_COUNT)
+ *
+ * @param {string} experimentKey - Experiment key (salts the hash per experiment)
+ * @param {string} userId - User identifier
+ * @returns {number} Bucket number
+ */
+function getBucket(experimentKey, userId) {
+  const digest = crypto.createHash("sha256").update(`${experimentKey}:${userId}`).digest();
+  return digest.readUInt32BE(0) % BUCKET_COUNT;
+}
+
+/**
+ * Assigns a user to a variant of an experiment
+ *
+ * @param {Object} experiment - Experiment from loadExperiments()
+ * @param {string} userId - User identifier
+ * @returns {{experiment: string, variant: string, control: string, exposed: boolean, bucket: number|null}}
+ *   exposed is false when the experiment is not running and the control is served
+ */
+function assignVariant(experiment, userId) {
+  if (experiment.status !== "running") {
+    return { experiment: experiment.key, variant: experiment.control, control: experiment.control, exposed: false, bucket: null };
+  }
+
+  const bucket = getBucket(experiment.key, userId);
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+  let cumulative = 0;
+  const variant =
+    experiment.variants.find((candidate) => {
+      cumulative += (candidate.weight / totalWeight) * BUCKET_COUNT;
+      return bucket < cumulative;
+    }) || experiment.variants[experiment.variants.length - 1];
+
+  return { experiment: experiment.key, variant: variant.key, control: experiment.control, exposed: true, bucket };
+}
+
+module.exports = {
+  STATUSES,
+  loadExperiments,
+  getBucket,
+  assignVariant,
+};
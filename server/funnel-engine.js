@@ -0,0 +1,370 @@
+/**
+ * Application Insights PoC - Funnel Engine
+ *
+ * Computes conversion funnels from the events kept in the local event store.
+ * Funnels are declared in configuration (server/funnels.json by default, or
+ * the file named by FUNNELS_CONFIG_PATH) as ordered sequences of steps with a
+ * conversion window:
+ *
+ * {
+ *   "purchase": {
+ *     "name": "Quote to policy purchase",
+ *     "conversionWindowMinutes": 1440,
+ *     "steps": [{ "name": "quote_requested", "events": ["QuoteRequested", ...] }, ...]
+ *   }
+ * }
+ *
+ * Journeys are built per user (userId, falling back to sessionId). A journey
+ * enters the funnel with its first step and progresses through the following
+ * steps in order, as long as each step happens within the conversion window
+ * measured from the funnel entry.
+ *
+ * computeFunnelReport() rebuilds the journeys from the whole store and backs
+ * GET /api/funnels/:id. FunnelProgress follows journeys as events arrive, for
+ * figures needed on every write (the FunnelConversion metric). It is seeded
+ * from the store on startup, so its counts survive a restart.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// Segment dimensions and the event properties they are read from (first match wins)
+const SEGMENT_PROPERTIES = {
+  insuranceType: ["insuranceType"],
+  device: ["device", "deviceType"],
+  variant: ["variant", "abVariant"],
+};
+
+// Bound on journeys FunnelProgress follows per funnel - least recently active users are forgotten first
+const MAX_TRACKED_JOURNEYS = 10000;
+
+/**
+ * Validates a single funnel definition
+ *
+ * @returns {string[]} Configuration errors, empty when valid
+ */
+function validateFunnel(id, funnel) {
+  const errors = [];
+
+  if (!funnel || !Array.isArray(funnel.steps) || funnel.steps.length < 2) {
+    errors.push(`funnel "${id}" needs at least two steps`);
+    return errors;
+  }
+
+  funnel.steps.forEach((step, index) => {
+    if (!step.name || !Array.isArray(step.events) || step.events.length === 0) {
+      errors.push(`funnel "${id}" step ${index} needs a name and a non-empty events list`);
+    }
+  });
+
+  if (funnel.conversionWindowMinutes !== undefined && !(funnel.conversionWindowMinutes > 0)) {
+    errors.push(`funnel "${id}" conversionWindowMinutes must be a positive number`);
+  }
+
+  return errors;
+}
+
+/**
+ * Loads funnel definitions from FUNNELS_CONFIG_PATH or server/funnels.json
+ *
+ * Invalid funnels are logged and skipped so a configuration mistake never
+ * prevents the server from starting.
+ *
+ * @returns {Object} Funnel definitions keyed by funnel id
+ */
+function loadFunnels() {
+  const configPath = process.env.FUNNELS_CONFIG_PATH || path.join(__dirname, "funnels.json");
+
+  let definitions = {};
+  try {
+    definitions = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.log(`⚠️  Could not load funnel configuration from ${configPath}:`, error.message);
+    return {};
+  }
+
+  const funnels = {};
+  Object.entries(definitions).forEach(([id, funnel]) => {
+    const errors = validateFunnel(id, funnel);
+    if (errors.length > 0) {
+      errors.forEach((error) => console.log(`⚠️  Skipping funnel: ${error}`));
+      return;
+    }
+    funnels[id] = {
+      id,
+      name: funnel.name || id,
+      description: funnel.description || "",
+      conversionWindowMinutes: funnel.conversionWindowMinutes || 1440,
+      steps: funnel.steps.map((step) => ({ name: step.name, events: step.events })),
+    };
+  });
+
+  return funnels;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function readSegment(record, segmentBy) {
+  const keys = SEGMENT_PROPERTIES[segmentBy] || [segmentBy];
+  const properties = record.properties || {};
+  const key = keys.find((candidate) => properties[candidate] !== undefined && properties[candidate] !== "");
+  return key ? String(properties[key]) : null;
+}
+
+/**
+ * Finds the deepest path through the funnel for one user's events
+ *
+ * @param {Object[]} events - The user's step events in time order, each with a stepIndex
+ * @param {number} stepCount - Number of funnel steps
+ * @param {number} windowMs - Conversion window in milliseconds
+ * @returns {Object[]} The matched events, one per reached step
+ */
+function matchJourney(events, stepCount, windowMs) {
+  let best = [];
+
+  events.forEach((entry, startIndex) => {
+    if (entry.stepIndex !== 0) return;
+
+    const matched = [entry];
+    const deadline = entry.timestamp + windowMs;
+
+    for (let i = startIndex + 1; i < events.length && matched.length < stepCount; i++) {
+      const candidate = events[i];
+      if (candidate.timestamp > deadline) break;
+      if (candidate.stepIndex === matched.length) {
+        matched.push(candidate);
+      }
+    }
+
+    if (matched.length > best.length) {
+      best = matched;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Turns matched journeys into step counts, conversion and timing figures
+ */
+function summarizeJourneys(funnel, journeys) {
+  const steps = funnel.steps.map((step, index) => {
+    const reached = journeys.filter((journey) => journey.length > index);
+    const count = reached.length;
+    const previousCount = index === 0 ? count : journeys.filter((journey) => journey.length > index - 1).length;
+    const firstCount = journeys.length;
+
+    const durations =
+      index === 0 ? [] : reached.map((journey) => journey[index].timestamp - journey[index - 1].timestamp);
+
+    return {
+      name: step.name,
+      events: step.events,
+      count,
+      conversionFromPrevious: previousCount > 0 ? count / previousCount : null,
+      conversionFromStart: firstCount > 0 ? count / firstCount : null,
+      dropOff: previousCount - count,
+      dropOffRate: previousCount > 0 ? (previousCount - count) / previousCount : null,
+      medianTimeFromPreviousMs: median(durations),
+    };
+  });
+
+  const entered = steps[0].count;
+  const converted = steps[steps.length - 1].count;
+
+  return {
+    entered,
+    converted,
+    overallConversion: entered > 0 ? converted / entered : null,
+    steps,
+  };
+}
+
+/**
+ * Computes a funnel report from event store records
+ *
+ * @param {Object} funnel - Funnel definition from loadFunnels()
+ * @param {Object[]} records - Event store records (any order)
+ * @param {Object} [options]
+ * @param {string} [options.segmentBy] - insuranceType, device or variant
+ * @returns {Object} Report with overall figures and, when segmented, one report per segment value
+ */
+function computeFunnelReport(funnel, records, options = {}) {
+  const eventToStep = new Map();
+  funnel.steps.forEach((step, index) => {
+    step.events.forEach((eventName) => {
+      if (!eventToStep.has(eventName)) eventToStep.set(eventName, index);
+    });
+  });
+
+  // Group step events per user (userId preferred, sessionId as fallback)
+  const eventsByUser = new Map();
+  records.forEach((record) => {
+    if (record.type !== "event" || !eventToStep.has(record.name)) return;
+    const userKey = record.userId || record.sessionId;
+    if (!userKey) return;
+
+    if (!eventsByUser.has(userKey)) eventsByUser.set(userKey, []);
+    eventsByUser.get(userKey).push({
+      stepIndex: eventToStep.get(record.name),
+      timestamp: Date.parse(record.time),
+      record,
+    });
+  });
+
+  const windowMs = funnel.conversionWindowMinutes * 60 * 1000;
+  const journeys = [];
+  eventsByUser.forEach((events) => {
+    events.sort((a, b) => a.timestamp - b.timestamp);
+    const journey = matchJourney(events, funnel.steps.length, windowMs);
+    if (journey.length > 0) journeys.push(journey);
+  });
+
+  const report = {
+    funnel: {
+      id: funnel.id,
+      name: funnel.name,
+      description: funnel.description,
+      conversionWindowMinutes: funnel.conversionWindowMinutes,
+    },
+    ...summarizeJourneys(funnel, journeys),
+  };
+
+  if (options.segmentBy) {
+    const segments = new Map();
+    journeys.forEach((journey) => {
+      const value = journey.map((entry) => readSegment(entry.record, options.segmentBy)).find(Boolean) || "(unknown)";
+      if (!segments.has(value)) segments.set(value, []);
+      segments.get(value).push(journey);
+    });
+
+    report.segmentBy = options.segmentBy;
+    report.segments = {};
+    segments.forEach((segmentJourneys, value) => {
+      report.segments[value] = summarizeJourneys(funnel, segmentJourneys);
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Incremental per-step user counts
+ *
+ * Follows each user's current journey with the rules of matchJourney (entered
+ * with the first step, progressing in step order within the conversion
+ * window) and counts the journeys reaching each step. Recording an event
+ * takes constant time. Implements the exporter interface of the telemetry
+ * pipeline (name/export/flush); seed() replays stored events.
+ */
+class FunnelProgress {
+  /**
+   * @param {Object} funnels - Funnel definitions from loadFunnels()
+   * @param {Object} [options]
+   * @param {number} [options.maxJourneys] - Journeys followed per funnel (default: MAX_TRACKED_JOURNEYS)
+   */
+  constructor(funnels, options = {}) {
+    this.name = "funnelProgress";
+    this.maxJourneys = options.maxJourneys || MAX_TRACKED_JOURNEYS;
+    this.funnels = new Map();
+
+    Object.values(funnels).forEach((funnel) => {
+      const stepOf = new Map();
+      funnel.steps.forEach((step, index) => {
+        step.events.forEach((eventName) => {
+          if (!stepOf.has(eventName)) stepOf.set(eventName, index);
+        });
+      });
+
+      this.funnels.set(funnel.id, {
+        stepOf,
+        windowMs: funnel.conversionWindowMinutes * 60 * 1000,
+        counts: funnel.steps.map(() => 0),
+        journeys: new Map(), // user key -> { enteredAt, reached }
+      });
+    });
+  }
+
+  export(item) {
+    if (item.type !== "event") return;
+
+    const telemetry = item.telemetry || {};
+    const properties = telemetry.properties || {};
+    this.record(telemetry.name, properties.userId || properties.sessionId, Date.parse(item.time) || Date.now());
+  }
+
+  /**
+   * Replays event store records, e.g. on startup
+   *
+   * @param {Object[]} records - Event store records ({ type, name, time, userId, sessionId })
+   */
+  seed(records) {
+    records
+      .filter((record) => record.type === "event")
+      .sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+      .forEach((record) => this.record(record.name, record.userId || record.sessionId, Date.parse(record.time)));
+  }
+
+  /**
+   * Advances the journeys of one user with an event
+   */
+  record(eventName, userKey, timestamp) {
+    if (!userKey || Number.isNaN(timestamp)) return;
+
+    this.funnels.forEach((progress) => {
+      const stepIndex = progress.stepOf.get(eventName);
+      if (stepIndex === undefined) return;
+
+      let journey = progress.journeys.get(userKey);
+      if (journey && timestamp > journey.enteredAt + progress.windowMs) {
+        journey = null;
+      }
+
+      if (!journey && stepIndex === 0) {
+        journey = { enteredAt: timestamp, reached: 0 };
+        progress.counts[0]++;
+      } else if (journey && stepIndex === journey.reached + 1) {
+        journey.reached = stepIndex;
+        progress.counts[stepIndex]++;
+      }
+
+      // Re-insert so Map iteration order tracks recency for eviction
+      progress.journeys.delete(userKey);
+      if (journey) progress.journeys.set(userKey, journey);
+      while (progress.journeys.size > this.maxJourneys) {
+        progress.journeys.delete(progress.journeys.keys().next().value);
+      }
+    });
+  }
+
+  flush() {
+    // Nothing buffered - counts live in memory only
+  }
+
+  /**
+   * @param {string} funnelId - Funnel id
+   * @param {number} stepIndex - Index of the step in the funnel
+   * @returns {number|null} Journeys reaching the step over journeys reaching the previous
+   *   one (1 for the first step), or null when there are none yet
+   */
+  conversion(funnelId, stepIndex) {
+    const progress = this.funnels.get(funnelId);
+    if (!progress) return null;
+
+    const count = progress.counts[stepIndex];
+    const previousCount = stepIndex === 0 ? count : progress.counts[stepIndex - 1];
+    return previousCount > 0 ? count / previousCount : null;
+  }
+}
+
+module.exports = {
+  SEGMENT_PROPERTIES,
+  loadFunnels,
+  computeFunnelReport,
+  FunnelProgress,
+};
@@ -0,0 +1,261 @@
+/**
+ * Application Insights PoC - Ingestion Rate Limiting and Abuse Protection
+ *
+ * The telemetry ingestion routes are unauthenticated, so every request passes
+ * through a guard before it reaches the telemetry pipeline:
+ *
+ * - Payload size cap (413), enforced by the JSON body parser while the body is
+ *   read (guard.parseBody, mounted before the global express.json())
+ * - Custom property count cap (400)
+ * - Token-bucket rate limits per IP, per sessionId and per userId (429 with Retry-After).
+ *   Batches are charged one token per item, against the ids each item carries
+ *
+ * Every rejection is tracked as an IngestionThrottled metric with the reason,
+ * so abuse shows up in Application Insights without logging each request.
+ *
+ * Limits come from createApp({ ingestionLimits }) or environment variables:
+ *
+ * - INGESTION_RATE_LIMIT_PER_IP:      requests per minute per client IP (default: 300)
+ * - INGESTION_RATE_LIMIT_PER_SESSION: requests per minute per sessionId (default: 120)
+ * - INGESTION_RATE_LIMIT_PER_USER:    requests per minute per userId (default: 120)
+ * - INGESTION_MAX_PAYLOAD_BYTES:      maximum request body size (default: 32768)
+ * - INGESTION_MAX_PROPERTIES:         maximum custom properties + measurements (default: 50)
+ *
+ * A limit of 0 disables that check (a payload limit of 0 falls back to the
+ * express.json() default of 100 kb). Buckets hold one minute's worth of
+ * tokens, so a client may burst up to its per-minute limit.
+ */
+
+const express = require("express");
+
+const DEFAULT_LIMITS = {
+  perIp: 300,
+  perSession: 120,
+  perUser: 120,
+  maxPayloadBytes: 32 * 1024,
+  maxProperties: 50,
+};
+
+const ENV_VARIABLES = {
+  perIp: "INGESTION_RATE_LIMIT_PER_IP",
+  perSession: "INGESTION_RATE_LIMIT_PER_SESSION",
+  perUser: "INGESTION_RATE_LIMIT_PER_USER",
+  maxPayloadBytes: "INGESTION_MAX_PAYLOAD_BYTES",
+  maxProperties: "INGESTION_MAX_PROPERTIES",
+};
+
+// Bound on tracked keys per limiter - session and user ids are client-supplied,
+// so an attacker must not be able to grow the maps without limit
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Token bucket rate limiter keyed by an arbitrary string
+ *
+ * Each key gets a bucket of `capacity` tokens that refills continuously at
+ * `capacity` tokens per `intervalMs`. A request takes one token per item.
+ */
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Bucket size (maximum burst)
+   * @param {number} [options.intervalMs] - Time to refill an empty bucket (default: one minute)
+   * @param {number} [options.maxKeys] - Least recently used buckets are evicted above this
+   */
+  constructor({ capacity, intervalMs = 60 * 1000, maxKeys = MAX_TRACKED_KEYS }) {
+    this.capacity = capacity;
+    this.refillPerMs = capacity / intervalMs;
+    this.maxKeys = maxKeys;
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+  }
+
+  /**
+   * Takes tokens for a key
+   *
+   * @param {string} key - Bucket key (IP, session id, user id)
+   * @param {number} [now] - Current time in milliseconds
+   * @param {number} [cost] - Tokens to take; capped at the capacity, so a batch
+   *   larger than the bucket drains it instead of never passing
+   * @returns {{allowed: boolean, remaining: number, retryAfterSeconds: number}}
+   */
+  take(key, now = Date.now(), cost = 1) {
+    const existing = this.buckets.get(key);
+    let tokens = this.capacity;
+    if (existing) {
+      tokens = Math.min(this.capacity, existing.tokens + (now - existing.updatedAt) * this.refillPerMs);
+      // Re-insert so Map iteration order tracks recency for eviction
+      this.buckets.delete(key);
+    }
+
+    const needed = Math.min(cost, this.capacity);
+    const allowed = tokens >= needed;
+    if (allowed) tokens -= needed;
+
+    this.buckets.set(key, { tokens, updatedAt: now });
+    this.evict();
+
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((needed - tokens) / this.refillPerMs / 1000)),
+    };
+  }
+
+  evict() {
+    while (this.buckets.size > this.maxKeys) {
+      this.buckets.delete(this.buckets.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Resolves ingestion limits from explicit options and environment variables
+ *
+ * @param {Object} [overrides] - Limits passed to createApp
+ * @returns {Object} Limits with every key of DEFAULT_LIMITS set
+ */
+function resolveLimits(overrides = {}) {
+  const limits = {};
+  Object.entries(DEFAULT_LIMITS).forEach(([key, fallback]) => {
+    const fromEnv = parseInt(process.env[ENV_VARIABLES[key]], 10);
+    if (overrides[key] !== undefined) {
+      limits[key] = overrides[key];
+    } else {
+      limits[key] = Number.isNaN(fromEnv) ? fallback : fromEnv;
+    }
+  });
+  return limits;
+}
+
+/**
+ * Counts the custom properties and measurements of a request body
+ *
+ * Event and metric payloads carry them in properties/measurements; purchase
+ * journey steps post them at the top level.
+ */
+function countProperties(body) {
+  if (!body || typeof body !== "object") return 0;
+  if (body.properties || body.measurements) {
+    return Object.keys(body.properties || {}).length + Object.keys(body.measurements || {}).length;
+  }
+  return Object.keys(body).length;
+}
+
+/**
+ * Reads an identifier from the body, falling back to its properties
+ */
+function readIdentifier(body, field) {
+  if (!body || typeof body !== "object") return null;
+  const value = body[field] !== undefined ? body[field] : (body.properties || {})[field];
+  return typeof value === "string" && value !== "" ? value : null;
+}
+
+/**
+ * Number of telemetry items in a request body - batches carry them in `items`
+ */
+function countItems(body) {
+  return body && Array.isArray(body.items) ? Math.max(body.items.length, 1) : 1;
+}
+
+/**
+ * Reads the identifiers a request is charged against
+ *
+ * @returns {Map<string, number>} Identifier -> number of items carrying it
+ */
+function readIdentifiers(body, field) {
+  const counts = new Map();
+  const items = body && Array.isArray(body.items) ? body.items : [body];
+  items.forEach((item) => {
+    const key = readIdentifier(item, field);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Creates the guard middleware for telemetry ingestion routes
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.telemetryClient] - Pipeline used to track IngestionThrottled
+ * @param {Object} [options.limits] - Overrides for DEFAULT_LIMITS
+ * @returns {Function} Express middleware; limits are exposed as guard.limits and the
+ *   size-capped JSON body parser as guard.parseBody
+ */
+function createIngestionGuard({ telemetryClient = null, limits: overrides } = {}) {
+  const limits = resolveLimits(overrides);
+
+  const limiters = [
+    { reason: "ip", limit: limits.perIp, read: (req) => new Map([[req.ip, countItems(req.body)]]) },
+    { reason: "session", limit: limits.perSession, read: (req) => readIdentifiers(req.body, "sessionId") },
+    { reason: "userId", limit: limits.perUser, read: (req) => readIdentifiers(req.body, "userId") },
+  ]
+    .filter(({ limit }) => limit > 0)
+    .map((entry) => ({ ...entry, limiter: new TokenBucketLimiter({ capacity: entry.limit }) }));
+
+  function reject(req, res, status, reason, body) {
+    if (telemetryClient) {
+      telemetryClient.trackMetric({
+        name: "IngestionThrottled",
+        value: 1,
+        properties: {
+          reason,
+          route: req.route ? req.route.path : req.baseUrl || req.path,
+          method: req.method,
+        },
+      });
+    }
+
+    console.log(`🚦 Ingestion throttled (${reason}): ${req.method} ${req.originalUrl} from ${req.ip}`);
+
+    res.status(status).json({ success: false, reason, ...body });
+  }
+
+  // Stops reading at the limit, whatever Content-Length claims
+  const jsonParser = express.json(limits.maxPayloadBytes > 0 ? { limit: limits.maxPayloadBytes } : {});
+
+  function parseBody(req, res, next) {
+    jsonParser(req, res, (error) => {
+      if (error && error.type === "entity.too.large") {
+        return reject(req, res, 413, "payloadSize", {
+          message: `Payload exceeds maximum of ${limits.maxPayloadBytes} bytes`,
+        });
+      }
+      next(error);
+    });
+  }
+
+  function guard(req, res, next) {
+    const propertyCount = countProperties(req.body);
+    if (limits.maxProperties > 0 && propertyCount > limits.maxProperties) {
+      return reject(req, res, 400, "propertyCount", {
+        message: `Too many properties (${propertyCount}), maximum is ${limits.maxProperties}`,
+      });
+    }
+
+    const now = Date.now();
+    for (const { reason, read, limiter } of limiters) {
+      for (const [key, cost] of read(req)) {
+        const result = limiter.take(key, now, cost);
+        if (!result.allowed) {
+          res.set("Retry-After", String(result.retryAfterSeconds));
+          return reject(req, res, 429, reason, {
+            message: "Too many requests",
+            retryAfterSeconds: result.retryAfterSeconds,
+          });
+        }
+      }
+    }
+
+    next();
+  }
+
+  guard.limits = limits;
+  guard.parseBody = parseBody;
+  return guard;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  TokenBucketLimiter,
+  resolveLimits,
+  createIngestionGuard,
+};
@@ -0,0 +1,187 @@
+/**
+ * Application Insights PoC - Live Metrics Stream
+ *
+ * Aggregates live counters across everything the server receives and pushes
+ * them to dashboards over Server-Sent Events (GET /api/stream).
+ *
+ * Counters:
+ * - Events per second (10-second average) and events in the last minute
+ * - Funnel step counts for every configured funnel
+ * - Error counts: tracked exceptions, 4xx and 5xx responses
+ * - p50/p95 server response times over the last five minutes
+ *
+ * LiveMetrics implements the exporter interface of the telemetry pipeline
+ * (name/export/flush), so it sees the same events, requests and exceptions
+ * that are sent to Application Insights.
+ */
+
+const BROADCAST_INTERVAL_MS = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+const RESPONSE_TIME_WINDOW_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_SAMPLES = 2000;
+
+// Clients reconnect after this delay when the connection drops
+const SSE_RETRY_MS = 3000;
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) return null;
+  const rank = Math.ceil(fraction * sortedValues.length) - 1;
+  return sortedValues[Math.min(Math.max(rank, 0), sortedValues.length - 1)];
+}
+
+class LiveMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.funnels] - Funnel definitions from loadFunnels()
+   */
+  constructor(options = {}) {
+    this.name = "live";
+    this.startedAt = Date.now();
+    this.clients = new Set();
+    this.timer = null;
+
+    this.totalEvents = 0;
+    this.eventTimestamps = [];
+    this.responseTimes = []; // { timestamp, duration }
+    this.errors = { exceptions: 0, clientErrors: 0, serverErrors: 0 };
+
+    // Event name -> funnel steps it counts towards
+    this.funnelSteps = new Map();
+    this.funnelCounts = {};
+    Object.values(options.funnels || {}).forEach((funnel) => {
+      this.funnelCounts[funnel.id] = {};
+      funnel.steps.forEach((step) => {
+        this.funnelCounts[funnel.id][step.name] = 0;
+        step.events.forEach((eventName) => {
+          if (!this.funnelSteps.has(eventName)) this.funnelSteps.set(eventName, []);
+          this.funnelSteps.get(eventName).push({ funnelId: funnel.id, stepName: step.name });
+        });
+      });
+    });
+  }
+
+  export(item) {
+    const now = Date.now();
+    const telemetry = item.telemetry || {};
+    // Pruned on every export too - snapshot() only runs while a dashboard is connected
+    this.prune(now);
+
+    switch (item.type) {
+      case "event":
+        this.totalEvents++;
+        this.eventTimestamps.push(now);
+        (this.funnelSteps.get(telemetry.name) || []).forEach(({ funnelId, stepName }) => {
+          this.funnelCounts[funnelId][stepName]++;
+        });
+        break;
+      case "exception":
+        this.errors.exceptions++;
+        break;
+      case "request":
+        if (typeof telemetry.duration === "number") {
+          this.responseTimes.push({ timestamp: now, duration: telemetry.duration });
+          if (this.responseTimes.length > MAX_RESPONSE_SAMPLES) this.responseTimes.shift();
+        }
+        if (telemetry.resultCode >= 500) {
+          this.errors.serverErrors++;
+        } else if (telemetry.resultCode >= 400) {
+          this.errors.clientErrors++;
+        }
+        break;
+    }
+  }
+
+  flush() {
+    // Nothing buffered - counters live in memory only
+  }
+
+  /**
+   * Drops samples that fell out of their time windows
+   */
+  prune(now) {
+    while (this.eventTimestamps.length > 0 && this.eventTimestamps[0] < now - RATE_WINDOW_MS) {
+      this.eventTimestamps.shift();
+    }
+    while (this.responseTimes.length > 0 && this.responseTimes[0].timestamp < now - RESPONSE_TIME_WINDOW_MS) {
+      this.responseTimes.shift();
+    }
+  }
+
+  /**
+   * @returns {Object} Current aggregate counters
+   */
+  snapshot() {
+    const now = Date.now();
+    this.prune(now);
+
+    const eventsLast10s = this.eventTimestamps.filter((timestamp) => timestamp >= now - 10000).length;
+    const durations = this.responseTimes.map((sample) => sample.duration).sort((a, b) => a - b);
+
+    return {
+      timestamp: new Date(now).toISOString(),
+      uptimeSeconds: Math.floor((now - this.startedAt) / 1000),
+      connectedClients: this.clients.size,
+      events: {
+        total: this.totalEvents,
+        perSecond: eventsLast10s / 10,
+        lastMinute: this.eventTimestamps.length,
+      },
+      funnels: this.funnelCounts,
+      errors: { ...this.errors },
+      responseTimes: {
+        samples: durations.length,
+        p50: percentile(durations, 0.5),
+        p95: percentile(durations, 0.95),
+      },
+    };
+  }
+
+  /**
+   * Registers an SSE response and starts broadcasting to it
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  addClient(req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    this.clients.add(res);
+    this.send(res, this.snapshot());
+
+    req.on("close", () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stop();
+    });
+
+    this.start();
+  }
+
+  send(res, data) {
+    res.write(`event: metrics\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  broadcast() {
+    const data = this.snapshot();
+    this.clients.forEach((res) => this.send(res, data));
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.broadcast(), BROADCAST_INTERVAL_MS);
+    // Don't keep the process alive just for the stream
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = LiveMetrics;
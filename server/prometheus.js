@@ -0,0 +1,278 @@
+/**
+ * Application Insights PoC - Prometheus Metrics
+ *
+ * Keeps the counters behind GET /metrics and renders them in the Prometheus
+ * text exposition format (version 0.0.4):
+ *
+ * - http_request_duration_seconds{method,route,status_code}  histogram, observed by
+ *                                                             the request middleware
+ * - telemetry_events_total{name}                              events tracked, by name
+ * - telemetry_exceptions_total                                exceptions tracked
+ * - ingestion_throttled_total{reason}                         rejected ingestion requests
+ * - funnel_step_total{funnel,step}                            events counting towards a funnel step
+ * - process_* and nodejs_*                                    CPU, memory, heap, event
+ *                                                             loop lag and GC
+ *
+ * PrometheusMetrics implements the processor interface of the telemetry
+ * pipeline and is registered before sampling, so its counters see every item
+ * even when only a sample is exported. It never rewrites items.
+ *
+ * Label values come from routes and event names; each label keeps at most
+ * MAX_LABEL_VALUES distinct values and counts the rest as "other", so a
+ * client sending random event names cannot blow up the series count.
+ */
+
+const { monitorEventLoopDelay, PerformanceObserver, constants: perfConstants } = require("perf_hooks");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Request duration buckets in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const MAX_LABEL_VALUES = 200;
+const OVERFLOW_LABEL = "other";
+
+const GC_KINDS = {
+  [perfConstants.NODE_PERFORMANCE_GC_MINOR]: "minor",
+  [perfConstants.NODE_PERFORMANCE_GC_MAJOR]: "major",
+  [perfConstants.NODE_PERFORMANCE_GC_INCREMENTAL]: "incremental",
+  [perfConstants.NODE_PERFORMANCE_GC_WEAKCB]: "weakcb",
+};
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * @param {Object} labels - { name: value }
+ * @returns {string} Label set, e.g. {method="GET",route="/"} - empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * Counter or gauge keyed by label set
+ */
+class Series {
+  constructor(name, type, help, labelNames = []) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> { labels, value }
+    this.seen = labelNames.map(() => new Set());
+  }
+
+  /**
+   * Caps the distinct values of every label at MAX_LABEL_VALUES
+   */
+  boundLabels(labels) {
+    const bounded = {};
+    this.labelNames.forEach((labelName, index) => {
+      const value = labels[labelName] === undefined ? "" : String(labels[labelName]);
+      const seen = this.seen[index];
+      if (!seen.has(value) && seen.size >= MAX_LABEL_VALUES) {
+        bounded[labelName] = OVERFLOW_LABEL;
+      } else {
+        seen.add(value);
+        bounded[labelName] = value;
+      }
+    });
+    return bounded;
+  }
+
+  entry(labels) {
+    const bounded = this.boundLabels(labels);
+    const key = JSON.stringify(bounded);
+    if (!this.values.has(key)) this.values.set(key, { labels: bounded, value: 0 });
+    return this.values.get(key);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.values.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${formatNumber(value)}`));
+    return lines;
+  }
+}
+
+/**
+ * Histogram keyed by label set (cumulative buckets, _sum and _count)
+ */
+class Histogram extends Series {
+  constructor(name, help, labelNames, buckets) {
+    super(name, "histogram", help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    if (!entry.counts) {
+      entry.counts = this.buckets.map(() => 0);
+      entry.sum = 0;
+      entry.count = 0;
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.values.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class PrometheusMetrics {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.funnels] - Funnel definitions from loadFunnels()
+   */
+  constructor(options = {}) {
+    this.name = "prometheus";
+    this.contentType = CONTENT_TYPE;
+
+    this.requestDuration = new Histogram(
+      "http_request_duration_seconds",
+      "Duration of HTTP requests by route and status code",
+      ["method", "route", "status_code"],
+      DURATION_BUCKETS
+    );
+    this.events = new Series("telemetry_events_total", "counter", "Custom events tracked, by event name", ["name"]);
+    this.exceptions = new Series("telemetry_exceptions_total", "counter", "Exceptions tracked");
+    this.throttled = new Series("ingestion_throttled_total", "counter", "Ingestion requests rejected by the ingestion guard", ["reason"]);
+    this.funnelSteps = new Series("funnel_step_total", "counter", "Events counting towards a funnel step", ["funnel", "step"]);
+    this.gcRuns = new Series("nodejs_gc_runs_total", "counter", "Garbage collections by kind", ["kind"]);
+    this.gcDuration = new Series("nodejs_gc_duration_seconds_total", "counter", "Time spent in garbage collection by kind", ["kind"]);
+    this.exceptions.inc({}, 0);
+
+    // Event name -> funnel steps it counts towards (same mapping as LiveMetrics)
+    this.stepsByEvent = new Map();
+    Object.values(options.funnels || {}).forEach((funnel) => {
+      funnel.steps.forEach((step) => {
+        this.funnelSteps.inc({ funnel: funnel.id, step: step.name }, 0);
+        step.events.forEach((eventName) => {
+          if (!this.stepsByEvent.has(eventName)) this.stepsByEvent.set(eventName, []);
+          this.stepsByEvent.get(eventName).push({ funnel: funnel.id, step: step.name });
+        });
+      });
+    });
+
+    this.eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+    this.eventLoopDelay.enable();
+
+    try {
+      this.gcObserver = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || "unknown";
+          this.gcRuns.inc({ kind });
+          this.gcDuration.inc({ kind }, entry.duration / 1000);
+        });
+      });
+      this.gcObserver.observe({ entryTypes: ["gc"] });
+    } catch (error) {
+      console.log("⚠️  GC metrics unavailable:", error.message);
+    }
+  }
+
+  /**
+   * Records a finished request (called by the request middleware)
+   *
+   * @param {Object} request - { method, route, statusCode, durationMs }; route is the
+   *   matched route pattern, never the raw path, to keep the series count bounded
+   */
+  observeRequest({ method, route, statusCode, durationMs }) {
+    this.requestDuration.observe({ method, route, status_code: statusCode }, durationMs / 1000);
+  }
+
+  process(item) {
+    const telemetry = item.telemetry || {};
+
+    switch (item.type) {
+      case "event":
+        this.events.inc({ name: telemetry.name });
+        (this.stepsByEvent.get(telemetry.name) || []).forEach((labels) => this.funnelSteps.inc(labels));
+        break;
+      case "exception":
+        this.exceptions.inc();
+        break;
+      case "metric":
+        if (telemetry.name === "IngestionThrottled") {
+          this.throttled.inc({ reason: (telemetry.properties && telemetry.properties.reason) || "unknown" });
+        }
+        break;
+    }
+
+    return item;
+  }
+
+  /**
+   * @returns {string[]} Process and Node.js runtime metrics, read at scrape time
+   */
+  renderProcessMetrics() {
+    const memory = process.memoryUsage();
+    const cpu = process.cpuUsage();
+    const gauge = (name, help, value, type = "gauge") => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${formatNumber(value)}`];
+    const lagSeconds = (nanoseconds) => (Number.isNaN(nanoseconds) ? 0 : nanoseconds / 1e9);
+
+    return [
+      ...gauge("process_cpu_user_seconds_total", "User CPU time spent in seconds", cpu.user / 1e6, "counter"),
+      ...gauge("process_cpu_system_seconds_total", "System CPU time spent in seconds", cpu.system / 1e6, "counter"),
+      ...gauge("process_resident_memory_bytes", "Resident memory size in bytes", memory.rss),
+      ...gauge("process_start_time_seconds", "Start time of the process since the Unix epoch in seconds", Math.round(Date.now() / 1000 - process.uptime())),
+      ...gauge("nodejs_heap_size_used_bytes", "V8 heap used in bytes", memory.heapUsed),
+      ...gauge("nodejs_heap_size_total_bytes", "V8 heap allocated in bytes", memory.heapTotal),
+      ...gauge("nodejs_external_memory_bytes", "Memory of C++ objects bound to JavaScript objects in bytes", memory.external),
+      ...gauge("nodejs_eventloop_lag_mean_seconds", "Mean event loop delay since the last scrape", lagSeconds(this.eventLoopDelay.mean)),
+      ...gauge("nodejs_eventloop_lag_p99_seconds", "99th percentile event loop delay since the last scrape", lagSeconds(this.eventLoopDelay.percentile(99))),
+      ...gauge("nodejs_eventloop_lag_max_seconds", "Maximum event loop delay since the last scrape", lagSeconds(this.eventLoopDelay.max)),
+    ];
+  }
+
+  /**
+   * @returns {string} All metrics in the Prometheus text format
+   */
+  render() {
+    const lines = [
+      ...this.requestDuration.render(),
+      ...this.events.render(),
+      ...this.exceptions.render(),
+      ...this.throttled.render(),
+      ...this.funnelSteps.render(),
+      ...this.gcRuns.render(),
+      ...this.gcDuration.render(),
+      ...this.renderProcessMetrics(),
+    ];
+
+    // Event loop lag is reported per scrape interval
+    this.eventLoopDelay.reset();
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+module.exports = PrometheusMetrics;
@@ -0,0 +1,178 @@
+/**
+ * Application Insights PoC - Batch Telemetry Ingestion
+ *
+ * Shared helpers behind POST /api/track-batch. Clients collect events, metrics,
+ * page views and exceptions locally and send them in one request instead of one
+ * round trip per item. Every item is validated on its own so a single bad entry
+ * never rejects the rest of the batch.
+ *
+ * Item format:
+ * - { type: "event",     name, properties?, measurements? }
+ * - { type: "metric",    name, value, properties? }   value: number or decimal string
+ * - { type: "pageView",  name, url?, duration?, properties?, measurements? }
+ * - { type: "exception", message, stack?, severityLevel?, properties? }
+ *
+ * Events are additionally checked against the event catalog (see event-catalog.js).
+ */
+
+const { validateEvent, parseMetricValue } = require("./event-catalog");
+
+// Upper bound on items per request - keeps a single request from monopolizing the server
+const MAX_BATCH_SIZE = 500;
+
+const SUPPORTED_TYPES = ["event", "metric", "pageView", "exception"];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Validates a single batch item
+ *
+ * @param {*} item - Raw item from the request body
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Event catalog validation mode ("strict" or "lenient")
+ * @param {Object} [options.experiments] - Experiment registry A/B test variants are checked against
+ * @param {number} [options.maxProperties] - Maximum properties + measurements per item (0 = unlimited)
+ * @returns {{errors: string[], tags: Object}} Validation errors (empty when valid) and
+ *   catalog tags to merge into the item's properties
+ */
+function validateBatchItem(item, options = {}) {
+  const errors = [];
+
+  if (!isPlainObject(item)) {
+    return { errors: ["item must be an object"], tags: {} };
+  }
+
+  if (!SUPPORTED_TYPES.includes(item.type)) {
+    return { errors: [`type must be one of: ${SUPPORTED_TYPES.join(", ")}`], tags: {} };
+  }
+
+  if (item.type === "exception") {
+    if (typeof item.message !== "string" || item.message.trim() === "") {
+      errors.push("message is required for exceptions");
+    }
+  } else if (typeof item.name !== "string" || item.name.trim() === "") {
+    errors.push("name is required");
+  }
+
+  if (item.type === "metric" && parseMetricValue(item.value) === null) {
+    errors.push("value must be a finite number or a decimal string");
+  }
+
+  if (item.duration !== undefined && !isFiniteNumber(item.duration)) {
+    errors.push("duration must be a finite number");
+  }
+
+  if (item.properties !== undefined && !isPlainObject(item.properties)) {
+    errors.push("properties must be an object");
+  }
+
+  if (item.measurements !== undefined) {
+    if (!isPlainObject(item.measurements)) {
+      errors.push("measurements must be an object");
+    } else {
+      Object.entries(item.measurements).forEach(([key, value]) => {
+        if (!isFiniteNumber(value)) {
+          errors.push(`measurements.${key} must be a finite number`);
+        }
+      });
+    }
+  }
+
+  const propertyCount =
+    (isPlainObject(item.properties) ? Object.keys(item.properties).length : 0) +
+    (isPlainObject(item.measurements) ? Object.keys(item.measurements).length : 0);
+  if (options.maxProperties > 0 && propertyCount > options.maxProperties) {
+    errors.push(`too many properties (${propertyCount}), maximum is ${options.maxProperties}`);
+  }
+
+  if (item.type === "event" && errors.length === 0) {
+    const check = validateEvent(item.name, item.properties, item.measurements, options);
+    check.errors.forEach(({ field, message }) => errors.push(`${field} ${message}`));
+    return { errors, tags: check.tags };
+  }
+
+  return { errors, tags: {} };
+}
+
+/**
+ * Forwards a validated item to the Application Insights client
+ *
+ * @param {Object} client - Telemetry client exposing the TelemetryClient track* API
+ * @param {Object} item - Validated batch item
+ * @param {Object} serverContext - Properties added to every item (timestamps, user agent, ...)
+ */
+function forwardBatchItem(client, item, serverContext) {
+  const properties = { ...item.properties, ...serverContext };
+
+  switch (item.type) {
+    case "event":
+      client.trackEvent({ name: item.name, properties, measurements: item.measurements });
+      break;
+    case "metric":
+      client.trackMetric({ name: item.name, value: parseMetricValue(item.value), properties });
+      break;
+    case "pageView":
+      client.trackPageView({
+        name: item.name,
+        url: item.url,
+        duration: item.duration,
+        properties,
+        measurements: item.measurements,
+      });
+      break;
+    case "exception": {
+      const exception = new Error(item.message);
+      if (item.stack) exception.stack = item.stack;
+      client.trackException({ exception, severity: item.severityLevel, properties });
+      break;
+    }
+  }
+}
+
+/**
+ * Validates a batch and forwards the accepted items
+ *
+ * @param {Object|null} client - Telemetry client (items are only validated when null)
+ * @param {Array} items - Raw items from the request body
+ * @param {Object} serverContext - Server-side properties merged into every item
+ * @param {Object} [options] - Validation options passed to validateBatchItem
+ * @returns {{accepted: number, rejected: number, results: Object[]}} Per-item outcome
+ */
+function processBatch(client, items, serverContext = {}, options = {}) {
+  const results = items.map((item, index) => {
+    const { errors, tags } = validateBatchItem(item, options);
+    if (errors.length > 0) {
+      return { index, status: "rejected", errors };
+    }
+
+    try {
+      if (client) {
+        forwardBatchItem(client, item, { ...tags, ...serverContext });
+      }
+      return { index, status: "accepted" };
+    } catch (error) {
+      return { index, status: "rejected", errors: [error.message] };
+    }
+  });
+
+  const accepted = results.filter((result) => result.status === "accepted").length;
+
+  return {
+    accepted,
+    rejected: results.length - accepted,
+    results,
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  SUPPORTED_TYPES,
+  validateBatchItem,
+  processBatch,
+};
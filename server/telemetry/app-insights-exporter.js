@@ -0,0 +1,38 @@
+/**
+ * Application Insights PoC - Application Insights Exporter
+ *
+ * Forwards pipeline items to an Application Insights TelemetryClient by
+ * calling the matching track* method with the original payload.
+ */
+
+const TRACK_METHODS = {
+  event: "trackEvent",
+  metric: "trackMetric",
+  request: "trackRequest",
+  exception: "trackException",
+  pageView: "trackPageView",
+  trace: "trackTrace",
+};
+
+class AppInsightsExporter {
+  /**
+   * @param {Object} client - Application Insights TelemetryClient (appInsights.defaultClient)
+   */
+  constructor(client) {
+    this.name = "appinsights";
+    this.client = client;
+  }
+
+  export(item) {
+    const method = TRACK_METHODS[item.type];
+    if (method && typeof this.client[method] === "function") {
+      this.client[method](item.telemetry);
+    }
+  }
+
+  flush() {
+    this.client.flush();
+  }
+}
+
+module.exports = AppInsightsExporter;
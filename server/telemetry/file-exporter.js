@@ -0,0 +1,109 @@
+/**
+ * Application Insights PoC - Local File Exporter
+ *
+ * Writes every telemetry item as one JSON line (NDJSON) to a local file so
+ * developers and CI can inspect exactly what would have been sent to
+ * Application Insights without an Azure resource.
+ *
+ * Rotation:
+ * - By day:  each UTC day gets its own file (telemetry-YYYY-MM-DD.ndjson)
+ * - By size: when the active file reaches maxBytes it is renamed to
+ *            telemetry-YYYY-MM-DD.<n>.ndjson and a fresh file is started
+ *
+ * Writes are synchronous so nothing is lost when the process exits right
+ * after a flush (see the SIGTERM handlers in the servers).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // 10 MB
+
+/**
+ * Converts values that JSON.stringify can't represent (Error objects) into plain objects
+ */
+function serializeValue(key, value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      stack: value.stack,
+    };
+  }
+  return value;
+}
+
+class FileExporter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Output directory (created if missing)
+   * @param {string} [options.prefix] - File name prefix (default "telemetry")
+   * @param {number} [options.maxBytes] - Size threshold for rotation
+   */
+  constructor(options = {}) {
+    this.name = "file";
+    this.directory = options.directory || path.join(process.cwd(), "logs", "telemetry");
+    this.prefix = options.prefix || "telemetry";
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+
+    this.currentDay = null;
+    this.currentSize = 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  /**
+   * @param {string} day - Date in YYYY-MM-DD format
+   * @returns {string} Path of the active file for that day
+   */
+  getFilePath(day) {
+    return path.join(this.directory, `${this.prefix}-${day}.ndjson`);
+  }
+
+  /**
+   * Switches to the file for the given day, picking up its current size
+   */
+  openDay(day) {
+    this.currentDay = day;
+    const filePath = this.getFilePath(day);
+    this.currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Moves the active file aside as the next numbered segment for the day
+   */
+  rotateBySize() {
+    const activePath = this.getFilePath(this.currentDay);
+    let segment = 1;
+    let rotatedPath;
+    do {
+      rotatedPath = path.join(this.directory, `${this.prefix}-${this.currentDay}.${segment}.ndjson`);
+      segment++;
+    } while (fs.existsSync(rotatedPath));
+
+    fs.renameSync(activePath, rotatedPath);
+    this.currentSize = 0;
+  }
+
+  export(item) {
+    const line = JSON.stringify(item, serializeValue) + "\n";
+    const day = item.time.slice(0, 10);
+
+    if (day !== this.currentDay) {
+      this.openDay(day);
+    }
+
+    if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.maxBytes) {
+      this.rotateBySize();
+    }
+
+    fs.appendFileSync(this.getFilePath(day), line);
+    this.currentSize += Buffer.byteLength(line);
+  }
+
+  flush() {
+    // Nothing buffered - every item is written synchronously
+  }
+}
+
+module.exports = FileExporter;
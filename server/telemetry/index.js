@@ -0,0 +1,122 @@
+/**
+ * Application Insights PoC - Telemetry Exporter Setup
+ *
+ * Builds the telemetry pipeline used by the servers from environment variables:
+ *
+ * - TELEMETRY_EXPORTERS:      comma-separated list of exporters ("appinsights", "file",
+ *                             "otlp"). Defaults to "appinsights" when a connection string
+ *                             is configured, otherwise "file", plus "otlp" when
+ *                             OTEL_EXPORTER_OTLP_ENDPOINT is set. Without "appinsights"
+ *                             in an explicit list the SDK is not started (OTLP-only mode).
+ * - TELEMETRY_FILE_DIR:       output directory of the file exporter (default: logs/telemetry)
+ * - TELEMETRY_FILE_MAX_BYTES: size at which the file exporter rotates (default: 10 MB)
+ * - OTEL_*:                   collector endpoint, headers, batching (see otlp-exporter.js)
+ *
+ * The Application Insights SDK itself is initialized per telemetry profile
+ * (see profiles.js). PII redaction rules are read from REDACTION_RULES_PATH
+ * (see redaction.js), sampling rates from SAMPLING_CONFIG_PATH (see sampling.js).
+ * W3C trace context propagation lives in trace-context.js.
+ */
+
+const path = require("path");
+const TelemetryPipeline = require("./pipeline");
+const AppInsightsExporter = require("./app-insights-exporter");
+const FileExporter = require("./file-exporter");
+const OtlpExporter = require("./otlp-exporter");
+const { TELEMETRY_PROFILES, resolveTelemetryProfile, initAppInsights } = require("./profiles");
+const { Redactor } = require("./redaction");
+const { Sampler } = require("./sampling");
+const traceContext = require("./trace-context");
+const { version: SERVICE_VERSION } = require("../../package.json");
+
+/**
+ * Resolves which exporters should be active
+ *
+ * @param {boolean} hasAppInsights - Whether an Application Insights client is available
+ * @returns {string[]} Exporter names
+ */
+function resolveExporterNames(hasAppInsights) {
+  if (process.env.TELEMETRY_EXPORTERS) {
+    return process.env.TELEMETRY_EXPORTERS.split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+  const names = hasAppInsights ? ["appinsights"] : ["file"];
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) names.push("otlp");
+  return names;
+}
+
+/**
+ * Whether the Application Insights SDK should be started: always, unless
+ * TELEMETRY_EXPORTERS lists exporters without "appinsights" (e.g. OTLP-only)
+ *
+ * @returns {boolean}
+ */
+function isAppInsightsExportEnabled() {
+  return !process.env.TELEMETRY_EXPORTERS || resolveExporterNames(true).includes("appinsights");
+}
+
+/**
+ * Creates the telemetry pipeline for a server
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.appInsightsClient] - Initialized Application Insights client, if any
+ * @param {Object[]} [options.localExporters] - In-process exporters that always receive telemetry
+ *   (event store, live metrics, ...); null entries are ignored
+ * @param {Object[]} [options.processors] - Processors every item passes before any exporter (redaction, ...)
+ * @returns {TelemetryPipeline|null} Pipeline exposing the TelemetryClient track* API,
+ *   or null when no exporter is enabled
+ */
+function createTelemetryClient({ appInsightsClient = null, localExporters = [], processors = [] } = {}) {
+  const pipeline = new TelemetryPipeline();
+  processors.filter(Boolean).forEach((processor) => pipeline.addProcessor(processor));
+
+  resolveExporterNames(!!appInsightsClient).forEach((name) => {
+    switch (name) {
+      case "appinsights":
+        if (appInsightsClient) {
+          pipeline.addExporter(new AppInsightsExporter(appInsightsClient));
+        } else {
+          console.log("⚠️  appinsights exporter requested but Application Insights is not configured - skipping");
+        }
+        break;
+      case "otlp":
+        pipeline.addExporter(new OtlpExporter({ serviceVersion: SERVICE_VERSION }));
+        break;
+      case "file":
+        pipeline.addExporter(
+          new FileExporter({
+            directory: process.env.TELEMETRY_FILE_DIR || path.join(__dirname, "..", "..", "logs", "telemetry"),
+            maxBytes: parseInt(process.env.TELEMETRY_FILE_MAX_BYTES, 10) || undefined,
+          })
+        );
+        break;
+      default:
+        console.log(`⚠️  Unknown telemetry exporter "${name}" - skipping`);
+    }
+  });
+
+  localExporters.filter(Boolean).forEach((exporter) => pipeline.addExporter(exporter));
+
+  if (pipeline.exporters.length === 0) {
+    return null;
+  }
+
+  console.log(`📤 Telemetry exporters: ${pipeline.exporterNames.join(", ")}`);
+  return pipeline;
+}
+
+module.exports = {
+  createTelemetryClient,
+  isAppInsightsExportEnabled,
+  TELEMETRY_PROFILES,
+  resolveTelemetryProfile,
+  initAppInsights,
+  TelemetryPipeline,
+  AppInsightsExporter,
+  FileExporter,
+  OtlpExporter,
+  Redactor,
+  Sampler,
+  traceContext,
+};
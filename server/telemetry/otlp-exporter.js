@@ -0,0 +1,378 @@
+/**
+ * Application Insights PoC - OpenTelemetry OTLP/HTTP Exporter
+ *
+ * Sends pipeline items to an OpenTelemetry collector using OTLP/HTTP with
+ * JSON encoding (https://opentelemetry.io/docs/specs/otlp/):
+ *
+ * - request:                      span (kind SERVER) on /v1/traces, linked to
+ *                                 its trace through the operation tags
+ * - metric:                       gauge data point on /v1/metrics
+ * - event, pageView:              log record on /v1/logs (event.name attribute)
+ * - exception, trace:             log record on /v1/logs with a severity and,
+ *                                 for exceptions, the exception.* attributes
+ *
+ * Log records carry the trace id and span id of the operation that produced
+ * them, so the collector backend can correlate them with the request span.
+ *
+ * Batching: items are buffered and sent when maxBatchSize items are waiting
+ * or every flushIntervalMs. At most maxQueueSize items are buffered; the
+ * oldest are dropped beyond that.
+ *
+ * Retry: network errors and 429/502/503/504 responses are retried with
+ * exponential backoff (honouring Retry-After) up to maxRetries times; other
+ * failures drop the batch. Failures are logged, never thrown - the exporter
+ * must not break the request that produced the telemetry.
+ */
+
+const { OPERATION_ID_TAG, OPERATION_PARENT_ID_TAG, isValidTraceId, isValidSpanId } = require("./trace-context");
+
+const DEFAULT_ENDPOINT = "http://localhost:4318";
+const DEFAULT_MAX_BATCH_SIZE = 512;
+const DEFAULT_MAX_QUEUE_SIZE = 2048;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_RETRIES = 5;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Retryable per the OTLP/HTTP specification
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+// OTLP enums
+const SPAN_KIND_SERVER = 2;
+const STATUS_CODE_UNSET = 0;
+const STATUS_CODE_ERROR = 2;
+const SEVERITY = {
+  DEBUG: { number: 5, text: "DEBUG" },
+  INFO: { number: 9, text: "INFO" },
+  WARN: { number: 13, text: "WARN" },
+  ERROR: { number: 17, text: "ERROR" },
+  FATAL: { number: 21, text: "FATAL" },
+};
+
+// Application Insights severity levels (Verbose ... Critical) of trace items
+const TRACE_SEVERITIES = [SEVERITY.DEBUG, SEVERITY.INFO, SEVERITY.WARN, SEVERITY.ERROR, SEVERITY.FATAL];
+
+const SIGNALS = {
+  traces: { path: "/v1/traces" },
+  metrics: { path: "/v1/metrics" },
+  logs: { path: "/v1/logs" },
+};
+
+/**
+ * Parses OTEL_EXPORTER_OTLP_HEADERS ("key1=value1,key2=value2", values URL-encoded)
+ *
+ * @param {string} [value]
+ * @returns {Object} Headers
+ */
+function parseHeaders(value) {
+  const headers = {};
+  (value || "").split(",").forEach((pair) => {
+    const index = pair.indexOf("=");
+    if (index <= 0) return;
+    const key = pair.slice(0, index).trim();
+    const headerValue = pair.slice(index + 1).trim();
+    try {
+      headers[key] = decodeURIComponent(headerValue);
+    } catch (error) {
+      headers[key] = headerValue;
+    }
+  });
+  return headers;
+}
+
+/**
+ * @param {string} iso - ISO timestamp
+ * @param {number} [offsetMs] - Milliseconds to add
+ * @returns {string} Nanoseconds since the epoch (int64 as a JSON string)
+ */
+function toUnixNano(iso, offsetMs = 0) {
+  return (BigInt(Date.parse(iso) + Math.round(offsetMs)) * 1000000n).toString();
+}
+
+function toAnyValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  if (typeof value === "string") return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Converts an object to OTLP attributes; undefined and null values are skipped
+ */
+function toAttributes(values, prefix = "") {
+  return Object.entries(values || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key: `${prefix}${key}`, value: toAnyValue(value) }));
+}
+
+/**
+ * Trace id and span id of the operation an item belongs to
+ */
+function operationOf(telemetry) {
+  const tags = telemetry.tagOverrides || {};
+  return {
+    traceId: isValidTraceId(tags[OPERATION_ID_TAG]) ? tags[OPERATION_ID_TAG] : undefined,
+    parentId: isValidSpanId(tags[OPERATION_PARENT_ID_TAG]) ? tags[OPERATION_PARENT_ID_TAG] : undefined,
+  };
+}
+
+function toSpan(item) {
+  const { telemetry } = item;
+  const { traceId, parentId } = operationOf(telemetry);
+  const duration = Number(telemetry.duration) || 0;
+  const statusCode = parseInt(telemetry.resultCode, 10);
+
+  return {
+    traceId,
+    spanId: isValidSpanId(telemetry.id) ? telemetry.id : undefined,
+    parentSpanId: parentId,
+    name: telemetry.name,
+    kind: SPAN_KIND_SERVER,
+    startTimeUnixNano: toUnixNano(item.time, -duration),
+    endTimeUnixNano: toUnixNano(item.time),
+    attributes: [
+      ...toAttributes({
+        "http.response.status_code": Number.isNaN(statusCode) ? undefined : statusCode,
+        "url.path": telemetry.url,
+      }),
+      ...toAttributes(telemetry.properties),
+    ],
+    status: telemetry.success === false ? { code: STATUS_CODE_ERROR } : { code: STATUS_CODE_UNSET },
+  };
+}
+
+function toMetric(item) {
+  const { telemetry } = item;
+  return {
+    name: telemetry.name,
+    gauge: {
+      dataPoints: [
+        {
+          timeUnixNano: toUnixNano(item.time),
+          asDouble: Number(telemetry.value),
+          attributes: toAttributes(telemetry.properties),
+        },
+      ],
+    },
+  };
+}
+
+function toLogRecord(item) {
+  const { telemetry } = item;
+  const { traceId, parentId } = operationOf(telemetry);
+  const record = {
+    timeUnixNano: toUnixNano(item.time),
+    severityNumber: SEVERITY.INFO.number,
+    severityText: SEVERITY.INFO.text,
+    traceId,
+    spanId: parentId,
+    attributes: [...toAttributes(telemetry.properties), ...toAttributes(telemetry.measurements, "measurement.")],
+  };
+
+  switch (item.type) {
+    case "exception": {
+      const exception = telemetry.exception || {};
+      record.severityNumber = SEVERITY.ERROR.number;
+      record.severityText = SEVERITY.ERROR.text;
+      record.body = { stringValue: exception.message || String(exception) };
+      record.attributes.push(
+        ...toAttributes({
+          "exception.type": exception.name,
+          "exception.message": exception.message,
+          "exception.stacktrace": exception.stack,
+        })
+      );
+      break;
+    }
+    case "trace": {
+      const severity = TRACE_SEVERITIES[telemetry.severity] || SEVERITY.INFO;
+      record.severityNumber = severity.number;
+      record.severityText = severity.text;
+      record.body = { stringValue: telemetry.message };
+      break;
+    }
+    case "pageView":
+      record.body = { stringValue: telemetry.name };
+      record.attributes.push(...toAttributes({ "event.name": "pageView", "page.name": telemetry.name, "url.full": telemetry.url }));
+      break;
+    default:
+      record.body = { stringValue: telemetry.name };
+      record.attributes.push(...toAttributes({ "event.name": telemetry.name }));
+  }
+
+  return record;
+}
+
+/**
+ * @returns {string} OTLP signal of an item: traces, metrics or logs
+ */
+function signalOf(item) {
+  if (item.type === "request") return "traces";
+  return item.type === "metric" ? "metrics" : "logs";
+}
+
+/**
+ * Groups items into one OTLP request body per signal
+ *
+ * @returns {Object} { traces?, metrics?, logs? } request bodies
+ */
+function buildPayloads(items, resource, scope) {
+  const spans = [];
+  const metrics = [];
+  const logRecords = [];
+
+  items.forEach((item) => {
+    const signal = signalOf(item);
+    if (signal === "traces") spans.push(toSpan(item));
+    else if (signal === "metrics") metrics.push(toMetric(item));
+    else logRecords.push(toLogRecord(item));
+  });
+
+  const payloads = {};
+  if (spans.length > 0) payloads.traces = { resourceSpans: [{ resource, scopeSpans: [{ scope, spans }] }] };
+  if (metrics.length > 0) payloads.metrics = { resourceMetrics: [{ resource, scopeMetrics: [{ scope, metrics }] }] };
+  if (logRecords.length > 0) payloads.logs = { resourceLogs: [{ resource, scopeLogs: [{ scope, logRecords }] }] };
+  return payloads;
+}
+
+function envInt(name) {
+  return parseInt(process.env[name], 10) || undefined;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class OtlpExporter {
+  /**
+   * Defaults come from the standard OpenTelemetry environment variables.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - Collector base URL (OTEL_EXPORTER_OTLP_ENDPOINT, default http://localhost:4318)
+   * @param {Object} [options.headers] - Extra request headers (OTEL_EXPORTER_OTLP_HEADERS)
+   * @param {string} [options.serviceName] - service.name resource attribute (OTEL_SERVICE_NAME)
+   * @param {string} [options.serviceVersion] - service.version resource attribute
+   * @param {number} [options.maxBatchSize] - Items per request (OTEL_BSP_MAX_EXPORT_BATCH_SIZE, default 512)
+   * @param {number} [options.maxQueueSize] - Items buffered at most (OTEL_BSP_MAX_QUEUE_SIZE, default 2048)
+   * @param {number} [options.flushIntervalMs] - Send interval (OTEL_BSP_SCHEDULE_DELAY, default 5000)
+   * @param {number} [options.timeoutMs] - Request timeout (OTEL_EXPORTER_OTLP_TIMEOUT, default 10000)
+   * @param {number} [options.maxRetries] - Retries of a failed request (default 5)
+   * @param {number} [options.retryBaseMs] - First retry delay, doubled per attempt (default 1000)
+   * @param {Function} [options.fetch] - fetch implementation (default global fetch)
+   */
+  constructor(options = {}) {
+    this.name = "otlp";
+    this.endpoint = (options.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || DEFAULT_ENDPOINT).replace(/\/+$/, "");
+    this.headers = options.headers || parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.maxBatchSize = options.maxBatchSize || envInt("OTEL_BSP_MAX_EXPORT_BATCH_SIZE") || DEFAULT_MAX_BATCH_SIZE;
+    this.maxQueueSize = options.maxQueueSize || envInt("OTEL_BSP_MAX_QUEUE_SIZE") || DEFAULT_MAX_QUEUE_SIZE;
+    this.timeoutMs = options.timeoutMs || envInt("OTEL_EXPORTER_OTLP_TIMEOUT") || DEFAULT_TIMEOUT_MS;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryBaseMs = options.retryBaseMs || RETRY_BASE_MS;
+    this.fetch = options.fetch || fetch;
+
+    this.resource = {
+      attributes: toAttributes({
+        "service.name": options.serviceName || process.env.OTEL_SERVICE_NAME || "application-insights-poc",
+        "service.version": options.serviceVersion,
+        "deployment.environment": process.env.NODE_ENV || "development",
+      }),
+    };
+    this.scope = { name: "application-insights-poc/telemetry-pipeline" };
+
+    this.buffer = [];
+    this.stats = { exported: 0, dropped: 0, failed: 0, retries: 0 };
+
+    this.timer = setInterval(() => this.flush(), options.flushIntervalMs || envInt("OTEL_BSP_SCHEDULE_DELAY") || DEFAULT_FLUSH_INTERVAL_MS);
+    this.timer.unref(); // Never keep the process alive for telemetry
+  }
+
+  export(item) {
+    this.buffer.push(item);
+
+    if (this.buffer.length > this.maxQueueSize) {
+      this.buffer.shift();
+      this.stats.dropped++;
+    }
+
+    if (this.buffer.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Sends everything buffered
+   *
+   * @returns {Promise<void>} Resolves when every request succeeded or gave up
+   */
+  flush() {
+    const sends = [];
+    while (this.buffer.length > 0) {
+      const items = this.buffer.splice(0, this.maxBatchSize);
+      const payloads = buildPayloads(items, this.resource, this.scope);
+      const counts = { traces: 0, metrics: 0, logs: 0 };
+      items.forEach((item) => counts[signalOf(item)]++);
+
+      Object.entries(payloads).forEach(([signal, body]) => {
+        sends.push(this.send(signal, body, counts[signal]));
+      });
+    }
+    return Promise.all(sends).then(() => undefined);
+  }
+
+  /**
+   * Posts one request, retrying retryable failures
+   *
+   * @param {string} signal - traces, metrics or logs
+   * @param {Object} body - OTLP request body
+   * @param {number} itemCount - Items in the request (for the stats)
+   */
+  async send(signal, body, itemCount) {
+    const url = `${this.endpoint}${SIGNALS[signal].path}`;
+    const payload = JSON.stringify(body);
+
+    for (let attempt = 0; ; attempt++) {
+      let retryAfterMs = null;
+      let reason;
+
+      try {
+        const response = await this.fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...this.headers },
+          body: payload,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (response.ok) {
+          this.stats.exported += itemCount;
+          return;
+        }
+
+        reason = `HTTP ${response.status}`;
+        if (!RETRYABLE_STATUS_CODES.includes(response.status)) {
+          console.log(`⚠️  OTLP export to ${url} rejected (${reason}) - ${itemCount} items dropped`);
+          this.stats.failed += itemCount;
+          return;
+        }
+
+        const retryAfter = parseInt(response.headers.get("retry-after"), 10);
+        if (!Number.isNaN(retryAfter)) retryAfterMs = retryAfter * 1000;
+      } catch (error) {
+        reason = error.message;
+      }
+
+      if (attempt >= this.maxRetries) {
+        console.log(`⚠️  OTLP export to ${url} failed after ${attempt + 1} attempts (${reason}) - ${itemCount} items dropped`);
+        this.stats.failed += itemCount;
+        return;
+      }
+
+      this.stats.retries++;
+      const backoff = Math.min(this.retryBaseMs * 2 ** attempt, RETRY_MAX_MS);
+      await sleep(retryAfterMs !== null ? Math.min(retryAfterMs, RETRY_MAX_MS) : backoff * (0.5 + Math.random() / 2));
+    }
+  }
+}
+
+module.exports = OtlpExporter;
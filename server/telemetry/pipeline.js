@@ -0,0 +1,148 @@
+/**
+ * Application Insights PoC - Telemetry Pipeline
+ *
+ * Drop-in replacement for the Application Insights TelemetryClient used by the
+ * servers. It exposes the same track* methods, wraps every call into a
+ * telemetry item and hands it to each registered exporter. Exporters decide
+ * where the data ends up (Application Insights, local files, ...).
+ *
+ * Telemetry item format passed to exporters:
+ * { type: "event" | "metric" | "request" | "exception" | "pageView" | "trace", time, telemetry }
+ *
+ * Exporter interface:
+ * - name:            short identifier ("appinsights", "file", "otlp", ...)
+ * - export(item):    send a single telemetry item
+ * - flush():         optional, push buffered data out; may return a promise
+ *
+ * Processor interface (run in registration order before any exporter):
+ * - name:            short identifier ("redaction", ...)
+ * - process(item):   return the (possibly rewritten) item, or null to drop it
+ */
+class TelemetryPipeline {
+  /**
+   * @param {Object[]} [exporters] - Initial exporters
+   */
+  constructor(exporters = []) {
+    this.processors = [];
+    this.exporters = [];
+    exporters.forEach((exporter) => this.addExporter(exporter));
+  }
+
+  /**
+   * Registers an additional exporter
+   *
+   * @param {Object} exporter - Object implementing the exporter interface
+   */
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+  }
+
+  /**
+   * Registers a processor that sees every item before the exporters
+   *
+   * @param {Object} processor - Object implementing the processor interface
+   */
+  addProcessor(processor) {
+    this.processors.push(processor);
+  }
+
+  /**
+   * @param {string} name - Exporter name
+   * @returns {boolean} Whether an exporter with this name is registered
+   */
+  hasExporter(name) {
+    return this.exporters.some((exporter) => exporter.name === name);
+  }
+
+  /**
+   * @returns {string[]} Names of all registered exporters
+   */
+  get exporterNames() {
+    return this.exporters.map((exporter) => exporter.name);
+  }
+
+  trackEvent(telemetry) {
+    this.dispatch("event", telemetry);
+  }
+
+  trackMetric(telemetry) {
+    this.dispatch("metric", telemetry);
+  }
+
+  trackRequest(telemetry) {
+    this.dispatch("request", telemetry);
+  }
+
+  trackException(telemetry) {
+    this.dispatch("exception", telemetry);
+  }
+
+  trackPageView(telemetry) {
+    this.dispatch("pageView", telemetry);
+  }
+
+  trackTrace(telemetry) {
+    this.dispatch("trace", telemetry);
+  }
+
+  /**
+   * Runs a telemetry item through the processors and hands it to every exporter
+   *
+   * A failing exporter is logged and skipped so it never blocks the others
+   * or breaks the request that produced the telemetry. A failing processor
+   * drops the item instead: processors guard what may leave the server
+   * (e.g. PII redaction), so an unprocessed item must never be exported.
+   *
+   * @param {string} type - Telemetry type
+   * @param {Object} telemetry - Telemetry payload in TelemetryClient format
+   */
+  dispatch(type, telemetry) {
+    let item = {
+      type,
+      time: new Date().toISOString(),
+      telemetry,
+    };
+
+    for (const processor of this.processors) {
+      try {
+        item = processor.process(item);
+      } catch (error) {
+        console.log(`Telemetry processor error (${processor.name}) - item dropped:`, error.message);
+        return;
+      }
+      if (!item) return;
+    }
+
+    this.exporters.forEach((exporter) => {
+      try {
+        exporter.export(item);
+      } catch (error) {
+        console.log(`Telemetry export error (${exporter.name}):`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Flushes every exporter that buffers data
+   *
+   * @returns {Promise<void>} Resolves once asynchronous exporters (OTLP) have
+   *   sent their buffers; never rejects
+   */
+  flush() {
+    const pending = this.exporters.map((exporter) => {
+      try {
+        if (typeof exporter.flush === "function") {
+          return Promise.resolve(exporter.flush()).catch((error) => {
+            console.log(`Telemetry flush error (${exporter.name}):`, error.message);
+          });
+        }
+      } catch (error) {
+        console.log(`Telemetry flush error (${exporter.name}):`, error.message);
+      }
+      return undefined;
+    });
+    return Promise.all(pending).then(() => undefined);
+  }
+}
+
+module.exports = TelemetryPipeline;
@@ -0,0 +1,109 @@
+/**
+ * Application Insights PoC - Telemetry Profiles
+ *
+ * A profile decides which Application Insights auto-collectors are enabled:
+ *
+ * - manual: only exceptions are auto-collected; requests are tracked by the
+ *           app's own middleware. Avoids conflicts with OpenTelemetry and
+ *           other monitoring tools (default).
+ * - full:   requests, performance counters, exceptions, dependencies and
+ *           console output are auto-collected. Best for demonstrations when
+ *           no other monitoring tools are present.
+ *
+ * Routes, middleware and local exporters are the same in both profiles.
+ */
+
+const TELEMETRY_PROFILES = {
+  manual: {
+    description: "Manual request tracking, exceptions auto-collected",
+    autoCollect: {
+      requests: false,     // Tracked by the request middleware instead
+      performance: false,  // Reduce overhead and conflicts
+      exceptions: true,    // Low-conflict and valuable
+      dependencies: false, // Prevent dependency tracking conflicts
+      console: false,      // Reduce noise
+    },
+  },
+  full: {
+    description: "Comprehensive auto-collection",
+    autoCollect: {
+      requests: true,      // Track HTTP requests automatically
+      performance: true,   // Collect performance counters
+      exceptions: true,    // Track unhandled exceptions
+      dependencies: true,  // Track external dependencies (DB, HTTP calls)
+      console: true,       // Track console.log statements
+    },
+  },
+};
+
+const DEFAULT_PROFILE = "manual";
+
+/**
+ * Resolves the telemetry profile name
+ *
+ * Explicit configuration wins over TELEMETRY_PROFILE. Unknown names are logged
+ * and fall back to the default so a typo never prevents the server from starting.
+ *
+ * @param {string} [name] - Profile name from configuration
+ * @returns {string} full or manual
+ */
+function resolveTelemetryProfile(name) {
+  const requested = (name || process.env.TELEMETRY_PROFILE || DEFAULT_PROFILE).trim().toLowerCase();
+
+  if (!TELEMETRY_PROFILES[requested]) {
+    console.log(
+      `⚠️  Unknown telemetry profile "${requested}" - using "${DEFAULT_PROFILE}" (expected one of: ${Object.keys(TELEMETRY_PROFILES).join(", ")})`
+    );
+    return DEFAULT_PROFILE;
+  }
+
+  return requested;
+}
+
+/**
+ * Initializes the Application Insights SDK for a profile
+ *
+ * Uses the connection string if available (preferred), otherwise falls back to
+ * the instrumentation key.
+ *
+ * @param {string} profileName - Resolved profile name
+ * @returns {Object|null} appInsights.defaultClient, or null when not configured or initialization failed
+ */
+function initAppInsights(profileName) {
+  if (!process.env.APPLICATIONINSIGHTS_CONNECTION_STRING && !process.env.APPINSIGHTS_INSTRUMENTATIONKEY) {
+    console.log(
+      "⚠️  Application Insights not configured - set APPLICATIONINSIGHTS_CONNECTION_STRING or APPINSIGHTS_INSTRUMENTATIONKEY environment variable"
+    );
+    return null;
+  }
+
+  try {
+    const appInsights = require("applicationinsights");
+    const { autoCollect } = TELEMETRY_PROFILES[profileName];
+
+    const connectionString = process.env.APPLICATIONINSIGHTS_CONNECTION_STRING || `InstrumentationKey=${process.env.APPINSIGHTS_INSTRUMENTATIONKEY}`;
+
+    appInsights
+      .setup(connectionString)
+      .setAutoCollectRequests(autoCollect.requests)
+      .setAutoCollectPerformance(autoCollect.performance)
+      .setAutoCollectExceptions(autoCollect.exceptions)
+      .setAutoCollectDependencies(autoCollect.dependencies)
+      .setAutoCollectConsole(autoCollect.console)
+      .setUseDiskRetryCaching(true) // Cache telemetry when network is unavailable
+      .start();
+
+    console.log(`✅ Application Insights initialized successfully (${profileName} profile)`);
+    return appInsights.defaultClient;
+  } catch (error) {
+    console.log("⚠️  Application Insights initialization failed:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  TELEMETRY_PROFILES,
+  DEFAULT_PROFILE,
+  resolveTelemetryProfile,
+  initAppInsights,
+};
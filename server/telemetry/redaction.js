@@ -0,0 +1,293 @@
+/**
+ * Application Insights PoC - PII Redaction
+ *
+ * Pipeline processor that rewrites every telemetry item before it reaches an
+ * exporter. Rules are declared in server/redaction-rules.json (or the file
+ * named by REDACTION_RULES_PATH) and applied to properties at any depth, to
+ * request and page view URLs, and to exception messages and stacks:
+ *
+ * - drop:       remove properties whose key matches
+ * - hash:       replace values of matching keys with a salted SHA-256 digest, so
+ *               they stay joinable without being readable (salt: REDACTION_SALT)
+ * - truncateIp: truncate IPv4 addresses to /24 and IPv6 addresses to /48
+ * - mask:       replace regex matches inside any string value
+ *
+ * Keys match case-insensitively. Key rules (drop, hash, truncateIp) win over
+ * mask rules; the first matching key rule decides a property's fate.
+ *
+ * redactTelemetry() is a pure function of (telemetry, rules, salt) and returns
+ * the rules that fired, so rule sets can be tested without a server. The
+ * Redactor keeps per-rule counters for GET /api/redaction/report.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ACTIONS = ["drop", "hash", "truncateIp", "mask"];
+
+// Number of hex characters kept from the salted digest
+const HASH_LENGTH = 16;
+
+/**
+ * Validates and compiles rule definitions
+ *
+ * @param {Object[]} definitions - Rules as declared in the configuration file
+ * @returns {{rules: Object[], errors: string[]}} Compiled rules and configuration errors
+ */
+function compileRules(definitions) {
+  const rules = [];
+  const errors = [];
+
+  (Array.isArray(definitions) ? definitions : []).forEach((definition, index) => {
+    const id = (definition && definition.id) || `rule_${index}`;
+
+    if (!definition || !ACTIONS.includes(definition.action)) {
+      errors.push(`rule "${id}" action must be one of: ${ACTIONS.join(", ")}`);
+      return;
+    }
+
+    if (definition.action === "mask") {
+      try {
+        rules.push({
+          id,
+          action: "mask",
+          pattern: new RegExp(definition.pattern, definition.flags || "g"),
+          replacement: definition.replacement || "[redacted]",
+        });
+      } catch (error) {
+        errors.push(`rule "${id}" has an invalid pattern: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!Array.isArray(definition.keys) || definition.keys.length === 0) {
+      errors.push(`rule "${id}" needs a non-empty keys list`);
+      return;
+    }
+
+    rules.push({
+      id,
+      action: definition.action,
+      keys: new Set(definition.keys.map((key) => key.toLowerCase())),
+    });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Loads redaction rules from REDACTION_RULES_PATH or server/redaction-rules.json
+ *
+ * Invalid rules are logged and skipped so a configuration mistake never
+ * prevents the server from starting.
+ *
+ * @returns {Object[]} Compiled rules
+ */
+function loadRedactionRules() {
+  const configPath = process.env.REDACTION_RULES_PATH || path.join(__dirname, "..", "redaction-rules.json");
+
+  let definitions = [];
+  try {
+    definitions = JSON.parse(fs.readFileSync(configPath, "utf8")).rules;
+  } catch (error) {
+    console.log(`⚠️  Could not load redaction rules from ${configPath}:`, error.message);
+    return [];
+  }
+
+  const { rules, errors } = compileRules(definitions);
+  errors.forEach((error) => console.log(`⚠️  Skipping redaction rule: ${error}`));
+  return rules;
+}
+
+/**
+ * Salted SHA-256 digest of a value, shortened for readability
+ */
+function hashValue(value, salt) {
+  return `sha256:${crypto.createHash("sha256").update(`${salt}:${value}`).digest("hex").slice(0, HASH_LENGTH)}`;
+}
+
+/**
+ * Truncates an IP address to its network prefix
+ *
+ * IPv4 (including IPv4-mapped IPv6) keeps /24, IPv6 keeps /48. Values that
+ * are not IP addresses are returned unchanged.
+ *
+ * @param {string} value - IP address
+ * @returns {string} Truncated address
+ */
+function truncateIp(value) {
+  if (typeof value !== "string") return value;
+
+  const ipv4 = value.match(/^(::ffff:)?(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/i);
+  if (ipv4) {
+    return `${ipv4[1] || ""}${ipv4[2]}.${ipv4[3]}.${ipv4[4]}.0`;
+  }
+
+  if (value.includes(":") && /^[0-9a-f:]+$/i.test(value)) {
+    const [head] = value.split("::");
+    const groups = head.split(":").filter(Boolean).slice(0, 3);
+    return `${groups.join(":")}::`;
+  }
+
+  return value;
+}
+
+/**
+ * Applies mask rules to a string
+ */
+function maskString(value, rules, field, fired) {
+  return rules.reduce((result, rule) => {
+    if (rule.action !== "mask") return result;
+    rule.pattern.lastIndex = 0;
+    if (!rule.pattern.test(result)) return result;
+    rule.pattern.lastIndex = 0;
+    fired.push({ rule: rule.id, action: rule.action, field });
+    return result.replace(rule.pattern, rule.replacement);
+  }, value);
+}
+
+/**
+ * Redacts a value (object, array or scalar) at a field path
+ */
+function redactValue(value, rules, salt, field, fired) {
+  if (typeof value === "string") {
+    return maskString(value, rules, field, fired);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((entry, index) => redactValue(entry, rules, salt, `${field}[${index}]`, fired));
+  }
+
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    const keyField = field ? `${field}.${key}` : key;
+    const keyRule = rules.find((rule) => rule.keys && rule.keys.has(key.toLowerCase()));
+
+    if (!keyRule) {
+      result[key] = redactValue(entry, rules, salt, keyField, fired);
+      return;
+    }
+
+    fired.push({ rule: keyRule.id, action: keyRule.action, field: keyField });
+
+    if (keyRule.action === "hash") {
+      result[key] = entry === undefined || entry === null ? entry : hashValue(typeof entry === "object" ? JSON.stringify(entry) : entry, salt);
+    } else if (keyRule.action === "truncateIp") {
+      result[key] = truncateIp(entry);
+    }
+    // drop: the key is left out
+  });
+  return result;
+}
+
+/**
+ * Redacts a telemetry payload
+ *
+ * The input is not modified; a redacted copy is returned.
+ *
+ * @param {Object} telemetry - Payload in TelemetryClient format
+ * @param {Object[]} rules - Rules from compileRules() or loadRedactionRules()
+ * @param {Object} [options]
+ * @param {string} [options.salt] - Salt for hash rules
+ * @returns {{telemetry: Object, fired: Object[]}} Redacted payload and the rules that fired
+ *   ({ rule, action, field } per match)
+ */
+function redactTelemetry(telemetry, rules, options = {}) {
+  const salt = options.salt || "";
+  const fired = [];
+  const redacted = { ...telemetry };
+
+  if (telemetry.properties) {
+    redacted.properties = redactValue(telemetry.properties, rules, salt, "properties", fired);
+  }
+
+  if (typeof telemetry.url === "string") {
+    redacted.url = maskString(telemetry.url, rules, "url", fired);
+  }
+
+  if (telemetry.exception instanceof Error) {
+    const exception = new Error(maskString(telemetry.exception.message, rules, "exception.message", fired));
+    exception.name = telemetry.exception.name;
+    if (telemetry.exception.stack) {
+      exception.stack = maskString(telemetry.exception.stack, rules, "exception.stack", fired);
+    }
+    redacted.exception = exception;
+  }
+
+  return { telemetry: redacted, fired };
+}
+
+/**
+ * Telemetry pipeline processor applying the redaction rules to every item
+ */
+class Redactor {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.rules] - Compiled rules (default: loadRedactionRules())
+   * @param {string} [options.salt] - Salt for hash rules (default: REDACTION_SALT)
+   */
+  constructor(options = {}) {
+    this.name = "redaction";
+    this.rules = options.rules || loadRedactionRules();
+    this.salt = options.salt || process.env.REDACTION_SALT;
+
+    if (!this.salt) {
+      // Hashes are only stable for the lifetime of the process without a configured salt
+      this.salt = crypto.randomBytes(16).toString("hex");
+      console.log("⚠️  REDACTION_SALT not set - using a random salt, hashed values will change on restart");
+    }
+
+    this.itemsProcessed = 0;
+    this.itemsRedacted = 0;
+    this.counts = {}; // rule id -> { action, fired, fields: { field: count }, lastFiredAt }
+    this.rules.forEach((rule) => {
+      this.counts[rule.id] = { action: rule.action, fired: 0, fields: {}, lastFiredAt: null };
+    });
+  }
+
+  process(item) {
+    const { telemetry, fired } = redactTelemetry(item.telemetry, this.rules, { salt: this.salt });
+
+    this.itemsProcessed++;
+    if (fired.length > 0) {
+      this.itemsRedacted++;
+      fired.forEach(({ rule, field }) => {
+        const count = this.counts[rule];
+        count.fired++;
+        count.fields[field] = (count.fields[field] || 0) + 1;
+        count.lastFiredAt = item.time;
+      });
+    }
+
+    return { ...item, telemetry };
+  }
+
+  /**
+   * @returns {Object} Which rules fired, how often and on which fields
+   */
+  report() {
+    return {
+      itemsProcessed: this.itemsProcessed,
+      itemsRedacted: this.itemsRedacted,
+      rules: this.rules.map((rule) => ({
+        id: rule.id,
+        ...this.counts[rule.id],
+      })),
+    };
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  compileRules,
+  loadRedactionRules,
+  hashValue,
+  truncateIp,
+  redactTelemetry,
+  Redactor,
+};
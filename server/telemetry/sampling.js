@@ -0,0 +1,186 @@
+/**
+ * Application Insights PoC - Per-User Sampling
+ *
+ * Pipeline processor keeping a configurable percentage of telemetry. Rates
+ * are declared in server/sampling.json (or the file named by
+ * SAMPLING_CONFIG_PATH) and served to the browser through GET /api/config:
+ *
+ *   { "defaultRate": 100, "types": { "metric": 50 }, "names": { "DeviceInfo": 25 } }
+ *
+ * The rate of an item is the one of its name, else of its type, else the
+ * default (percentages, 0-100).
+ *
+ * Decisions hash the userId into one of 10,000 buckets; an item is kept when
+ * the bucket is below rate * 100. The browser (js/analytics.js) computes the
+ * same hash (FNV-1a), so a user is kept or dropped on both sides, and a user
+ * kept at 10% is also kept at every higher rate - a sampled-in user's whole
+ * journey survives. Server telemetry without a userId property is keyed on
+ * the userId of the request it was tracked for (see trace-context.js), so a
+ * kept user's requests and server events are kept too. Items without any
+ * user are sampled by operation id, so a trace stays complete.
+ *
+ * Kept items are stamped with their rate (properties.sampleRate) so counts
+ * can be extrapolated: count * 100 / sampleRate. A sampleRate sent by a
+ * client is never trusted as is: a matching rate is re-checked (the same
+ * hash gives an honest browser's decision again) and any other rate is
+ * replaced by the configured one.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { OPERATION_ID_TAG, getTraceContext } = require("./trace-context");
+
+const BUCKET_COUNT = 10000;
+
+// Salts the hash so sampling is independent of other per-user bucketing (experiments)
+const HASH_SALT = "sampling:";
+
+/**
+ * 32-bit FNV-1a hash - keep in sync with the browser (fnv1a in js/analytics.js)
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Maps a sampling key (userId or operation id) to a stable bucket in [0, BUCKET_COUNT)
+ */
+function samplingBucket(key) {
+  return fnv1a(`${HASH_SALT}${key}`) % BUCKET_COUNT;
+}
+
+/**
+ * @param {string|null} key - Sampling key; without one the decision is random
+ * @param {number} rate - Percentage of items to keep
+ * @returns {boolean} Whether the item is kept
+ */
+function isSampledIn(key, rate) {
+  if (rate >= 100) return true;
+  if (rate <= 0) return false;
+  const bucket = key ? samplingBucket(key) : Math.floor(Math.random() * BUCKET_COUNT);
+  return bucket < rate * (BUCKET_COUNT / 100);
+}
+
+function isValidRate(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+/**
+ * Validates a sampling configuration
+ *
+ * @param {Object} definition - Configuration as declared in the file
+ * @returns {{config: Object, errors: string[]}} Configuration without the invalid entries
+ */
+function compileSamplingConfig(definition) {
+  const config = { defaultRate: 100, types: {}, names: {} };
+  const errors = [];
+  const source = definition && typeof definition === "object" ? definition : {};
+
+  if (source.defaultRate !== undefined) {
+    if (isValidRate(source.defaultRate)) {
+      config.defaultRate = source.defaultRate;
+    } else {
+      errors.push("defaultRate must be a number between 0 and 100");
+    }
+  }
+
+  ["types", "names"].forEach((section) => {
+    Object.entries(source[section] || {}).forEach(([key, rate]) => {
+      if (isValidRate(rate)) {
+        config[section][key] = rate;
+      } else {
+        errors.push(`${section}.${key} must be a number between 0 and 100`);
+      }
+    });
+  });
+
+  return { config, errors };
+}
+
+/**
+ * Loads the sampling configuration from SAMPLING_CONFIG_PATH or server/sampling.json
+ *
+ * A missing file means no sampling; invalid rates are logged and skipped so a
+ * configuration mistake never prevents the server from starting.
+ *
+ * @returns {Object} { defaultRate, types, names }
+ */
+function loadSamplingConfig() {
+  const configPath = process.env.SAMPLING_CONFIG_PATH || path.join(__dirname, "..", "sampling.json");
+
+  let definition = {};
+  try {
+    definition = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    console.log(`⚠️  Could not load sampling configuration from ${configPath}:`, error.message);
+  }
+
+  const { config, errors } = compileSamplingConfig(definition);
+  errors.forEach((error) => console.log(`⚠️  Skipping sampling rate: ${error}`));
+  return config;
+}
+
+/**
+ * @param {Object} config - Sampling configuration
+ * @param {string} type - Telemetry type (event, metric, request, pageView, exception, trace)
+ * @param {string} [name] - Event, metric, request or page view name
+ * @returns {number} Percentage of items to keep
+ */
+function resolveSampleRate(config, type, name) {
+  if (name !== undefined && Object.prototype.hasOwnProperty.call(config.names, name)) return config.names[name];
+  if (Object.prototype.hasOwnProperty.call(config.types, type)) return config.types[type];
+  return config.defaultRate;
+}
+
+/**
+ * Telemetry pipeline processor applying the sampling rates to every item
+ */
+class Sampler {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Sampling configuration (default: loadSamplingConfig())
+   */
+  constructor(options = {}) {
+    this.name = "sampling";
+    this.config = options.config || loadSamplingConfig();
+    this.counts = {}; // type -> { kept, dropped }
+  }
+
+  process(item) {
+    const telemetry = item.telemetry || {};
+    const properties = telemetry.properties || {};
+    const rate = resolveSampleRate(this.config, item.type, telemetry.name);
+    const tags = telemetry.tagOverrides || {};
+    const context = getTraceContext();
+    const key = properties.userId || (context && context.userId) || tags[OPERATION_ID_TAG] || null;
+
+    // Keyed decisions are deterministic, so browser-sampled items are simply
+    // sampled again; only an unkeyed item claiming the configured rate is
+    // taken as already sampled (a second random draw would sample it twice)
+    const kept = properties.sampleRate === rate && !key ? true : isSampledIn(key, rate);
+
+    const count = this.counts[item.type] || (this.counts[item.type] = { kept: 0, dropped: 0 });
+    if (!kept) {
+      count.dropped++;
+      return null;
+    }
+
+    count.kept++;
+    return { ...item, telemetry: { ...telemetry, properties: { ...properties, sampleRate: rate } } };
+  }
+}
+
+module.exports = {
+  BUCKET_COUNT,
+  samplingBucket,
+  isSampledIn,
+  compileSamplingConfig,
+  loadSamplingConfig,
+  resolveSampleRate,
+  Sampler,
+};
@@ -0,0 +1,164 @@
+/**
+ * Application Insights PoC - W3C Trace Context
+ *
+ * Links browser operations to the server requests they cause. The client
+ * sends a `traceparent` header (https://www.w3.org/TR/trace-context/) with
+ * every fetch:
+ *
+ *   traceparent: 00-<32 hex trace id>-<16 hex parent span id>-<2 hex flags>
+ *
+ * The request middleware continues that trace (or starts a new one), gives
+ * the request its own span id and runs the rest of the request inside an
+ * AsyncLocalStorage context. The TraceContextProcessor then tags every item
+ * tracked during the request with the Application Insights operation tags:
+ *
+ * - ai.operation.id:       the trace id
+ * - ai.operation.parentId: the span the item belongs to (the request's span
+ *                          for events and exceptions, the caller's span for
+ *                          the request itself)
+ *
+ * Items relayed from the browser carry their own operationId/parentId
+ * properties, which win over the relay request's context.
+ *
+ * The context also keeps the caller's userId when the request carries one, so
+ * the sampler can keep a user's server telemetry together with their browser
+ * telemetry.
+ */
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+const SPAN_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+const OPERATION_ID_TAG = "ai.operation.id";
+const OPERATION_PARENT_ID_TAG = "ai.operation.parentId";
+
+const storage = new AsyncLocalStorage();
+
+function isValidTraceId(value) {
+  return typeof value === "string" && TRACE_ID_PATTERN.test(value) && !/^0+$/.test(value);
+}
+
+function isValidSpanId(value) {
+  return typeof value === "string" && SPAN_ID_PATTERN.test(value) && !/^0+$/.test(value);
+}
+
+function createTraceId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function createSpanId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Parses a traceparent header
+ *
+ * @param {string} header - Header value
+ * @returns {Object|null} { traceId, parentId, flags }, or null when the header is
+ *   missing or invalid (all-zero ids and version ff are invalid per the spec)
+ */
+function parseTraceparent(header) {
+  if (typeof header !== "string") return null;
+
+  const match = header.trim().toLowerCase().match(TRACEPARENT_PATTERN);
+  if (!match) return null;
+
+  const [, version, traceId, parentId, flags] = match;
+  if (version === "ff" || !isValidTraceId(traceId) || !isValidSpanId(parentId)) return null;
+
+  return { traceId, parentId, flags };
+}
+
+/**
+ * @param {Object} context - { traceId, spanId, flags }
+ * @returns {string} traceparent header value
+ */
+function formatTraceparent({ traceId, spanId, flags = "01" }) {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * Creates the context of a server request
+ *
+ * @param {string} [traceparent] - Incoming traceparent header
+ * @param {string|null} [userId] - User the request was sent for, if known
+ * @returns {Object} { traceId, spanId, parentId, flags, userId } - parentId is null
+ *   when the request starts a new trace
+ */
+function createRequestContext(traceparent, userId = null) {
+  const parent = parseTraceparent(traceparent);
+  return {
+    traceId: parent ? parent.traceId : createTraceId(),
+    spanId: createSpanId(),
+    parentId: parent ? parent.parentId : null,
+    flags: parent ? parent.flags : "01",
+    userId,
+  };
+}
+
+/**
+ * Runs a function inside a trace context; telemetry tracked from it (including
+ * async continuations) is tagged with that context
+ */
+function runWithTraceContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * @returns {Object|undefined} Trace context of the current request
+ */
+function getTraceContext() {
+  return storage.getStore();
+}
+
+/**
+ * Telemetry pipeline processor adding operation tags to every item
+ *
+ * Tags set by the caller (the request middleware sets them on the request
+ * itself) are kept as they are.
+ */
+class TraceContextProcessor {
+  constructor() {
+    this.name = "traceContext";
+  }
+
+  process(item) {
+    const telemetry = item.telemetry || {};
+    const tags = telemetry.tagOverrides || {};
+    if (tags[OPERATION_ID_TAG]) return item;
+
+    const properties = telemetry.properties || {};
+    let operation = null;
+
+    if (isValidTraceId(properties.operationId)) {
+      operation = { [OPERATION_ID_TAG]: properties.operationId };
+      if (isValidSpanId(properties.parentId)) operation[OPERATION_PARENT_ID_TAG] = properties.parentId;
+    } else {
+      const context = getTraceContext();
+      if (context) {
+        operation = { [OPERATION_ID_TAG]: context.traceId, [OPERATION_PARENT_ID_TAG]: context.spanId };
+      }
+    }
+
+    if (!operation) return item;
+    return { ...item, telemetry: { ...telemetry, tagOverrides: { ...tags, ...operation } } };
+  }
+}
+
+module.exports = {
+  OPERATION_ID_TAG,
+  OPERATION_PARENT_ID_TAG,
+  isValidTraceId,
+  isValidSpanId,
+  createTraceId,
+  createSpanId,
+  parseTraceparent,
+  formatTraceparent,
+  createRequestContext,
+  runWithTraceContext,
+  getTraceContext,
+  TraceContextProcessor,
+};
@@ -0,0 +1,118 @@
+/**
+ * Application Insights PoC - Trace View
+ *
+ * Rebuilds the tree of a distributed operation from the local event store.
+ * Every record tagged with the same operation id (W3C trace id, see
+ * telemetry/trace-context.js) belongs to the trace:
+ *
+ * - Server requests are spans: they have a spanId and point to their caller
+ *   through parentId
+ * - Events and exceptions tracked while handling a request point to the
+ *   request's span
+ * - Browser telemetry points to the span of the client operation (a page
+ *   load or a click) that produced it. Client operations are not recorded
+ *   themselves, so they appear as "client" nodes grouping their children
+ *
+ * Requests are recorded when they finish; their nodes use the start time
+ * (recorded time minus duration) so children are ordered as they happened.
+ */
+
+/**
+ * Converts a store record to a tree node
+ */
+function toNode(record) {
+  const isRequest = record.type === "request";
+  const node = {
+    type: record.type,
+    name: record.name,
+    time: isRequest && record.duration ? new Date(Date.parse(record.time) - record.duration).toISOString() : record.time,
+    spanId: record.spanId || null,
+    parentId: record.parentId || null,
+    userId: record.userId,
+    sessionId: record.sessionId,
+    properties: record.properties,
+    children: [],
+  };
+
+  if (isRequest) {
+    node.duration = record.duration;
+    node.resultCode = record.resultCode;
+    node.url = record.url;
+  }
+
+  return node;
+}
+
+function sortByTime(nodes) {
+  nodes.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+  nodes.forEach((node) => sortByTime(node.children));
+  return nodes;
+}
+
+/**
+ * Builds the span tree of a trace
+ *
+ * @param {string} traceId - Operation id
+ * @param {Object[]} records - Event store records of the trace
+ * @returns {Object} { traceId, itemCount, start, end, duration, roots }
+ */
+function buildTraceTree(traceId, records) {
+  const nodes = records.map(toNode);
+  const spans = new Map();
+  nodes.forEach((node) => {
+    if (node.spanId) spans.set(node.spanId, node);
+  });
+
+  // Client operations, created on demand from the parent ids nothing else claims
+  const operations = new Map();
+  const roots = [];
+
+  nodes.forEach((node) => {
+    if (!node.parentId) {
+      roots.push(node);
+      return;
+    }
+
+    if (spans.has(node.parentId)) {
+      spans.get(node.parentId).children.push(node);
+      return;
+    }
+
+    if (!operations.has(node.parentId)) {
+      const operation = {
+        type: "client",
+        name: (node.properties && node.properties.operationName) || "client operation",
+        time: node.time,
+        spanId: node.parentId,
+        parentId: null,
+        children: [],
+      };
+      operations.set(node.parentId, operation);
+      roots.push(operation);
+    }
+
+    const operation = operations.get(node.parentId);
+    operation.children.push(node);
+    if (node.time < operation.time) operation.time = node.time;
+  });
+
+  // End of a request = start + duration; other items are instantaneous
+  const start = nodes.reduce((min, node) => (min === null || node.time < min ? node.time : min), null);
+  const end = nodes.reduce((max, node) => {
+    const nodeEnd = node.type === "request" && node.duration ? new Date(Date.parse(node.time) + node.duration).toISOString() : node.time;
+    return max === null || nodeEnd > max ? nodeEnd : max;
+  }, null);
+
+  return {
+    traceId,
+    itemCount: nodes.length,
+    start,
+    end,
+    duration: start === null ? 0 : Date.parse(end) - Date.parse(start),
+    roots: sortByTime(roots),
+  };
+}
+
+module.exports = {
+  buildTraceTree,
+};
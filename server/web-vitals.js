@@ -0,0 +1,164 @@
+/**
+ * Application Insights PoC - Core Web Vitals Aggregation
+ *
+ * Browsers report one WebVitals event per page view (see js/analytics.js)
+ * with the page's LCP, CLS, INP, TTFB and FCP as measurements. This module
+ * aggregates them from the local event store:
+ *
+ * - p75 per page and metric - the percentile Google uses to assess a site
+ * - A rating for the p75 using the Core Web Vitals thresholds
+ * - A comparison with the previous window of the same length, so
+ *   regressions show up after a deployment
+ *
+ * A metric counts as regressed when its p75 rating got worse or its p75
+ * grew by more than REGRESSION_THRESHOLD.
+ */
+
+// Thresholds from web.dev: values up to `good` are good, above `poor` are poor
+const WEB_VITALS = {
+  LCP: { good: 2500, poor: 4000, unit: "ms" },
+  INP: { good: 200, poor: 500, unit: "ms" },
+  CLS: { good: 0.1, poor: 0.25, unit: "score" },
+  TTFB: { good: 800, poor: 1800, unit: "ms" },
+  FCP: { good: 1800, poor: 3000, unit: "ms" },
+};
+
+const RATINGS = ["good", "needs-improvement", "poor"];
+
+// Relative p75 increase that counts as a regression (10%)
+const REGRESSION_THRESHOLD = 0.1;
+
+/**
+ * Rates a metric value against the Core Web Vitals thresholds
+ *
+ * @param {string} metric - LCP, INP, CLS, TTFB or FCP
+ * @param {number} value - Measured value
+ * @returns {string} good, needs-improvement or poor
+ */
+function rateMetric(metric, value) {
+  const { good, poor } = WEB_VITALS[metric];
+  if (value <= good) return "good";
+  if (value <= poor) return "needs-improvement";
+  return "poor";
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ *
+ * @param {number[]} values - Sample values
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null} The percentile, or null without samples
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Collects metric samples per page from WebVitals events
+ *
+ * @returns {Map<string, Object>} page -> { pageViews, samples: { metric: number[] } }
+ */
+function collectSamples(records) {
+  const pages = new Map();
+
+  records.forEach((record) => {
+    if (record.type !== "event" || record.name !== "WebVitals") return;
+
+    const page = (record.properties && record.properties.page) || "(unknown)";
+    if (!pages.has(page)) {
+      pages.set(page, { pageViews: 0, samples: Object.fromEntries(Object.keys(WEB_VITALS).map((metric) => [metric, []])) });
+    }
+
+    const entry = pages.get(page);
+    entry.pageViews++;
+    Object.keys(WEB_VITALS).forEach((metric) => {
+      const value = (record.measurements || {})[metric];
+      if (typeof value === "number" && Number.isFinite(value)) {
+        entry.samples[metric].push(value);
+      }
+    });
+  });
+
+  return pages;
+}
+
+/**
+ * Computes p75 Core Web Vitals per page
+ *
+ * @param {Object[]} records - Event store records covering the current and the previous window
+ * @param {Object} options
+ * @param {string} options.from - Start of the current window (ISO date)
+ * @param {string} options.to - End of the current window (ISO date)
+ * @param {string} [options.page] - Only report this page
+ * @returns {Object} { from, to, previousFrom, thresholds, pages: [{ page, pageViews, metrics }] }
+ */
+function computeWebVitalsReport(records, options) {
+  const from = new Date(options.from).toISOString();
+  const to = new Date(options.to).toISOString();
+  const previousFrom = new Date(2 * Date.parse(from) - Date.parse(to)).toISOString();
+
+  const relevant = records.filter((record) => !options.page || (record.properties && record.properties.page) === options.page);
+  const current = collectSamples(relevant.filter((record) => record.time >= from && record.time <= to));
+  const previous = collectSamples(relevant.filter((record) => record.time >= previousFrom && record.time < from));
+
+  const pages = Array.from(current.entries())
+    .sort(([, a], [, b]) => b.pageViews - a.pageViews)
+    .map(([page, entry]) => {
+      const metrics = {};
+
+      Object.keys(WEB_VITALS).forEach((metric) => {
+        const samples = entry.samples[metric];
+        if (samples.length === 0) return;
+
+        const p75 = percentile(samples, 0.75);
+        const rating = rateMetric(metric, p75);
+        const previousSamples = previous.has(page) ? previous.get(page).samples[metric] : [];
+        const previousP75 = percentile(previousSamples, 0.75);
+
+        let change = null;
+        let regressed = false;
+        if (previousP75 !== null) {
+          change = previousP75 > 0 ? (p75 - previousP75) / previousP75 : null;
+          regressed =
+            RATINGS.indexOf(rating) > RATINGS.indexOf(rateMetric(metric, previousP75)) || (change !== null && change > REGRESSION_THRESHOLD);
+        }
+
+        metrics[metric] = {
+          p75,
+          rating,
+          samples: samples.length,
+          previousP75,
+          change,
+          regressed,
+        };
+      });
+
+      return {
+        page,
+        pageViews: entry.pageViews,
+        metrics,
+      };
+    });
+
+  return {
+    from,
+    to,
+    previousFrom,
+    thresholds: WEB_VITALS,
+    pages,
+  };
+}
+
+module.exports = {
+  WEB_VITALS,
+  REGRESSION_THRESHOLD,
+  rateMetric,
+  percentile,
+  computeWebVitalsReport,
+};
@@ -0,0 +1,27 @@
+/**
+ * Application Insights PoC - Event Catalog Tests
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateEvent } = require("../server/event-catalog");
+
+const EXPERIMENTS = {
+  homepage_cta_test: { variants: [{ key: "variant_a" }, { key: "variant_b" }] },
+  pricing_test: { variants: [{ key: "variant_a" }, { key: "annual_first" }] },
+};
+
+test("accepts A/B test variants of any experiment in the registry", () => {
+  ["variant_b", "annual_first"].forEach((variant) => {
+    const result = validateEvent("ABTestAssignment", { testName: "pricing_test", variant }, {}, { experiments: EXPERIMENTS });
+    assert.equal(result.valid, true, variant);
+  });
+});
+
+test("rejects A/B test variants missing from the registry", () => {
+  const result = validateEvent("ABTestConversion", { testName: "pricing_test", variant: "variant_z" }, {}, { experiments: EXPERIMENTS });
+
+  assert.deepEqual(result.errors, [{ field: "properties.variant", message: "must be one of: variant_a, variant_b, annual_first" }]);
+  // Without a registry only the type is checked
+  assert.equal(validateEvent("ABTestConversion", { testName: "pricing_test", variant: "variant_z" }).valid, true);
+});
@@ -0,0 +1,96 @@
+/**
+ * Application Insights PoC - Event Store Tests
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { EventStore, validateQuery } = require("../server/event-store");
+
+function tempStorePath() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "event-store-")), "events.ndjson");
+}
+
+function eventItem(name, time = new Date().toISOString()) {
+  return { type: "event", time, telemetry: { name, properties: { userId: "user_1" } } };
+}
+
+function readLines(filePath) {
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+test("accepts string query parameters", () => {
+  assert.deepEqual(validateQuery({ name: "QuoteRequested", groupBy: "property.insuranceType", from: "2026-01-01" }), []);
+});
+
+test("rejects repeated and bracketed query parameters", () => {
+  // ?groupBy[]=property.x and ?name=a&name=b parse to arrays, ?userId[k]=v to an object
+  assert.deepEqual(validateQuery({ groupBy: ["property.x"] }), [{ field: "groupBy", message: "must be a single string value" }]);
+  assert.deepEqual(
+    validateQuery({ name: ["a", "b"], userId: { k: "v" }, sessionId: ["s"], type: ["event"] }).map(({ field }) => field),
+    ["name", "userId", "sessionId", "type"]
+  );
+});
+
+test("rejects invalid dates and group-by fields", () => {
+  assert.deepEqual(
+    validateQuery({ from: "yesterday", groupBy: "properties" }).map(({ field }) => field),
+    ["from", "groupBy"]
+  );
+});
+
+test("does not record requests to the monitoring endpoints", () => {
+  const store = new EventStore();
+  ["/metrics", "/api/stream", "/api/health", "/api/events", "/api/track-event"].forEach((requestPath) => {
+    store.export({ type: "request", time: new Date().toISOString(), telemetry: { name: `GET ${requestPath}`, properties: { path: requestPath } } });
+  });
+
+  assert.deepEqual(store.records.map((record) => record.name), ["GET /api/track-event"]);
+});
+
+test("buffers writes until flushed", async () => {
+  const filePath = tempStorePath();
+  const store = new EventStore({ filePath });
+
+  store.export(eventItem("QuoteRequested"));
+  store.export(eventItem("QuoteAccepted"));
+  assert.equal(fs.existsSync(filePath), false);
+  assert.equal(store.find({ name: "QuoteAccepted" }).length, 1);
+
+  await store.flush();
+  assert.deepEqual(readLines(filePath).map((record) => record.name), ["QuoteRequested", "QuoteAccepted"]);
+  assert.equal(new EventStore({ filePath }).records.length, 2);
+});
+
+test("drops records older than the retention period on load", async () => {
+  const filePath = tempStorePath();
+  const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+  const writer = new EventStore({ filePath });
+  writer.export(eventItem("Old", old));
+  writer.export(eventItem("Recent"));
+  await writer.flush();
+
+  const store = new EventStore({ filePath, retentionDays: 7 });
+  assert.deepEqual(store.records.map((record) => record.name), ["Recent"]);
+  assert.deepEqual(store.find({ name: "Old" }), []);
+
+  await store.flush();
+  assert.deepEqual(readLines(filePath).map((record) => record.name), ["Recent"]);
+});
+
+test("keeps the newest records when the record limit is exceeded", async () => {
+  const filePath = tempStorePath();
+  const store = new EventStore({ filePath, maxRecords: 10 });
+  for (let i = 0; i < 12; i++) store.export(eventItem(`Event${i}`));
+
+  // Compaction starts once the limit is exceeded by 10%
+  assert.equal(store.records.length, 10);
+  assert.equal(store.records[0].name, "Event2");
+  assert.deepEqual(store.find({ userId: "user_1" }).length, 10);
+
+  store.export(eventItem("Event12"));
+  await store.flush();
+  assert.deepEqual(readLines(filePath).map((record) => record.name), store.records.map((record) => record.name));
+});
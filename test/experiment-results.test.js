@@ -0,0 +1,137 @@
+/**
+ * Application Insights PoC - Experiment Results Tests
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalCdf,
+  logGamma,
+  chiSquarePValue,
+  wilsonInterval,
+  twoProportionZTest,
+  probabilityToBeat,
+  computeExperimentResults,
+} = require("../server/experiment-results");
+
+const EXPERIMENT = {
+  key: "homepage_cta_test",
+  status: "running",
+  control: "variant_a",
+  variants: [
+    { key: "variant_a", weight: 50 },
+    { key: "variant_b", weight: 50 },
+  ],
+};
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function record(name, userId, time, properties = {}) {
+  return { type: "event", name, userId, time, properties: { testName: EXPERIMENT.key, ...properties } };
+}
+
+test("normal CDF matches reference values", () => {
+  assertClose(normalCdf(0), 0.5, 1e-7);
+  assertClose(normalCdf(1.959964), 0.975, 1e-6);
+  assertClose(normalCdf(-1), 0.158655, 1e-6);
+});
+
+test("log-gamma matches factorials and gamma(1/2)", () => {
+  assertClose(logGamma(1), 0, 1e-10);
+  assertClose(logGamma(5), Math.log(24), 1e-10);
+  assertClose(logGamma(0.5), Math.log(Math.sqrt(Math.PI)), 1e-10);
+  // Reflection branch below 1/2: gamma(1/4) = 3.625609908...
+  assertClose(logGamma(0.25), Math.log(3.6256099082), 1e-9);
+});
+
+test("chi-square p-values match critical value tables", () => {
+  // Continued fraction branch of the incomplete gamma function
+  assertClose(chiSquarePValue(3.841, 1), 0.05);
+  assertClose(chiSquarePValue(5.991, 2), 0.05);
+  // Series branch
+  assertClose(chiSquarePValue(1, 4), 0.909796);
+  assertClose(chiSquarePValue(1, 2), Math.exp(-0.5), 1e-10);
+  assert.equal(chiSquarePValue(0, 3), 1);
+});
+
+test("Wilson interval matches reference values", () => {
+  const interval = wilsonInterval(50, 100);
+  assertClose(interval.lower, 0.403832);
+  assertClose(interval.upper, 0.596168);
+
+  // Stays within [0, 1] when nothing converted
+  assert.equal(wilsonInterval(0, 10).lower, 0);
+  assertClose(wilsonInterval(0, 10).upper, 0.277533);
+
+  assert.equal(wilsonInterval(0, 0), null);
+});
+
+test("two-proportion z-test matches reference values", () => {
+  const { zScore, pValue } = twoProportionZTest(10, 100, 20, 100);
+  assertClose(zScore, 1.980295);
+  assertClose(pValue, 0.04767);
+
+  assertClose(twoProportionZTest(10, 100, 10, 100).pValue, 1, 1e-6);
+  assert.equal(twoProportionZTest(0, 0, 5, 100), null);
+  // Undefined without any conversions (zero standard error)
+  assert.equal(twoProportionZTest(0, 100, 0, 100), null);
+});
+
+test("probability to beat is 0.5 for equal arms and symmetric otherwise", () => {
+  assertClose(probabilityToBeat(10, 100, 10, 100), 0.5, 1e-9);
+  assertClose(probabilityToBeat(0, 0, 0, 0), 0.5, 1e-9);
+
+  const better = probabilityToBeat(10, 100, 30, 100);
+  assert.ok(better > 0.999);
+  assertClose(better + probabilityToBeat(30, 100, 10, 100), 1, 1e-9);
+});
+
+test("attributes conversions to the first exposure", () => {
+  const results = computeExperimentResults(EXPERIMENT, [
+    // Repeated exposures count once, in the variant of the earliest one
+    record("ABTestAssignment", "user_1", "2026-01-01T10:05:00.000Z", { variant: "variant_b" }),
+    record("ABTestAssignment", "user_1", "2026-01-01T10:00:00.000Z", { variant: "variant_a" }),
+    record("ABTestConversion", "user_1", "2026-01-01T10:10:00.000Z"),
+    record("ABTestConversion", "user_1", "2026-01-01T10:20:00.000Z"),
+    record("ABTestAssignment", "user_2", "2026-01-01T10:00:00.000Z", { variant: "variant_b" }),
+  ]);
+
+  assert.equal(results.totalExposures, 2);
+  assert.deepEqual(
+    results.variants.map(({ variant, exposures, conversions }) => ({ variant, exposures, conversions })),
+    [
+      { variant: "variant_a", exposures: 1, conversions: 1 },
+      { variant: "variant_b", exposures: 1, conversions: 0 },
+    ]
+  );
+});
+
+test("ignores conversions before exposure, unknown variants and other experiments", () => {
+  const results = computeExperimentResults(EXPERIMENT, [
+    record("ABTestConversion", "user_1", "2026-01-01T09:00:00.000Z"),
+    record("ABTestAssignment", "user_1", "2026-01-01T10:00:00.000Z", { variant: "variant_a" }),
+    record("ABTestAssignment", "user_2", "2026-01-01T10:00:00.000Z", { variant: "variant_z" }),
+    record("ABTestConversion", "user_2", "2026-01-01T11:00:00.000Z"),
+    { ...record("ABTestAssignment", "user_3", "2026-01-01T10:00:00.000Z", { variant: "variant_b" }), properties: { testName: "other", variant: "variant_b" } },
+  ]);
+
+  assert.equal(results.totalExposures, 1);
+  assert.equal(results.variants[0].conversions, 0);
+  assert.equal(results.variants[1].exposures, 0);
+  assert.equal(results.variants[1].probabilityToBeatControl, null);
+});
+
+test("flags a sample ratio mismatch against the configured weights", () => {
+  const records = [];
+  for (let i = 0; i < 100; i++) {
+    const variant = i < 70 ? "variant_a" : "variant_b";
+    records.push(record("ABTestAssignment", `user_${i}`, "2026-01-01T10:00:00.000Z", { variant }));
+  }
+
+  const { srm } = computeExperimentResults(EXPERIMENT, records);
+  assertClose(srm.statistic, 16);
+  assert.ok(srm.pValue < srm.threshold);
+  assert.equal(srm.mismatch, true);
+});
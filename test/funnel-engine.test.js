@@ -0,0 +1,121 @@
+/**
+ * Application Insights PoC - Funnel Engine Tests
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventStore } = require("../server/event-store");
+const { FunnelProgress } = require("../server/funnel-engine");
+
+const FUNNELS = {
+  purchase: {
+    id: "purchase",
+    conversionWindowMinutes: 60,
+    steps: [
+      { name: "quote_requested", events: ["QuoteRequested"] },
+      { name: "application_started", events: ["ApplicationStarted"] },
+      { name: "policy_purchased", events: ["PolicyPurchased"] },
+    ],
+  },
+};
+
+const START = Date.parse("2026-01-01T10:00:00.000Z");
+
+function eventItem(name, userId, minutes) {
+  return { type: "event", time: new Date(START + minutes * 60 * 1000).toISOString(), telemetry: { name, properties: { userId } } };
+}
+
+function counts(progress) {
+  return progress.funnels.get("purchase").counts;
+}
+
+test("counts journeys progressing within the conversion window", () => {
+  const progress = new FunnelProgress(FUNNELS);
+  [
+    eventItem("QuoteRequested", "user_1", 0),
+    eventItem("ApplicationStarted", "user_1", 10),
+    eventItem("PolicyPurchased", "user_1", 59),
+    eventItem("QuoteRequested", "user_2", 0),
+    eventItem("ApplicationStarted", "user_2", 20),
+  ].forEach((item) => progress.export(item));
+
+  assert.deepEqual(counts(progress), [2, 2, 1]);
+  assert.equal(progress.conversion("purchase", 0), 1);
+  assert.equal(progress.conversion("purchase", 2), 0.5);
+  assert.equal(progress.conversion("unknown", 0), null);
+});
+
+test("measures the conversion window from the funnel entry", () => {
+  const progress = new FunnelProgress(FUNNELS);
+  [
+    eventItem("QuoteRequested", "user_1", 0),
+    eventItem("ApplicationStarted", "user_1", 30),
+    // 61 minutes after entry - the journey has expired
+    eventItem("PolicyPurchased", "user_1", 61),
+    // A new entry starts a new journey
+    eventItem("QuoteRequested", "user_1", 70),
+    eventItem("ApplicationStarted", "user_1", 80),
+  ].forEach((item) => progress.export(item));
+
+  assert.deepEqual(counts(progress), [2, 2, 0]);
+});
+
+test("ignores out-of-order and skipped steps", () => {
+  const progress = new FunnelProgress(FUNNELS);
+  [
+    eventItem("ApplicationStarted", "user_1", 0),
+    eventItem("QuoteRequested", "user_1", 1),
+    eventItem("PolicyPurchased", "user_1", 2),
+    eventItem("ApplicationStarted", "user_1", 3),
+    // Re-entering does not restart a journey in progress
+    eventItem("QuoteRequested", "user_1", 4),
+    eventItem("ApplicationStarted", "user_1", 5),
+  ].forEach((item) => progress.export(item));
+
+  assert.deepEqual(counts(progress), [1, 1, 0]);
+});
+
+test("forgets the least recently active journeys above the limit", () => {
+  const progress = new FunnelProgress(FUNNELS, { maxJourneys: 2 });
+  [
+    eventItem("QuoteRequested", "user_1", 0),
+    eventItem("QuoteRequested", "user_2", 1),
+    eventItem("QuoteRequested", "user_3", 2),
+    // user_1 was evicted, so this step no longer counts
+    eventItem("ApplicationStarted", "user_1", 3),
+    eventItem("ApplicationStarted", "user_3", 4),
+  ].forEach((item) => progress.export(item));
+
+  assert.deepEqual([...progress.funnels.get("purchase").journeys.keys()], ["user_2", "user_3"]);
+  assert.deepEqual(counts(progress), [3, 1, 0]);
+});
+
+test("seeding from the event store matches following the live events", () => {
+  const items = [
+    eventItem("QuoteRequested", "user_1", 0),
+    eventItem("QuoteRequested", "user_2", 5),
+    eventItem("QuoteRequested", "user_3", 5),
+    eventItem("ApplicationStarted", "user_1", 10),
+    eventItem("ApplicationStarted", "user_3", 90),
+    eventItem("PolicyPurchased", "user_1", 20),
+  ];
+
+  const live = new FunnelProgress(FUNNELS);
+  const store = new EventStore();
+  items.forEach((item) => {
+    live.export(item);
+    store.export(item);
+  });
+  store.export({ type: "request", time: items[0].time, telemetry: { name: "QuoteRequested", properties: { userId: "user_4" } } });
+
+  // Seeding replays in time order, whatever the order of the records
+  const seeded = new FunnelProgress(FUNNELS);
+  seeded.seed(store.find({ type: "event" }).reverse());
+
+  assert.deepEqual(counts(seeded), [3, 1, 1]);
+  assert.deepEqual(counts(seeded), counts(live));
+
+  // Events after the restart continue the seeded journeys
+  seeded.export(eventItem("ApplicationStarted", "user_2", 30));
+  assert.deepEqual(counts(seeded), [3, 2, 1]);
+});
@@ -0,0 +1,131 @@
+/**
+ * Application Insights PoC - Ingestion Guard Tests
+ *
+ * The limiter is driven with explicit timestamps; the guard middleware runs
+ * in a small Express app on an ephemeral port.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { TokenBucketLimiter, createIngestionGuard } = require("../server/ingestion-guard");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Starts an app with the guard in front of a route that echoes the body
+ *
+ * @returns {Promise<Object>} { url, metrics, close } - metrics holds tracked IngestionThrottled metrics
+ */
+function startApp(limits) {
+  const metrics = [];
+  const guard = createIngestionGuard({ telemetryClient: { trackMetric: (metric) => metrics.push(metric) }, limits });
+
+  const app = express();
+  app.post("/api/track-event", guard.parseBody, guard, (req, res) => res.json({ success: true, body: req.body }));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/api/track-event`,
+        metrics,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+function post(url, body) {
+  return fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+}
+
+test("refills tokens continuously over the interval", () => {
+  const limiter = new TokenBucketLimiter({ capacity: 60, intervalMs: MINUTE });
+
+  assert.equal(limiter.take("ip", 0, 60).allowed, true);
+  assert.equal(limiter.take("ip", 0).allowed, false);
+
+  // One token per second
+  assert.equal(limiter.take("ip", 999).allowed, false);
+  // Denied requests take nothing, so two tokens have accumulated
+  assert.deepEqual(limiter.take("ip", 2000), { allowed: true, remaining: 1, retryAfterSeconds: 0 });
+
+  // Never refills beyond the capacity
+  assert.equal(limiter.take("ip", 10 * MINUTE).remaining, 59);
+});
+
+test("computes Retry-After from the missing tokens", () => {
+  const limiter = new TokenBucketLimiter({ capacity: 60, intervalMs: MINUTE });
+  limiter.take("ip", 0, 60);
+
+  assert.equal(limiter.take("ip", 0).retryAfterSeconds, 1);
+  assert.equal(limiter.take("ip", 0, 30).retryAfterSeconds, 30);
+  // Partially refilled bucket: 10 tokens after 10s, 20 more needed
+  assert.equal(limiter.take("ip", 10 * 1000, 30).retryAfterSeconds, 20);
+});
+
+test("caps the cost of a batch at the bucket capacity", () => {
+  const limiter = new TokenBucketLimiter({ capacity: 10, intervalMs: MINUTE });
+
+  assert.deepEqual(limiter.take("session", 0, 500), { allowed: true, remaining: 0, retryAfterSeconds: 0 });
+  // An oversized batch waits for a full bucket, not for 500 tokens
+  assert.equal(limiter.take("session", 0, 500).retryAfterSeconds, 60);
+  assert.equal(limiter.take("session", MINUTE, 500).allowed, true);
+});
+
+test("evicts the least recently used bucket above the key limit", () => {
+  const limiter = new TokenBucketLimiter({ capacity: 1, maxKeys: 3 });
+  ["a", "b", "c"].forEach((key) => limiter.take(key, 0));
+  limiter.take("a", 0); // a is now the most recent
+  limiter.take("d", 0);
+
+  assert.deepEqual([...limiter.buckets.keys()], ["c", "a", "d"]);
+});
+
+test("tracks at most 10000 keys by default", () => {
+  const limiter = new TokenBucketLimiter({ capacity: 1 });
+  for (let i = 0; i <= 10000; i++) limiter.take(`user_${i}`, 0);
+
+  assert.equal(limiter.buckets.size, 10000);
+  assert.equal(limiter.buckets.has("user_0"), false);
+  // An evicted key starts with a full bucket again
+  assert.equal(limiter.take("user_0", 0).allowed, true);
+});
+
+test("rejects oversized payloads with 413 while parsing", async () => {
+  const app = await startApp({ maxPayloadBytes: 100 });
+  try {
+    const response = await post(app.url, { eventName: "ButtonClick", properties: { note: "x".repeat(200) } });
+
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).reason, "payloadSize");
+    assert.equal(app.metrics.length, 1);
+    assert.equal(app.metrics[0].name, "IngestionThrottled");
+    assert.equal(app.metrics[0].properties.reason, "payloadSize");
+
+    assert.equal((await post(app.url, { eventName: "ButtonClick" })).status, 200);
+  } finally {
+    await app.close();
+  }
+});
+
+test("rejects batches beyond the per-user limit with 429 and Retry-After", async () => {
+  const app = await startApp({ perIp: 0, perSession: 0, perUser: 5 });
+  try {
+    const items = Array.from({ length: 4 }, () => ({ type: "event", name: "ButtonClick", properties: { userId: "user_1" } }));
+
+    assert.equal((await post(app.url, { items })).status, 200);
+    const response = await post(app.url, { items });
+
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get("retry-after"), "36");
+    assert.deepEqual(await response.json(), {
+      success: false,
+      reason: "userId",
+      message: "Too many requests",
+      retryAfterSeconds: 36,
+    });
+  } finally {
+    await app.close();
+  }
+});
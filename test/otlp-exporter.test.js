@@ -0,0 +1,331 @@
+/**
+ * Application Insights PoC - OTLP Exporter Tests
+ *
+ * Runs the OTLP/HTTP exporter against a fake collector (a local HTTP server
+ * that records every request and answers with scripted responses).
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const OtlpExporter = require("../server/telemetry/otlp-exporter");
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const CALLER_SPAN_ID = "00f067aa0ba902b7";
+const REQUEST_SPAN_ID = "b7ad6b7169203331";
+
+/**
+ * Starts a fake OTLP collector
+ *
+ * @param {Function[]} [responses] - Answers for the first requests, in order:
+ *   (res) => void; later requests get 200
+ * @returns {Promise<Object>} { url, requests, close } - requests holds { path, body, receivedAt }
+ */
+function startCollector(responses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      requests.push({ path: req.url, body: JSON.parse(data), receivedAt: Date.now() });
+      const respond = responses[requests.length - 1];
+      if (respond) {
+        respond(res);
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end("{}");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+function status(code, headers = {}) {
+  return (res) => {
+    res.writeHead(code, headers);
+    res.end();
+  };
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const startedAt = Date.now();
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) throw new Error("Timed out waiting for the collector");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+function createExporter(collector, options = {}) {
+  return new OtlpExporter({
+    endpoint: collector.url,
+    serviceName: "otlp-test",
+    serviceVersion: "1.2.3",
+    flushIntervalMs: 60 * 1000,
+    retryBaseMs: 5,
+    ...options,
+  });
+}
+
+function attribute(attributes, key) {
+  const entry = attributes.find((candidate) => candidate.key === key);
+  return entry && entry.value;
+}
+
+const time = "2026-01-01T12:00:00.000Z";
+
+const requestItem = {
+  type: "request",
+  time,
+  telemetry: {
+    id: REQUEST_SPAN_ID,
+    name: "POST /api/track-event",
+    url: "/api/track-event",
+    duration: 25,
+    resultCode: 500,
+    success: false,
+    properties: { method: "POST" },
+    tagOverrides: { "ai.operation.id": TRACE_ID, "ai.operation.parentId": CALLER_SPAN_ID },
+  },
+};
+
+const eventItem = {
+  type: "event",
+  time,
+  telemetry: {
+    name: "QuoteRequested",
+    properties: { insuranceType: "auto" },
+    measurements: { coverageAmount: 5000 },
+    tagOverrides: { "ai.operation.id": TRACE_ID, "ai.operation.parentId": REQUEST_SPAN_ID },
+  },
+};
+
+const exceptionItem = {
+  type: "exception",
+  time,
+  telemetry: {
+    exception: new TypeError("boom"),
+    tagOverrides: { "ai.operation.id": TRACE_ID, "ai.operation.parentId": REQUEST_SPAN_ID },
+  },
+};
+
+const metricItem = {
+  type: "metric",
+  time,
+  telemetry: { name: "ServerResponseTime", value: 25.5, properties: { endpoint: "/api/track-event" } },
+};
+
+test("maps resource, scope, spans, log records and metrics", async (t) => {
+  const collector = await startCollector();
+  t.after(collector.close);
+  const exporter = createExporter(collector);
+  t.after(() => clearInterval(exporter.timer));
+
+  [requestItem, eventItem, exceptionItem, metricItem].forEach((item) => exporter.export(item));
+  await exporter.flush();
+
+  const byPath = Object.fromEntries(collector.requests.map(({ path, body }) => [path, body]));
+  assert.deepEqual(Object.keys(byPath).sort(), ["/v1/logs", "/v1/metrics", "/v1/traces"]);
+
+  const { resource, scopeSpans } = byPath["/v1/traces"].resourceSpans[0];
+  assert.deepEqual(attribute(resource.attributes, "service.name"), { stringValue: "otlp-test" });
+  assert.deepEqual(attribute(resource.attributes, "service.version"), { stringValue: "1.2.3" });
+  assert.ok(attribute(resource.attributes, "deployment.environment"));
+  assert.equal(scopeSpans[0].scope.name, "application-insights-poc/telemetry-pipeline");
+
+  const [span] = scopeSpans[0].spans;
+  assert.equal(span.traceId, TRACE_ID);
+  assert.equal(span.spanId, REQUEST_SPAN_ID);
+  assert.equal(span.parentSpanId, CALLER_SPAN_ID);
+  assert.equal(span.kind, 2);
+  assert.equal(span.name, "POST /api/track-event");
+  assert.equal(BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano), 25000000n);
+  assert.deepEqual(span.status, { code: 2 });
+  assert.deepEqual(attribute(span.attributes, "http.response.status_code"), { intValue: "500" });
+
+  const [eventRecord, exceptionRecord] = byPath["/v1/logs"].resourceLogs[0].scopeLogs[0].logRecords;
+  assert.equal(eventRecord.traceId, TRACE_ID);
+  assert.equal(eventRecord.spanId, REQUEST_SPAN_ID);
+  assert.equal(eventRecord.severityText, "INFO");
+  assert.deepEqual(eventRecord.body, { stringValue: "QuoteRequested" });
+  assert.deepEqual(attribute(eventRecord.attributes, "event.name"), { stringValue: "QuoteRequested" });
+  assert.deepEqual(attribute(eventRecord.attributes, "insuranceType"), { stringValue: "auto" });
+  assert.deepEqual(attribute(eventRecord.attributes, "measurement.coverageAmount"), { intValue: "5000" });
+
+  assert.equal(exceptionRecord.severityNumber, 17);
+  assert.equal(exceptionRecord.spanId, REQUEST_SPAN_ID);
+  assert.deepEqual(attribute(exceptionRecord.attributes, "exception.type"), { stringValue: "TypeError" });
+  assert.deepEqual(attribute(exceptionRecord.attributes, "exception.message"), { stringValue: "boom" });
+
+  const [metric] = byPath["/v1/metrics"].resourceMetrics[0].scopeMetrics[0].metrics;
+  assert.equal(metric.name, "ServerResponseTime");
+  assert.equal(metric.gauge.dataPoints[0].asDouble, 25.5);
+
+  assert.deepEqual(exporter.stats, { exported: 4, dropped: 0, failed: 0, retries: 0 });
+});
+
+test("sends a batch as soon as maxBatchSize items are buffered", async (t) => {
+  const collector = await startCollector();
+  t.after(collector.close);
+  const exporter = createExporter(collector, { maxBatchSize: 3 });
+  t.after(() => clearInterval(exporter.timer));
+
+  exporter.export(eventItem);
+  exporter.export(eventItem);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(collector.requests.length, 0);
+
+  exporter.export(eventItem);
+  await waitFor(() => collector.requests.length === 1);
+  assert.equal(collector.requests[0].body.resourceLogs[0].scopeLogs[0].logRecords.length, 3);
+  assert.equal(exporter.buffer.length, 0);
+});
+
+test("sends buffered items every flush interval", async (t) => {
+  const collector = await startCollector();
+  t.after(collector.close);
+  const exporter = createExporter(collector, { flushIntervalMs: 50 });
+  t.after(() => clearInterval(exporter.timer));
+
+  exporter.export(eventItem);
+  await waitFor(() => collector.requests.length === 1);
+  assert.equal(collector.requests[0].path, "/v1/logs");
+  await waitFor(() => exporter.stats.exported === 1);
+});
+
+test("drops the oldest items beyond maxQueueSize", async (t) => {
+  const collector = await startCollector();
+  t.after(collector.close);
+  const exporter = createExporter(collector, { maxQueueSize: 2 });
+  t.after(() => clearInterval(exporter.timer));
+
+  exporter.export({ ...eventItem, telemetry: { ...eventItem.telemetry, name: "First" } });
+  exporter.export({ ...eventItem, telemetry: { ...eventItem.telemetry, name: "Second" } });
+  exporter.export({ ...eventItem, telemetry: { ...eventItem.telemetry, name: "Third" } });
+  await exporter.flush();
+
+  const records = collector.requests[0].body.resourceLogs[0].scopeLogs[0].logRecords;
+  assert.deepEqual(
+    records.map(({ body }) => body.stringValue),
+    ["Second", "Third"]
+  );
+  assert.equal(exporter.stats.dropped, 1);
+});
+
+test("retries 429 after the Retry-After delay", async (t) => {
+  const collector = await startCollector([status(429, { "Retry-After": "1" })]);
+  t.after(collector.close);
+  const exporter = createExporter(collector);
+  t.after(() => clearInterval(exporter.timer));
+
+  exporter.export(eventItem);
+  await exporter.flush();
+
+  assert.equal(collector.requests.length, 2);
+  assert.ok(collector.requests[1].receivedAt - collector.requests[0].receivedAt >= 950);
+  assert.deepEqual(exporter.stats, { exported: 1, dropped: 0, failed: 0, retries: 1 });
+});
+
+test("retries 503 with backoff", async (t) => {
+  const collector = await startCollector([status(503), status(503)]);
+  t.after(collector.close);
+  const exporter = createExporter(collector);
+  t.after(() => clearInterval(exporter.timer));
+
+  exporter.export(metricItem);
+  await exporter.flush();
+
+  assert.equal(collector.requests.length, 3);
+  assert.deepEqual(exporter.stats, { exported: 1, dropped: 0, failed: 0, retries: 2 });
+});
+
+test("gives up after maxRetries retries", async (t) => {
+  const collector = await startCollector([status(503), status(503), status(503), status(503)]);
+  t.after(collector.close);
+  const exporter = createExporter(collector, { maxRetries: 2 });
+  t.after(() => clearInterval(exporter.timer));
+  t.mock.method(console, "log", () => {});
+
+  exporter.export(eventItem);
+  exporter.export(eventItem);
+  await exporter.flush();
+
+  assert.equal(collector.requests.length, 3);
+  assert.deepEqual(exporter.stats, { exported: 0, dropped: 0, failed: 2, retries: 2 });
+});
+
+test("does not retry other failures", async (t) => {
+  const collector = await startCollector([status(400)]);
+  t.after(collector.close);
+  const exporter = createExporter(collector);
+  t.after(() => clearInterval(exporter.timer));
+  t.mock.method(console, "log", () => {});
+
+  exporter.export(eventItem);
+  await exporter.flush();
+
+  assert.equal(collector.requests.length, 1);
+  assert.deepEqual(exporter.stats, { exported: 0, dropped: 0, failed: 1, retries: 0 });
+});
+
+test("OTLP-only mode exports without starting the Application Insights SDK", async (t) => {
+  const collector = await startCollector();
+  t.after(collector.close);
+
+  const environment = {
+    TELEMETRY_EXPORTERS: "otlp",
+    OTEL_EXPORTER_OTLP_ENDPOINT: collector.url,
+    APPLICATIONINSIGHTS_CONNECTION_STRING: "InstrumentationKey=00000000-0000-0000-0000-000000000000",
+    EVENT_STORE_PATH: "off",
+    REDACTION_SALT: "test-salt",
+  };
+  const previous = {};
+  Object.entries(environment).forEach(([key, value]) => {
+    previous[key] = process.env[key];
+    process.env[key] = value;
+  });
+  t.after(() => {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  });
+  t.mock.method(console, "log", () => {});
+
+  const { createApp } = require("../server/app");
+  const app = createApp({ profile: "manual" });
+  const { telemetryClient } = app.locals;
+
+  assert.equal(require("applicationinsights").defaultClient, undefined);
+  assert.ok(telemetryClient.exporterNames.includes("otlp"));
+  assert.equal(telemetryClient.exporterNames.includes("appinsights"), false);
+  t.after(() => telemetryClient.exporters.forEach((exporter) => clearInterval(exporter.timer)));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  t.after(() => new Promise((done) => server.close(done)));
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/config`);
+  const config = await response.json();
+  assert.equal(config.connectionString, "");
+
+  // The request is tracked when the response finishes, which may be after the client has read it
+  const spanNames = () =>
+    collector.requests
+      .filter(({ path }) => path === "/v1/traces")
+      .flatMap(({ body }) => body.resourceSpans[0].scopeSpans[0].spans)
+      .map(({ name }) => name);
+  await waitFor(() => {
+    telemetryClient.flush();
+    return spanNames().includes("GET /api/config");
+  });
+});
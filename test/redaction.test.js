@@ -0,0 +1,174 @@
+/**
+ * Application Insights PoC - PII Redaction Tests
+ *
+ * Runs the rules of server/redaction-rules.json through redactTelemetry()
+ * without a server.
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { compileRules, loadRedactionRules, hashValue, truncateIp, redactTelemetry } = require("../server/telemetry/redaction");
+
+const RULES = compileRules(require("../server/redaction-rules.json").rules).rules;
+
+function redact(properties, salt = "test-salt") {
+  return redactTelemetry({ name: "Test", properties }, RULES, { salt });
+}
+
+test("shipped rules compile without errors", () => {
+  const { rules, errors } = compileRules(require("../server/redaction-rules.json").rules);
+  assert.deepEqual(errors, []);
+  assert.equal(rules.length, 6);
+});
+
+test("hashes email keys with a stable salted digest", () => {
+  const first = redact({ email: "jane@example.com" });
+  const second = redact({ email: "jane@example.com" });
+
+  assert.match(first.telemetry.properties.email, /^sha256:[0-9a-f]{16}$/);
+  assert.equal(first.telemetry.properties.email, second.telemetry.properties.email);
+  assert.equal(first.telemetry.properties.email, hashValue("jane@example.com", "test-salt"));
+  assert.deepEqual(first.fired, [{ rule: "hash-contact-details", action: "hash", field: "properties.email" }]);
+});
+
+test("hashes differ per salt", () => {
+  const salted = redact({ email: "jane@example.com" }, "salt-a").telemetry.properties.email;
+  const resalted = redact({ email: "jane@example.com" }, "salt-b").telemetry.properties.email;
+  assert.notEqual(salted, resalted);
+});
+
+test("matches keys case-insensitively", () => {
+  const { telemetry } = redact({ CustomerEmail: "jane@example.com", FirstName: "Jane" });
+  assert.match(telemetry.properties.CustomerEmail, /^sha256:/);
+  assert.equal("FirstName" in telemetry.properties, false);
+});
+
+test("truncates IPv4 addresses to /24", () => {
+  assert.equal(truncateIp("203.0.113.42"), "203.0.113.0");
+  assert.equal(redact({ ip: "198.51.100.7" }).telemetry.properties.ip, "198.51.100.0");
+});
+
+test("truncates IPv6 addresses to /48", () => {
+  assert.equal(truncateIp("2001:db8:85a3:8d3:1319:8a2e:370:7348"), "2001:db8:85a3::");
+  assert.equal(truncateIp("2001:db8::1"), "2001:db8::");
+  assert.equal(truncateIp("::1"), "::");
+});
+
+test("truncates IPv4-mapped IPv6 addresses as IPv4", () => {
+  assert.equal(truncateIp("::ffff:203.0.113.42"), "::ffff:203.0.113.0");
+  assert.equal(truncateIp("::FFFF:10.1.2.3"), "::FFFF:10.1.2.0");
+});
+
+test("leaves values that are not IP addresses unchanged", () => {
+  assert.equal(truncateIp("localhost"), "localhost");
+  assert.equal(truncateIp(undefined), undefined);
+});
+
+test("masks emails, IBANs and phone numbers inside free text", () => {
+  const { telemetry, fired } = redact({
+    note: "Mail jane@example.com, IBAN BE68 5390 0754 7034 or call +32 470 12 34 56",
+  });
+
+  assert.equal(telemetry.properties.note, "Mail [email], IBAN [iban] or call [phone]");
+  assert.deepEqual(
+    fired.map(({ rule }) => rule),
+    ["mask-email", "mask-iban", "mask-phone"]
+  );
+});
+
+test("masks national and international phone number formats", () => {
+  ["0470 12 34 56", "0470123456", "(02) 123 45 67", "0032 470 12 34 56", "+44 20 7946 0958", "(555) 123-4567"].forEach((phone) => {
+    assert.equal(redact({ note: `call ${phone}` }).telemetry.properties.note, "call [phone]", phone);
+  });
+});
+
+test("leaves timestamps, amounts and other digit runs unmasked", () => {
+  ["1729353139000", "250000000", "sess 1729353139000", "quote_1729353139000", "2026-10-19", "1 000 000 000 000", "1250000.00"].forEach((value) => {
+    const { telemetry, fired } = redact({ note: value });
+    assert.equal(telemetry.properties.note, value);
+    assert.deepEqual(fired, []);
+  });
+});
+
+test("masks URLs and exception messages and stacks", () => {
+  const exception = new Error("No account for jane@example.com");
+  exception.stack = "Error: No account for jane@example.com\n    at lookup (app.js:1:1)";
+
+  const { telemetry } = redactTelemetry({ url: "/account?email=jane@example.com", exception }, RULES, { salt: "s" });
+
+  assert.equal(telemetry.url, "/account?email=[email]");
+  assert.equal(telemetry.exception.message, "No account for [email]");
+  assert.match(telemetry.exception.stack, /No account for \[email\]/);
+  assert.equal(exception.message, "No account for jane@example.com");
+});
+
+test("redacts nested properties and arrays", () => {
+  const { telemetry, fired } = redact({
+    customer: { firstName: "Jane", contact: { phone: "0470123456", ip: "::ffff:192.0.2.10" } },
+    contacts: [{ email: "a@example.com" }, { note: "b@example.com" }],
+    quoteId: "quote_1",
+  });
+
+  assert.deepEqual(telemetry.properties.customer, {
+    contact: { phone: hashValue("0470123456", "test-salt"), ip: "::ffff:192.0.2.0" },
+  });
+  assert.equal(telemetry.properties.contacts[0].email, hashValue("a@example.com", "test-salt"));
+  assert.equal(telemetry.properties.contacts[1].note, "[email]");
+  assert.equal(telemetry.properties.quoteId, "quote_1");
+  assert.ok(fired.some(({ field }) => field === "properties.customer.firstName"));
+  assert.ok(fired.some(({ field }) => field === "properties.contacts[1].note"));
+});
+
+test("does not modify its input", () => {
+  const properties = { email: "jane@example.com", nested: { firstName: "Jane" } };
+  redact(properties);
+  assert.deepEqual(properties, { email: "jane@example.com", nested: { firstName: "Jane" } });
+});
+
+test("reports invalid rule definitions and keeps the valid ones", () => {
+  const { rules, errors } = compileRules([
+    { id: "unknown", action: "encrypt", keys: ["email"] },
+    { id: "no-keys", action: "hash", keys: [] },
+    { id: "bad-pattern", action: "mask", pattern: "(" },
+    { id: "ok", action: "drop", keys: ["password"] },
+  ]);
+
+  assert.deepEqual(
+    rules.map(({ id }) => id),
+    ["ok"]
+  );
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /"unknown" action must be one of/);
+  assert.match(errors[1], /"no-keys" needs a non-empty keys list/);
+  assert.match(errors[2], /"bad-pattern" has an invalid pattern/);
+});
+
+test("an unreadable or malformed rules file loads no rules", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "redaction-"));
+  const rulesPath = path.join(directory, "rules.json");
+  fs.writeFileSync(rulesPath, "{ not json");
+
+  const previous = process.env.REDACTION_RULES_PATH;
+  t.after(() => {
+    if (previous === undefined) delete process.env.REDACTION_RULES_PATH;
+    else process.env.REDACTION_RULES_PATH = previous;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  t.mock.method(console, "log", () => {});
+
+  process.env.REDACTION_RULES_PATH = rulesPath;
+  assert.deepEqual(loadRedactionRules(), []);
+
+  process.env.REDACTION_RULES_PATH = path.join(directory, "missing.json");
+  assert.deepEqual(loadRedactionRules(), []);
+
+  fs.writeFileSync(rulesPath, JSON.stringify({ rules: [{ id: "broken", action: "mask", pattern: "[" }, { id: "ok", action: "drop", keys: ["password"] }] }));
+  process.env.REDACTION_RULES_PATH = rulesPath;
+  assert.deepEqual(
+    loadRedactionRules().map(({ id }) => id),
+    ["ok"]
+  );
+});